@@ -0,0 +1,84 @@
+// Central, validated configuration for the backend. Every setting comes from
+// the environment (or backend/.env); nothing else should read process.env.
+// Startup fails with a list of every problem rather than on first use.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env'), quiet: true });
+const { z } = require('zod');
+
+const commaList = z
+    .string()
+    .transform(value => value.split(',').map(item => item.trim()).filter(Boolean));
+
+const envSchema = z.object({
+    NODE_ENV: z.enum(['development', 'production', 'test']).default('development'),
+    PORT: z.coerce.number({ error: 'must be a port number' }).int().min(1).max(65535).default(5000),
+    MONGODB_URI: z
+        .string()
+        .regex(/^mongodb(\+srv)?:\/\//, { error: 'must be a mongodb:// or mongodb+srv:// URL' })
+        .default('mongodb://localhost:27017/authDB'),
+    // "*" allows any origin; otherwise a comma-separated list of origins
+    CORS_ORIGINS: commaList.default(['*']),
+    // Number of proxies in front of the server, so req.ip is the real client
+    TRUST_PROXY: z.coerce.number({ error: 'must be a number' }).int().min(0).default(0),
+    PUBLIC_URL: z.url({ error: 'must be a full URL, e.g. http://192.168.1.10:5000' }).optional(),
+
+    JWT_ACCESS_SECRET: z
+        .string({ error: 'is required (generate one with `openssl rand -hex 32`)' })
+        .min(32, { error: 'must be at least 32 characters' }),
+    JWT_ACCESS_TTL: z
+        .string()
+        .regex(/^\d+[smhd]?$/, { error: 'must look like 15m, 1h or 900' })
+        .default('15m'),
+    REFRESH_TOKEN_TTL_DAYS: z.coerce.number({ error: 'must be a number of days' }).int().min(1).default(30),
+
+    // Relative paths are resolved from the backend directory
+    UPLOAD_DIR: z.string().default('uploads').transform(dir => path.resolve(__dirname, dir)),
+    MAX_UPLOAD_MB: z.coerce.number({ error: 'must be a number of megabytes' }).positive().default(15),
+    MAX_VIDEO_UPLOAD_MB: z.coerce.number({ error: 'must be a number of megabytes' }).positive().default(200),
+
+    MAIL_TRANSPORT: z.string().default('console'),
+    // Relative paths are resolved from the backend directory
+    MAIL_DIR: z.string().default('mail-outbox').transform(dir => path.resolve(__dirname, dir)),
+    MAIL_FROM: z.string().default('no-reply@myapp.local')
+});
+
+const loadConfig = (env) => {
+    // Treat `KEY=` lines in .env as unset so defaults apply
+    const defined = Object.fromEntries(Object.entries(env).filter(([, value]) => value !== ''));
+    const result = envSchema.safeParse(defined);
+    if (!result.success) {
+        const problems = result.error.issues
+            .map(issue => `  - ${issue.path.join('.')}: ${issue.message}`)
+            .join('\n');
+        console.error(`Invalid configuration. Set these in backend/.env (see .env.example):\n${problems}`);
+        process.exit(1);
+    }
+
+    const vars = result.data;
+    return Object.freeze({
+        env: vars.NODE_ENV,
+        isProduction: vars.NODE_ENV === 'production',
+        port: vars.PORT,
+        mongoUri: vars.MONGODB_URI,
+        corsOrigins: vars.CORS_ORIGINS,
+        trustProxy: vars.TRUST_PROXY,
+        publicUrl: vars.PUBLIC_URL || `http://localhost:${vars.PORT}`,
+        jwt: Object.freeze({
+            accessSecret: vars.JWT_ACCESS_SECRET,
+            accessTtl: vars.JWT_ACCESS_TTL,
+            refreshTtlDays: vars.REFRESH_TOKEN_TTL_DAYS
+        }),
+        uploads: Object.freeze({
+            dir: vars.UPLOAD_DIR,
+            maxBytes: Math.round(vars.MAX_UPLOAD_MB * 1024 * 1024),
+            maxVideoBytes: Math.round(vars.MAX_VIDEO_UPLOAD_MB * 1024 * 1024)
+        }),
+        mail: Object.freeze({
+            transport: vars.MAIL_TRANSPORT,
+            dir: vars.MAIL_DIR,
+            from: vars.MAIL_FROM
+        })
+    });
+};
+
+module.exports = loadConfig(process.env);
@@ -0,0 +1,37 @@
+const config = require('../config');
+const createConsoleTransport = require('./transports/console');
+const createFileTransport = require('./transports/file');
+
+// Transport factories by name. Add a real provider (SMTP, SES, ...) with
+// registerTransport and select it with MAIL_TRANSPORT.
+const factories = {
+    console: createConsoleTransport,
+    file: createFileTransport
+};
+
+let transport = null;
+
+const registerTransport = (name, factory) => {
+    factories[name] = factory;
+};
+
+const getTransport = () => {
+    if (!transport) {
+        const name = config.mail.transport;
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown mail transport "${name}"`);
+        }
+        transport = factory();
+    }
+    return transport;
+};
+
+// Replace the active transport, e.g. with an in-memory one in tests
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+const sendMail = (message) => getTransport().send({ from: config.mail.from, ...message });
+
+module.exports = { registerTransport, setTransport, sendMail };
@@ -0,0 +1,41 @@
+const verifyEmail = ({ user, link, token }) => ({
+    subject: 'Verify your email address',
+    text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        link,
+        '',
+        `Or enter this code in the app: ${token}`,
+        '',
+        'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+    ].join('\n')
+});
+
+const changeEmail = ({ user, link, token }) => ({
+    subject: 'Confirm your new email address',
+    text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm this is your new email address by opening the link below:',
+        link,
+        '',
+        `Or enter this code in the app: ${token}`,
+        '',
+        'The link expires in 24 hours. Until then you can keep logging in with your current email.'
+    ].join('\n')
+});
+
+const resetPassword = ({ user, token }) => ({
+    subject: 'Reset your password',
+    text: [
+        `Hi ${user.name},`,
+        '',
+        'We received a request to reset your password. Enter this code in the app to choose a new one:',
+        token,
+        '',
+        'The code expires in 1 hour. If you did not ask for a reset, you can ignore this email; your password will not change.'
+    ].join('\n')
+});
+
+module.exports = { verifyEmail, changeEmail, resetPassword };
@@ -0,0 +1,14 @@
+// Prints outgoing mail to stdout. Handy during local development.
+const createConsoleTransport = () => ({
+    send: async (message) => {
+        console.log('----- Outgoing email -----');
+        console.log(`From: ${message.from}`);
+        console.log(`To: ${message.to}`);
+        console.log(`Subject: ${message.subject}`);
+        console.log('');
+        console.log(message.text);
+        console.log('--------------------------');
+    }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,17 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../../config');
+
+// Writes each outgoing message to its own JSON file so tests and offline
+// setups can read them back.
+const createFileTransport = ({ dir = config.mail.dir } = {}) => ({
+    send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+
+        const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+        const file = path.join(dir, `${Date.now()}-${safeRecipient}.json`);
+        await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    }
+});
+
+module.exports = createFileTransport;
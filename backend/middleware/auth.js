@@ -0,0 +1,42 @@
+const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/tokens');
+const { unauthorized, forbidden } = require('../utils/errors');
+
+// Requires a valid "Authorization: Bearer <accessToken>" header and
+// exposes the token's subject as req.user
+const requireAuth = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return next(unauthorized('AUTH_REQUIRED', 'Authentication required'));
+    }
+
+    try {
+        const payload = verifyAccessToken(token);
+        req.user = { id: payload.sub, email: payload.email };
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return next(unauthorized('TOKEN_EXPIRED', 'Access token expired'));
+        }
+        next(unauthorized('INVALID_TOKEN', 'Invalid access token'));
+    }
+};
+
+// Must run after requireAuth. The role is read from the database rather than
+// the token so that demotions and disabled accounts take effect immediately.
+const requireRole = (...roles) => async (req, res, next) => {
+    const user = await User.findById(req.user.id).select('role disabled');
+    if (!user || user.disabled) {
+        throw unauthorized('AUTH_REQUIRED', 'Authentication required');
+    }
+    if (!roles.includes(user.role)) {
+        throw forbidden('FORBIDDEN', 'Insufficient permissions');
+    }
+
+    req.user.role = user.role;
+    next();
+};
+
+module.exports = { requireAuth, requireRole };
@@ -0,0 +1,42 @@
+const { ApiError, notFound } = require('../utils/errors');
+
+// Catch-all for requests that didn't match any route
+const notFoundHandler = (req, res, next) => {
+    next(notFound(`Route ${req.method} ${req.originalUrl} not found`));
+};
+
+// Turns anything thrown by a route into a { code, message, fieldErrors } response.
+// Express recognises error handlers by their four arguments, so keep `next`.
+const errorHandler = (err, req, res, next) => {
+    if (err instanceof ApiError) {
+        if (err.retryAfter) {
+            res.set('Retry-After', String(err.retryAfter));
+        }
+        return res.status(err.status).json(err.toJSON());
+    }
+
+    // Malformed JSON body rejected by express.json()
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ code: 'INVALID_JSON', message: 'Request body is not valid JSON', fieldErrors: {} });
+    }
+
+    // Body larger than the parser's limit
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large', fieldErrors: {} });
+    }
+
+    // Unique index violation, e.g. two registrations racing for one email
+    if (err.code === 11000) {
+        const field = Object.keys(err.keyPattern || {})[0];
+        return res.status(409).json({
+            code: 'DUPLICATE',
+            message: 'A record with that value already exists',
+            fieldErrors: field ? { [field]: 'Already in use' } : {}
+        });
+    }
+
+    console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+    res.status(500).json({ code: 'SERVER_ERROR', message: 'Server error', fieldErrors: {} });
+};
+
+module.exports = { notFoundHandler, errorHandler };
@@ -0,0 +1,99 @@
+const { rateLimit } = require('express-rate-limit');
+const { tooManyRequests } = require('../utils/errors');
+const { backoffDelayMs, secondsUntil, formatWait } = require('../utils/backoff');
+
+// Reports how long until the client's window resets
+const limitHandler = (message) => (req, res, next, options) => {
+    const resetTime = req.rateLimit.resetTime || new Date(Date.now() + options.windowMs);
+    const retryAfter = secondsUntil(resetTime);
+    next(tooManyRequests('RATE_LIMITED', `${message} Try again in ${formatWait(retryAfter)}.`, retryAfter));
+};
+
+// Applies to every public auth route
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 100,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: limitHandler('Too many requests.')
+});
+
+// Applies to the signed-in user's routes that check the current password or
+// send email. Counted per account rather than per IP, so a stolen access
+// token can't be used to guess the password or flood an inbox, and these
+// don't use up the public auth routes' allowance.
+const profileLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 20,
+    keyGenerator: (req) => req.user.id,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: limitHandler('Too many attempts.')
+});
+
+// Stops one client from creating accounts in bulk
+const registerLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    limit: 10,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: limitHandler('Too many accounts created from this network.')
+});
+
+// Per-IP failed login counters. Kept in memory, so they reset when the server
+// restarts; the per-account lock on the User document is the durable one.
+const IP_BACKOFF = { freeAttempts: 5, maxDelayMs: 15 * 60 * 1000 };
+const IP_ENTRY_TTL_MS = 60 * 60 * 1000;
+const ipFailures = new Map();
+
+const getIpEntry = (ip) => {
+    const entry = ipFailures.get(ip);
+    if (entry && Date.now() - entry.lastFailureAt > IP_ENTRY_TTL_MS) {
+        ipFailures.delete(ip);
+        return null;
+    }
+    return entry;
+};
+
+// Rejects logins from an IP that is still in its backoff window
+const loginThrottle = (req, res, next) => {
+    const entry = getIpEntry(req.ip);
+    if (entry && entry.blockedUntil > Date.now()) {
+        const retryAfter = secondsUntil(entry.blockedUntil);
+        return next(tooManyRequests(
+            'TOO_MANY_ATTEMPTS',
+            `Too many failed login attempts. Try again in ${formatWait(retryAfter)}.`,
+            retryAfter
+        ));
+    }
+    next();
+};
+
+const recordIpFailure = (ip) => {
+    const failures = (getIpEntry(ip)?.failures || 0) + 1;
+    ipFailures.set(ip, {
+        failures,
+        lastFailureAt: Date.now(),
+        blockedUntil: Date.now() + backoffDelayMs(failures, IP_BACKOFF)
+    });
+};
+
+const clearIpFailures = (ip) => {
+    ipFailures.delete(ip);
+};
+
+// Drop stale entries so the map can't grow without bound
+setInterval(() => {
+    for (const ip of ipFailures.keys()) {
+        getIpEntry(ip);
+    }
+}, IP_ENTRY_TTL_MS).unref();
+
+module.exports = {
+    authLimiter,
+    profileLimiter,
+    registerLimiter,
+    loginThrottle,
+    recordIpFailure,
+    clearIpFailures
+};
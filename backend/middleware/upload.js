@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const multer = require('multer');
+const config = require('../config');
+const { ApiError, badRequest } = require('../utils/errors');
+const { IMAGE_TYPES, incomingDir } = require('../utils/photoStorage');
+
+// Files are received under a random name and processed by the route
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        fs.mkdir(incomingDir, { recursive: true }, error => cb(error, incomingDir));
+    },
+    filename: (req, file, cb) => {
+        cb(null, `${crypto.randomUUID()}.upload`);
+    }
+});
+
+const imageUpload = multer({
+    storage,
+    limits: { fileSize: config.uploads.maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!IMAGE_TYPES.includes(file.mimetype)) {
+            return cb(badRequest('UNSUPPORTED_FILE_TYPE', 'Only JPEG, PNG and WebP images can be uploaded', {
+                [file.fieldname]: 'Unsupported file type'
+            }));
+        }
+        cb(null, true);
+    }
+});
+
+// Accepts a single image in `field` and reports multer's errors in our error shape
+const uploadImage = (field) => (req, res, next) => {
+    imageUpload.single(field)(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            const maxMb = Math.round(config.uploads.maxBytes / 1024 / 1024);
+            return next(new ApiError(413, 'FILE_TOO_LARGE', `Images must be smaller than ${maxMb} MB`, {
+                [field]: 'File is too large'
+            }));
+        }
+        if (error instanceof multer.MulterError) {
+            return next(badRequest('INVALID_UPLOAD', error.message));
+        }
+        next(error);
+    });
+};
+
+module.exports = { uploadImage };
@@ -0,0 +1,38 @@
+const { badRequest } = require('../utils/errors');
+
+// Maps zod issues to { field: firstMessage }
+const toFieldErrors = (issues) => {
+    const fieldErrors = {};
+    for (const issue of issues) {
+        const field = issue.path.join('.') || '_';
+        if (!fieldErrors[field]) {
+            fieldErrors[field] = issue.message;
+        }
+    }
+    return fieldErrors;
+};
+
+// Validates req.body / req.query / req.params against zod schemas and replaces
+// them with the parsed (trimmed, lowercased, coerced) values.
+const validate = (schemas) => (req, res, next) => {
+    const fieldErrors = {};
+
+    for (const part of ['params', 'query', 'body']) {
+        if (!schemas[part]) continue;
+
+        const result = schemas[part].safeParse(req[part] ?? {});
+        if (result.success) {
+            // req.query is a getter in Express 5, so redefine rather than assign
+            Object.defineProperty(req, part, { value: result.data, writable: true, enumerable: true });
+        } else {
+            Object.assign(fieldErrors, toFieldErrors(result.error.issues));
+        }
+    }
+
+    if (Object.keys(fieldErrors).length > 0) {
+        return next(badRequest('VALIDATION_ERROR', 'Please correct the highlighted fields', fieldErrors));
+    }
+    next();
+};
+
+module.exports = { validate };
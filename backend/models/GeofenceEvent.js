@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// The device entering or leaving one of the user's geofences, logged by the
+// app so supervisors can audit site visits. The geofence's name and circle are
+// copied in, since geofences only live on the device and may later change.
+// `clientId` is the id the app gave the event, so sending it twice doesn't
+// create a duplicate.
+const geofenceEventSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    clientId: {
+        type: String,
+        required: true
+    },
+    geofenceId: {
+        type: String,
+        required: true
+    },
+    geofenceName: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['enter', 'exit'],
+        required: true
+    },
+    latitude: {
+        type: Number,
+        required: true
+    },
+    longitude: {
+        type: Number,
+        required: true
+    },
+    // Meters
+    radius: {
+        type: Number,
+        required: true
+    },
+    // When the device saw the event; createdAt is when the server got it
+    occurredAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+geofenceEventSchema.index({ user: 1, clientId: 1 }, { unique: true });
+geofenceEventSchema.index({ user: 1, occurredAt: -1 });
+
+geofenceEventSchema.methods.toDetails = function () {
+    return {
+        id: this.clientId,
+        geofenceId: this.geofenceId,
+        geofenceName: this.geofenceName,
+        type: this.type,
+        latitude: this.latitude,
+        longitude: this.longitude,
+        radius: this.radius,
+        occurredAt: this.occurredAt,
+        receivedAt: this.createdAt
+    };
+};
+
+module.exports = mongoose.model('GeofenceEvent', geofenceEventSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const locationSchema = require('./locationSchema');
+
+// A photo or video clip uploaded from the Camera tab. Files live on disk under
+// config.uploads.dir/<user id>/: processed JPEGs with their thumbnails, and
+// videos exactly as they were recorded.
+const photoSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    kind: {
+        type: String,
+        enum: ['photo', 'video'],
+        default: 'photo'
+    },
+    filename: {
+        type: String,
+        required: true
+    },
+    originalName: {
+        type: String,
+        default: null
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    // Not known for videos, which are stored without being decoded
+    width: {
+        type: Number,
+        default: null
+    },
+    height: {
+        type: Number,
+        default: null
+    },
+    // Length in seconds, for videos
+    duration: {
+        type: Number,
+        default: null
+    },
+    // When the picture was taken on the device; defaults to upload time
+    capturedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Where the picture was taken, if the user turned on geotagging in the app
+    location: {
+        type: locationSchema,
+        default: null
+    },
+    // WebP previews, see THUMBNAIL_SIZES in utils/imageProcessing
+    thumbnails: [{
+        _id: false,
+        name: String,
+        filename: String,
+        width: Number,
+        height: Number
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+photoSchema.index({ user: 1, capturedAt: -1 });
+
+// Representation sent to clients
+photoSchema.methods.toDetails = function () {
+    return {
+        id: this._id,
+        kind: this.kind,
+        originalName: this.originalName,
+        mimeType: this.mimeType,
+        size: this.size,
+        width: this.width,
+        height: this.height,
+        duration: this.duration,
+        capturedAt: this.capturedAt,
+        location: this.location,
+        createdAt: this.createdAt,
+        url: `/api/photos/${this._id}/file`,
+        thumbnails: Object.fromEntries(this.thumbnails.map(thumbnail => [thumbnail.name, {
+            width: thumbnail.width,
+            height: thumbnail.height,
+            url: `/api/photos/${this._id}/thumbnails/${thumbnail.name}`
+        }]))
+    };
+};
+
+module.exports = mongoose.model('Photo', photoSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A barcode or QR code read on the Camera tab and synced from the app's scan
+// history. `clientId` is the id the app gave the scan, so syncing the same
+// history twice doesn't create duplicates.
+const scanSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    clientId: {
+        type: String,
+        required: true
+    },
+    // Barcode type as reported by the camera, e.g. 'qr', 'ean13', 'code128'
+    type: {
+        type: String,
+        required: true
+    },
+    data: {
+        type: String,
+        required: true
+    },
+    scannedAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+scanSchema.index({ user: 1, clientId: 1 }, { unique: true });
+scanSchema.index({ user: 1, scannedAt: -1 });
+
+scanSchema.methods.toDetails = function () {
+    return {
+        id: this.clientId,
+        type: this.type,
+        data: this.data,
+        scannedAt: this.scannedAt
+    };
+};
+
+module.exports = mongoose.model('Scan', scanSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const locationSchema = require('./locationSchema');
+
+// One fix along a track: a photo's location fields plus the speed the device
+// reported, in meters per second
+const trackPointSchema = locationSchema.clone();
+trackPointSchema.add({
+    speed: {
+        type: Number,
+        default: null
+    }
+});
+
+// Trip statistics computed by the app when the track was saved (see
+// schemas/tracks.js for the units)
+const trackStatsSchema = new mongoose.Schema({
+    distance: {
+        type: Number,
+        required: true
+    },
+    elapsedTime: {
+        type: Number,
+        required: true
+    },
+    movingTime: {
+        type: Number,
+        required: true
+    },
+    averageSpeed: {
+        type: Number,
+        default: null
+    },
+    maxSpeed: {
+        type: Number,
+        default: null
+    },
+    elevationGain: {
+        type: Number,
+        default: null
+    },
+    elevationLoss: {
+        type: Number,
+        default: null
+    }
+}, { _id: false });
+
+// A GPS track recorded on the Location tab and uploaded from the app.
+// `clientId` is the id the app gave the track, so uploading it twice doesn't
+// create a duplicate. Lists leave out the points, which can run to thousands.
+const trackSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    clientId: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    endedAt: {
+        type: Date,
+        required: true
+    },
+    stats: {
+        type: trackStatsSchema,
+        default: null
+    },
+    points: {
+        type: [trackPointSchema],
+        default: []
+    },
+    pointCount: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+trackSchema.index({ user: 1, clientId: 1 }, { unique: true });
+trackSchema.index({ user: 1, startedAt: -1 });
+
+trackSchema.methods.toSummary = function () {
+    return {
+        id: this.clientId,
+        name: this.name,
+        startedAt: this.startedAt,
+        endedAt: this.endedAt,
+        pointCount: this.pointCount,
+        stats: this.stats ? {
+            distance: this.stats.distance,
+            elapsedTime: this.stats.elapsedTime,
+            movingTime: this.stats.movingTime,
+            averageSpeed: this.stats.averageSpeed,
+            maxSpeed: this.stats.maxSpeed,
+            elevationGain: this.stats.elevationGain,
+            elevationLoss: this.stats.elevationLoss
+        } : null
+    };
+};
+
+trackSchema.methods.toDetails = function () {
+    return {
+        ...this.toSummary(),
+        points: this.points.map(point => ({
+            latitude: point.latitude,
+            longitude: point.longitude,
+            accuracy: point.accuracy,
+            altitude: point.altitude,
+            heading: point.heading,
+            speed: point.speed,
+            recordedAt: point.recordedAt
+        }))
+    };
+};
+
+module.exports = mongoose.model('Track', trackSchema);
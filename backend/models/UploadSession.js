@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const locationSchema = require('./locationSchema');
+
+// A resumable photo or video upload in progress. Chunks are appended to
+// config.uploads.dir/incoming/<session id>.part until `received` reaches
+// `size`, at which point the file becomes a Photo and this session is removed.
+const uploadSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    originalName: {
+        type: String,
+        default: null
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    // Bytes stored so far; the next chunk must start at this offset
+    received: {
+        type: Number,
+        default: 0
+    },
+    capturedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Clip length in seconds, as reported by the app, for videos
+    duration: {
+        type: Number,
+        default: null
+    },
+    location: {
+        type: locationSchema,
+        default: null
+    },
+    // Abandoned uploads are cleaned up after this (see utils/photoStorage)
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+uploadSessionSchema.methods.toDetails = function () {
+    return {
+        id: this._id,
+        size: this.size,
+        received: this.received,
+        expiresAt: this.expiresAt
+    };
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
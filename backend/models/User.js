@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// User Schema
+const userSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    password: {
+        type: String,
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user'
+    },
+    // Set once the user opens the link from their verification email
+    verified: {
+        type: Boolean,
+        default: false
+    },
+    // New address waiting for confirmation after an email change
+    pendingEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: null
+    },
+    // Disabled accounts can't log in or refresh their session
+    disabled: {
+        type: Boolean,
+        default: false
+    },
+    // Consecutive failed logins and the time until which login is blocked
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: {
+        type: Date,
+        default: null
+    },
+    // Keep EXIF data (including GPS) in uploaded photos instead of stripping it
+    keepPhotoMetadata: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Public representation of a user, safe to send to clients
+userSchema.methods.toProfile = function () {
+    return {
+        id: this._id,
+        name: this.name,
+        email: this.email,
+        role: this.role,
+        verified: this.verified,
+        pendingEmail: this.pendingEmail,
+        disabled: this.disabled,
+        keepPhotoMetadata: this.keepPhotoMetadata,
+        createdAt: this.createdAt
+    };
+};
+
+// User Model
+module.exports = mongoose.model('User', userSchema);
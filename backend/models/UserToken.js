@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent to a user by email (verification, password reset).
+// Only the SHA-256 hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    purpose: {
+        type: String,
+        enum: ['verify-email', 'change-email', 'reset-password'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Let MongoDB purge expired tokens on its own
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
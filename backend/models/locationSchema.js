@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A GPS fix recorded on the device, embedded in documents that carry one.
+// Anything the device couldn't measure is null.
+const locationSchema = new mongoose.Schema({
+    latitude: {
+        type: Number,
+        required: true
+    },
+    longitude: {
+        type: Number,
+        required: true
+    },
+    // Horizontal accuracy radius in meters
+    accuracy: {
+        type: Number,
+        default: null
+    },
+    altitude: {
+        type: Number,
+        default: null
+    },
+    // Compass direction the device was pointing, in degrees from true north
+    heading: {
+        type: Number,
+        default: null
+    },
+    recordedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+module.exports = locationSchema;
@@ -0,0 +1,215 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const schemas = require('../schemas/auth');
+const { validate } = require('../middleware/validate');
+const { authLimiter, registerLimiter, loginThrottle, recordIpFailure, clearIpFailures } = require('../middleware/rateLimit');
+const { badRequest, unauthorized, forbidden, conflict } = require('../utils/errors');
+const { backoffDelayMs } = require('../utils/backoff');
+const { createUserToken, consumeUserToken } = require('../utils/userTokens');
+const { sendMail } = require('../mail');
+const templates = require('../mail/templates');
+const { sendVerificationEmail, confirmEmailToken } = require('../utils/verification');
+const {
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllUserTokens,
+    signAccessToken
+} = require('../utils/tokens');
+
+const router = express.Router();
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const ACCOUNT_BACKOFF = { freeAttempts: 3, maxDelayMs: 15 * 60 * 1000 };
+
+// Compared against when the email is unknown, so a miss takes as long as a
+// wrong password and response times don't reveal which emails exist
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+// Counts a failed login against the account and pushes its lock further out
+const recordAccountFailure = async (user) => {
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    );
+    const delay = backoffDelayMs(updated.failedLoginAttempts, ACCOUNT_BACKOFF);
+    if (delay > 0) {
+        await User.updateOne({ _id: user._id }, { lockUntil: new Date(Date.now() + delay) });
+    }
+};
+
+// Every route below goes through authLimiter, a per-IP cap on auth traffic.
+
+// Register Route
+router.post('/register', authLimiter, registerLimiter, validate({ body: schemas.register }), async (req, res) => {
+    const { name, email, password } = req.body;
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+        throw conflict('EMAIL_TAKEN', 'User already exists', { email: 'An account with this email already exists' });
+    }
+
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Create new user
+    const newUser = new User({
+        name,
+        email,
+        password: hashedPassword
+    });
+
+    await newUser.save();
+
+    // A mail failure shouldn't undo the registration; the user can resend
+    try {
+        await sendVerificationEmail(newUser);
+    } catch (error) {
+        console.error('Verification email error:', error);
+    }
+
+    res.status(201).json({ 
+        message: 'User registered successfully. Please check your email to verify your account.',
+        user: newUser.toProfile()
+    });
+});
+
+// Login Route
+router.post('/login', authLimiter, loginThrottle, validate({ body: schemas.login }), async (req, res) => {
+    const { email, password } = req.body;
+
+    // Find user by email
+    const user = await User.findOne({ email });
+
+    // Compare password. A locked account gets the same answer as a wrong
+    // password, even for the right one, so the response doesn't reveal which
+    // emails are registered.
+    const isMatch = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    const isLocked = Boolean(user && user.lockUntil > new Date());
+    if (!user || !isMatch || isLocked) {
+        recordIpFailure(req.ip);
+        // Attempts while locked don't push the lock further out
+        if (user && !isLocked) {
+            await recordAccountFailure(user);
+        }
+        throw badRequest('INVALID_CREDENTIALS', 'Invalid credentials');
+    }
+
+    clearIpFailures(req.ip);
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+        user.failedLoginAttempts = 0;
+        user.lockUntil = null;
+        await user.save();
+    }
+
+    if (user.disabled) {
+        throw forbidden('ACCOUNT_DISABLED', 'This account has been disabled');
+    }
+
+    const { accessToken, refreshToken } = await issueTokens(user);
+
+    res.status(200).json({ 
+        message: 'Login successful',
+        user: user.toProfile(),
+        accessToken,
+        refreshToken
+    });
+});
+
+// Refresh Route - trades a refresh token for a new access/refresh pair
+router.post('/refresh', authLimiter, validate({ body: schemas.refreshToken }), async (req, res) => {
+    const rotated = await rotateRefreshToken(req.body.refreshToken);
+    if (!rotated) {
+        throw unauthorized('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    const user = await User.findById(rotated.userId);
+    if (!user || user.disabled) {
+        throw unauthorized('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    res.status(200).json({
+        accessToken: signAccessToken(user),
+        refreshToken: rotated.refreshToken
+    });
+});
+
+// Logout Route - revokes the refresh token so it can no longer be used
+router.post('/logout', authLimiter, validate({ body: schemas.logout }), async (req, res) => {
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+        await revokeRefreshToken(refreshToken);
+    }
+
+    res.status(200).json({ message: 'Logged out successfully' });
+});
+
+const EMAIL_TOKEN_MESSAGES = {
+    verified: 'Email verified successfully',
+    'email-taken': 'That email address is now used by another account',
+    invalid: 'This verification link is invalid or has expired'
+};
+
+// Verify Email Route - used by the app. Also confirms email changes.
+router.post('/verify-email', authLimiter, validate({ body: schemas.verifyEmail }), async (req, res) => {
+    const result = await confirmEmailToken(req.body.token);
+    if (result === 'email-taken') {
+        throw conflict('EMAIL_TAKEN', EMAIL_TOKEN_MESSAGES[result]);
+    }
+    if (result === 'invalid') {
+        throw badRequest('INVALID_TOKEN', EMAIL_TOKEN_MESSAGES[result]);
+    }
+
+    res.status(200).json({ message: EMAIL_TOKEN_MESSAGES[result] });
+});
+
+// Verify Email Route - opened from the link in the email
+router.get('/verify-email', authLimiter, validate({ query: schemas.verifyEmail }), async (req, res) => {
+    const result = await confirmEmailToken(req.query.token);
+
+    res.status(result === 'verified' ? 200 : 400)
+        .type('text')
+        .send(result === 'verified'
+            ? 'Your email has been verified. You can return to the app.'
+            : EMAIL_TOKEN_MESSAGES[result]);
+});
+
+// Forgot Password Route - emails a reset code. Always answers the same way so
+// it can't be used to find out which emails are registered.
+router.post('/forgot-password', authLimiter, validate({ body: schemas.forgotPassword }), async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && !user.disabled) {
+        const token = await createUserToken(user._id, 'reset-password', RESET_TOKEN_TTL_MS);
+        try {
+            await sendMail({ to: user.email, ...templates.resetPassword({ user, token }) });
+        } catch (error) {
+            console.error('Password reset email error:', error);
+        }
+    }
+
+    res.status(200).json({ message: 'If an account exists for that email, a reset code has been sent.' });
+});
+
+// Reset Password Route - sets a new password and ends every existing session
+router.post('/reset-password', authLimiter, validate({ body: schemas.resetPassword }), async (req, res) => {
+    const used = await consumeUserToken(req.body.token, 'reset-password');
+    if (!used) {
+        throw badRequest('INVALID_TOKEN', 'This reset code is invalid or has expired', { token: 'Invalid or expired code' });
+    }
+
+    const hashedPassword = await bcrypt.hash(req.body.password, 10);
+    // Receiving the code proves the user owns the email address
+    await User.updateOne(
+        { _id: used.user },
+        { password: hashedPassword, verified: true, failedLoginAttempts: 0, lockUntil: null }
+    );
+    await revokeAllUserTokens(used.user);
+
+    res.status(200).json({ message: 'Password reset successfully. Please log in with your new password.' });
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const GeofenceEvent = require('../models/GeofenceEvent');
+const schemas = require('../schemas/geofenceEvents');
+const { validate } = require('../middleware/validate');
+const { listGeofenceEvents } = require('../utils/geofenceEvents');
+
+const router = express.Router();
+
+// List the current user's geofence events, newest first - supports ?page=,
+// ?limit=, ?geofenceId=, ?type=enter|exit, ?from= and ?to=
+router.get('/', validate({ query: schemas.listQuery }), async (req, res) => {
+    res.status(200).json(await listGeofenceEvents(req.user.id, req.query));
+});
+
+// Record geofence events seen on the device - Body: { events: [{ id,
+// geofenceId, geofenceName, type, latitude, longitude, radius, occurredAt }] }
+// Events the server already has are left as they are.
+router.post('/', validate({ body: schemas.record }), async (req, res) => {
+    const { events } = req.body;
+
+    if (events.length > 0) {
+        await GeofenceEvent.bulkWrite(events.map(event => ({
+            updateOne: {
+                filter: { user: req.user.id, clientId: event.id },
+                update: {
+                    $setOnInsert: {
+                        geofenceId: event.geofenceId,
+                        geofenceName: event.geofenceName,
+                        type: event.type,
+                        latitude: event.latitude,
+                        longitude: event.longitude,
+                        radius: event.radius,
+                        occurredAt: event.occurredAt
+                    }
+                },
+                upsert: true
+            }
+        })), { ordered: false });
+    }
+
+    res.status(200).json({
+        message: 'Events recorded',
+        recorded: events.map(event => event.id)
+    });
+});
+
+module.exports = router;
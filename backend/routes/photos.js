@@ -0,0 +1,109 @@
+const fs = require('fs/promises');
+const express = require('express');
+const Photo = require('../models/Photo');
+const schemas = require('../schemas/photos');
+const { idParams } = require('../schemas/common');
+const { validate } = require('../middleware/validate');
+const { uploadImage } = require('../middleware/upload');
+const { badRequest, notFound } = require('../utils/errors');
+const { photoPath, thumbnailPath, createPhoto, removePhoto } = require('../utils/photoStorage');
+const uploadRoutes = require('./uploads');
+
+const router = express.Router();
+
+// Resumable uploads; registered before /:id so "uploads" isn't taken for an id
+router.use('/uploads', uploadRoutes);
+
+// Loads one of the current user's photos; other users' photos are reported as missing
+const loadPhoto = async (req, res, next) => {
+    const photo = await Photo.findOne({ _id: req.params.id, user: req.user.id });
+    if (!photo) {
+        throw notFound('Photo not found');
+    }
+
+    req.photo = photo;
+    next();
+};
+
+// Upload a photo - multipart/form-data: photo (file), capturedAt (optional ISO date)
+router.post('/', uploadImage('photo'), validate({ body: schemas.upload }), async (req, res) => {
+    if (!req.file) {
+        throw badRequest('FILE_REQUIRED', 'Please choose a photo to upload', { photo: 'Photo is required' });
+    }
+
+    const photo = await createPhoto({
+        userId: req.user.id,
+        sourcePath: req.file.path,
+        originalName: req.file.originalname,
+        capturedAt: req.body.capturedAt
+    });
+
+    res.status(201).json({
+        message: 'Photo uploaded',
+        photo: photo.toDetails()
+    });
+});
+
+// List the current user's photos, newest first - supports ?page= and ?limit=
+router.get('/', validate({ query: schemas.listQuery }), async (req, res) => {
+    const { page, limit } = req.query;
+    const filter = { user: req.user.id };
+
+    const [photos, total] = await Promise.all([
+        Photo.find(filter)
+            .sort({ capturedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Photo.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+        photos: photos.map(photo => photo.toDetails()),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+    });
+});
+
+// Get a photo's metadata
+router.get('/:id', validate({ params: idParams }), loadPhoto, async (req, res) => {
+    res.status(200).json({ photo: req.photo.toDetails() });
+});
+
+// Download the image or video itself. sendFile answers Range requests, which
+// video players use to seek.
+router.get('/:id/file', validate({ params: idParams }), loadPhoto, async (req, res) => {
+    res.type(req.photo.mimeType);
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.sendFile(photoPath(req.photo));
+});
+
+// Download a thumbnail - :size is small, medium or large
+router.get('/:id/thumbnails/:size', validate({ params: schemas.thumbnailParams }), loadPhoto, async (req, res) => {
+    const file = thumbnailPath(req.photo, req.params.size);
+    if (!file) {
+        throw notFound('Thumbnail not found');
+    }
+
+    res.type('image/webp');
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.sendFile(file);
+});
+
+// Delete a photo and its files
+router.delete('/:id', validate({ params: idParams }), loadPhoto, async (req, res) => {
+    await removePhoto(req.photo);
+
+    res.status(200).json({ message: 'Photo deleted' });
+});
+
+// A failed upload request must not leave its file behind on disk
+router.use(async (err, req, res, next) => {
+    if (req.file) {
+        await fs.rm(req.file.path, { force: true }).catch(() => {});
+    }
+    next(err);
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const schemas = require('../schemas/profile');
+const { profileLimiter } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { badRequest, unauthorized, conflict } = require('../utils/errors');
+const { issueTokens, revokeAllUserTokens } = require('../utils/tokens');
+const { deleteAccount } = require('../utils/accounts');
+const { sendVerificationEmail, sendEmailChangeConfirmation } = require('../utils/verification');
+
+const router = express.Router();
+
+// Loads the logged-in user, treating deleted or disabled accounts as logged out
+const findCurrentUser = async (req) => {
+    const user = await User.findById(req.user.id);
+    if (!user || user.disabled) {
+        throw unauthorized('AUTH_REQUIRED', 'Authentication required');
+    }
+    return user;
+};
+
+const checkCurrentPassword = async (user, currentPassword) => {
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+        throw badRequest('INVALID_PASSWORD', 'Current password is incorrect', { currentPassword: 'Incorrect password' });
+    }
+};
+
+// Current user's own profile
+router.get('/me', async (req, res) => {
+    const user = await findCurrentUser(req);
+
+    res.status(200).json({ user: user.toProfile() });
+});
+
+// Update profile details - Body: { name?, keepPhotoMetadata? }
+router.patch('/me', validate({ body: schemas.updateProfile }), async (req, res) => {
+    const user = await findCurrentUser(req);
+
+    if (req.body.name !== undefined) {
+        user.name = req.body.name;
+    }
+    if (req.body.keepPhotoMetadata !== undefined) {
+        user.keepPhotoMetadata = req.body.keepPhotoMetadata;
+    }
+    await user.save();
+
+    res.status(200).json({ message: 'Profile updated', user: user.toProfile() });
+});
+
+// Start an email change - Body: { email, currentPassword }
+// The address only changes once the link sent to it is opened.
+router.post('/me/email', profileLimiter, validate({ body: schemas.changeEmail }), async (req, res) => {
+    const user = await findCurrentUser(req);
+    await checkCurrentPassword(user, req.body.currentPassword);
+
+    const { email } = req.body;
+    if (email === user.email) {
+        throw badRequest('EMAIL_UNCHANGED', 'That is already your email address', { email: 'This is your current email' });
+    }
+    if (await User.exists({ email })) {
+        throw conflict('EMAIL_TAKEN', 'User already exists', { email: 'An account with this email already exists' });
+    }
+
+    user.pendingEmail = email;
+    await user.save();
+    await sendEmailChangeConfirmation(user);
+
+    res.status(200).json({
+        message: `We sent a confirmation link to ${email}. Your email will change once you open it.`,
+        user: user.toProfile()
+    });
+});
+
+// Change password - Body: { currentPassword, newPassword }
+// Signs out every other session and returns a fresh token pair for this one.
+router.put('/me/password', profileLimiter, validate({ body: schemas.changePassword }), async (req, res) => {
+    const user = await findCurrentUser(req);
+    await checkCurrentPassword(user, req.body.currentPassword);
+
+    user.password = await bcrypt.hash(req.body.newPassword, 10);
+    await user.save();
+
+    await revokeAllUserTokens(user._id);
+    const { accessToken, refreshToken } = await issueTokens(user);
+
+    res.status(200).json({ message: 'Password changed successfully', accessToken, refreshToken });
+});
+
+// Delete account - Body: { currentPassword }
+router.delete('/me', profileLimiter, validate({ body: schemas.deleteAccount }), async (req, res) => {
+    const user = await findCurrentUser(req);
+    await checkCurrentPassword(user, req.body.currentPassword);
+
+    await deleteAccount(user);
+
+    res.status(200).json({ message: 'Your account has been deleted' });
+});
+
+// Sends a new verification email to the current user
+router.post('/resend-verification', profileLimiter, async (req, res) => {
+    const user = await findCurrentUser(req);
+    if (user.verified) {
+        throw badRequest('ALREADY_VERIFIED', 'Your email is already verified');
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({ message: 'Verification email sent' });
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const Scan = require('../models/Scan');
+const schemas = require('../schemas/scans');
+const { validate } = require('../middleware/validate');
+const { notFound } = require('../utils/errors');
+
+const router = express.Router();
+
+// List the current user's synced scans, newest first - supports ?page= and ?limit=
+router.get('/', validate({ query: schemas.listQuery }), async (req, res) => {
+    const { page, limit } = req.query;
+    const filter = { user: req.user.id };
+
+    const [scans, total] = await Promise.all([
+        Scan.find(filter)
+            .sort({ scannedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Scan.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+        scans: scans.map(scan => scan.toDetails()),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+    });
+});
+
+// Sync scans from the device - Body: { scans: [{ id, type, data, scannedAt }] }
+// Scans the server already has are left as they are.
+router.post('/', validate({ body: schemas.sync }), async (req, res) => {
+    const { scans } = req.body;
+
+    if (scans.length > 0) {
+        await Scan.bulkWrite(scans.map(scan => ({
+            updateOne: {
+                filter: { user: req.user.id, clientId: scan.id },
+                update: {
+                    $setOnInsert: {
+                        type: scan.type,
+                        data: scan.data,
+                        scannedAt: scan.scannedAt
+                    }
+                },
+                upsert: true
+            }
+        })), { ordered: false });
+    }
+
+    res.status(200).json({
+        message: 'Scans synced',
+        synced: scans.map(scan => scan.id)
+    });
+});
+
+// Clear the current user's synced history
+router.delete('/', async (req, res) => {
+    await Scan.deleteMany({ user: req.user.id });
+
+    res.status(200).json({ message: 'Scan history cleared' });
+});
+
+// Delete one synced scan
+router.delete('/:id', validate({ params: schemas.scanParams }), async (req, res) => {
+    const result = await Scan.deleteOne({ user: req.user.id, clientId: req.params.id });
+    if (result.deletedCount === 0) {
+        throw notFound('Scan not found');
+    }
+
+    res.status(200).json({ message: 'Scan deleted' });
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const Track = require('../models/Track');
+const schemas = require('../schemas/tracks');
+const { validate } = require('../middleware/validate');
+const { notFound } = require('../utils/errors');
+const { GEO_FORMATS, formatGeoData } = require('../utils/geoFormats');
+
+const router = express.Router();
+
+// List the current user's tracks without their points, newest first -
+// supports ?page= and ?limit=
+router.get('/', validate({ query: schemas.listQuery }), async (req, res) => {
+    const { page, limit } = req.query;
+    const filter = { user: req.user.id };
+
+    const [tracks, total] = await Promise.all([
+        Track.find(filter)
+            .select('-points')
+            .sort({ startedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Track.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+        tracks: tracks.map(track => track.toSummary()),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+    });
+});
+
+// Unnamed tracks are called after when they were recorded, as in the app
+const geoTrack = (track) => ({
+    name: track.name || `Track ${track.startedAt.toISOString()}`,
+    points: track.points
+});
+
+const sendGeoFile = (res, format, fileName, data) => {
+    const { extension, mimeType } = GEO_FORMATS[format];
+    res.attachment(`${fileName}.${extension}`);
+    res.type(mimeType);
+    res.status(200).send(formatGeoData(format, data));
+};
+
+// Download every track as one GPX, GeoJSON or KML file - ?format=gpx (default),
+// geojson or kml
+router.get('/export', validate({ query: schemas.exportQuery }), async (req, res) => {
+    const tracks = await Track.find({ user: req.user.id }).sort({ startedAt: -1 });
+
+    sendGeoFile(res, req.query.format, 'tracks', { name: 'Tracks', tracks: tracks.map(geoTrack) });
+});
+
+// Upload a finished track - Body: { id, name, startedAt, endedAt, stats, points }
+// A track the server already has is left as it is.
+router.post('/', validate({ body: schemas.createTrack }), async (req, res) => {
+    const { id, name, startedAt, endedAt, stats, points } = req.body;
+
+    const existing = await Track.findOne({ user: req.user.id, clientId: id }).select('-points');
+    if (existing) {
+        return res.status(200).json({ message: 'Track already uploaded', track: existing.toSummary() });
+    }
+
+    const track = await Track.create({
+        user: req.user.id,
+        clientId: id,
+        name: name || null,
+        startedAt,
+        endedAt,
+        stats: stats || null,
+        points,
+        pointCount: points.length
+    });
+
+    res.status(201).json({ message: 'Track uploaded', track: track.toSummary() });
+});
+
+// Get one track with all of its points
+router.get('/:id', validate({ params: schemas.trackParams }), async (req, res) => {
+    const track = await Track.findOne({ user: req.user.id, clientId: req.params.id });
+    if (!track) {
+        throw notFound('Track not found');
+    }
+
+    res.status(200).json({ track: track.toDetails() });
+});
+
+// Download one track as a GPX, GeoJSON or KML file - ?format= as above
+router.get('/:id/export', validate({ params: schemas.trackParams, query: schemas.exportQuery }), async (req, res) => {
+    const track = await Track.findOne({ user: req.user.id, clientId: req.params.id });
+    if (!track) {
+        throw notFound('Track not found');
+    }
+
+    const data = geoTrack(track);
+    sendGeoFile(res, req.query.format, `track-${track.clientId}`, { name: data.name, tracks: [data] });
+});
+
+// Delete one track
+router.delete('/:id', validate({ params: schemas.trackParams }), async (req, res) => {
+    const result = await Track.deleteOne({ user: req.user.id, clientId: req.params.id });
+    if (result.deletedCount === 0) {
+        throw notFound('Track not found');
+    }
+
+    res.status(200).json({ message: 'Track deleted' });
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const fs = require('fs/promises');
+const express = require('express');
+const UploadSession = require('../models/UploadSession');
+const schemas = require('../schemas/photos');
+const { idParams } = require('../schemas/common');
+const { validate } = require('../middleware/validate');
+const { badRequest, conflict, notFound } = require('../utils/errors');
+const {
+    VIDEO_TYPES,
+    incomingDir,
+    partialPath,
+    createPhoto,
+    createVideo,
+    removeUploadSession
+} = require('../utils/photoStorage');
+
+const router = express.Router();
+
+// Largest chunk accepted per request; clients are told to use this size
+const CHUNK_BYTES = 512 * 1024;
+
+// Unfinished uploads are kept this long after their last chunk
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const expiresFromNow = () => new Date(Date.now() + SESSION_TTL_MS);
+
+// Loads one of the current user's unfinished uploads
+const loadSession = async (req, res, next) => {
+    const session = await UploadSession.findOne({ _id: req.params.id, user: req.user.id });
+    if (!session) {
+        throw notFound('Upload not found');
+    }
+
+    req.uploadSession = session;
+    next();
+};
+
+// Turns a fully received upload into a Photo. The received file is consumed
+// even if it turns out not to be an image or video, so the session ends either way.
+const finishUpload = async (session) => {
+    const details = {
+        userId: session.user,
+        sourcePath: partialPath(session),
+        originalName: session.originalName,
+        capturedAt: session.capturedAt,
+        location: session.location
+    };
+
+    try {
+        if (VIDEO_TYPES.includes(session.mimeType)) {
+            return await createVideo({
+                ...details,
+                mimeType: session.mimeType,
+                size: session.size,
+                duration: session.duration
+            });
+        }
+        return await createPhoto(details);
+    } finally {
+        await session.deleteOne();
+    }
+};
+
+// Start a resumable upload - Body: { mimeType, size, originalName?, duration?, capturedAt?, location? }
+router.post('/', validate({ body: schemas.createUpload }), async (req, res) => {
+    const session = await UploadSession.create({
+        ...req.body,
+        user: req.user.id,
+        expiresAt: expiresFromNow()
+    });
+
+    await fs.mkdir(incomingDir, { recursive: true });
+    await fs.writeFile(partialPath(session), '');
+
+    res.status(201).json({
+        upload: session.toDetails(),
+        chunkSize: CHUNK_BYTES
+    });
+});
+
+// Check how much of an upload has arrived, e.g. before resuming it
+router.get('/:id', validate({ params: idParams }), loadSession, async (req, res) => {
+    res.status(200).json({
+        upload: req.uploadSession.toDetails(),
+        chunkSize: CHUNK_BYTES
+    });
+});
+
+// Send the next chunk - Query: ?offset=<bytes already received>, Body: raw bytes
+// (application/octet-stream). Responds with the new offset, or with the photo
+// once the last chunk is in.
+router.put(
+    '/:id',
+    express.raw({ type: 'application/octet-stream', limit: CHUNK_BYTES }),
+    validate({ params: idParams, query: schemas.chunkQuery }),
+    loadSession,
+    async (req, res) => {
+        const session = req.uploadSession;
+        const { offset } = req.query;
+        const chunk = req.body;
+
+        if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+            throw badRequest('EMPTY_CHUNK', 'Send the chunk as an application/octet-stream body');
+        }
+        if (offset !== session.received) {
+            throw conflict('OFFSET_MISMATCH', `Upload should continue from byte ${session.received}`);
+        }
+        if (offset + chunk.length > session.size) {
+            throw badRequest('CHUNK_TOO_LARGE', 'Chunk goes past the end of the file');
+        }
+
+        const file = await fs.open(partialPath(session), 'r+');
+        try {
+            await file.write(chunk, 0, chunk.length, offset);
+        } finally {
+            await file.close();
+        }
+
+        // Only advance if no other request got there first
+        const updated = await UploadSession.findOneAndUpdate(
+            { _id: session._id, received: offset },
+            { received: offset + chunk.length, expiresAt: expiresFromNow() },
+            { new: true }
+        );
+        if (!updated) {
+            throw conflict('OFFSET_MISMATCH', 'Upload was updated by another request');
+        }
+
+        if (updated.received < updated.size) {
+            return res.status(200).json({ upload: updated.toDetails() });
+        }
+
+        const photo = await finishUpload(updated);
+        res.status(201).json({
+            message: photo.kind === 'video' ? 'Video uploaded' : 'Photo uploaded',
+            photo: photo.toDetails()
+        });
+    }
+);
+
+// Abandon an upload
+router.delete('/:id', validate({ params: idParams }), loadSession, async (req, res) => {
+    await removeUploadSession(req.uploadSession);
+
+    res.status(200).json({ message: 'Upload cancelled' });
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const User = require('../models/User');
+const schemas = require('../schemas/users');
+const geofenceEventSchemas = require('../schemas/geofenceEvents');
+const { idParams } = require('../schemas/common');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { badRequest, notFound } = require('../utils/errors');
+const { revokeAllUserTokens } = require('../utils/tokens');
+const { deleteAccount } = require('../utils/accounts');
+const { listGeofenceEvents } = require('../utils/geofenceEvents');
+
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Everything in this router is admin-only
+router.use(requireRole('admin'));
+
+// Loads the :id user into req.targetUser and stops admins from acting on themselves
+const loadTargetUser = async (req, res, next) => {
+    if (req.params.id === req.user.id) {
+        throw badRequest('CANNOT_MODIFY_SELF', 'You cannot modify your own account here');
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        throw notFound('User not found');
+    }
+
+    req.targetUser = user;
+    next();
+};
+
+// List users - supports ?search=, ?page= and ?limit=
+router.get('/', validate({ query: schemas.listQuery }), async (req, res) => {
+    const { search, page, limit } = req.query;
+
+    const filter = {};
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+        User.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+        users: users.map(user => user.toProfile()),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+    });
+});
+
+// Get a single user
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        throw notFound('User not found');
+    }
+
+    res.status(200).json({ user: user.toProfile() });
+});
+
+// Audit a user's site visits: their geofence events, newest first - supports the
+// same query as GET /api/geofence-events
+router.get('/:id/geofence-events', validate({ params: idParams, query: geofenceEventSchemas.listQuery }), async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        throw notFound('User not found');
+    }
+
+    res.status(200).json(await listGeofenceEvents(user._id, req.query));
+});
+
+// Disable or re-enable an account - Body: { disabled: boolean }
+router.patch('/:id/disabled', validate({ params: idParams, body: schemas.setDisabled }), loadTargetUser, async (req, res) => {
+    const { disabled } = req.body;
+
+    req.targetUser.disabled = disabled;
+    await req.targetUser.save();
+
+    // Kick a disabled user out of every active session
+    if (disabled) {
+        await revokeAllUserTokens(req.targetUser._id);
+    }
+
+    res.status(200).json({
+        message: disabled ? 'User disabled' : 'User enabled',
+        user: req.targetUser.toProfile()
+    });
+});
+
+// Promote or demote a user - Body: { role: 'user' | 'admin' }
+router.patch('/:id/role', validate({ params: idParams, body: schemas.setRole }), loadTargetUser, async (req, res) => {
+    req.targetUser.role = req.body.role;
+    await req.targetUser.save();
+
+    res.status(200).json({
+        message: 'User role updated',
+        user: req.targetUser.toProfile()
+    });
+});
+
+// Delete a user along with their sessions and uploads
+router.delete('/:id', validate({ params: idParams }), loadTargetUser, async (req, res) => {
+    await deleteAccount(req.targetUser);
+
+    res.status(200).json({ message: 'User deleted' });
+});
+
+module.exports = router;
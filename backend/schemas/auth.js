@@ -0,0 +1,31 @@
+const { z } = require('zod');
+const { requiredString, email, password, name } = require('./common');
+
+const register = z.object({ name, email, password });
+
+// Login only checks that a password was sent; strength rules apply at registration
+const login = z.object({
+    email,
+    password: requiredString('Password').min(1, { error: 'Password is required' })
+});
+
+const refreshToken = z.object({
+    refreshToken: requiredString('Refresh token').min(1, { error: 'Refresh token is required' })
+});
+
+const logout = z.object({
+    refreshToken: z.string().optional()
+});
+
+const verifyEmail = z.object({
+    token: requiredString('Verification token').trim().min(1, { error: 'Verification token is required' })
+});
+
+const forgotPassword = z.object({ email });
+
+const resetPassword = z.object({
+    token: requiredString('Reset code').trim().min(1, { error: 'Reset code is required' }),
+    password
+});
+
+module.exports = { register, login, refreshToken, logout, verifyEmail, forgotPassword, resetPassword };
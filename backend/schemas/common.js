@@ -0,0 +1,46 @@
+const { z } = require('zod');
+const mongoose = require('mongoose');
+
+// String that reports missing and wrongly-typed values separately
+const requiredString = (label) => z.string({
+    error: issue => (issue.input === undefined ? `${label} is required` : `${label} must be a string`)
+});
+
+const email = requiredString('Email')
+    .trim()
+    .toLowerCase()
+    .pipe(z.email({ error: 'Enter a valid email address' }).max(254, { error: 'Email is too long' }));
+
+// bcrypt only uses the first 72 bytes of a password, so cap it there
+const password = requiredString('Password')
+    .min(8, { error: 'Password must be at least 8 characters' })
+    .max(72, { error: 'Password must be at most 72 characters' })
+    .regex(/[a-z]/i, { error: 'Password must contain a letter' })
+    .regex(/[0-9]/, { error: 'Password must contain a number' });
+
+const name = requiredString('Name')
+    .trim()
+    .min(2, { error: 'Name must be at least 2 characters' })
+    .max(50, { error: 'Name must be at most 50 characters' });
+
+const objectId = z
+    .string()
+    .refine(value => mongoose.isValidObjectId(value), { error: 'Invalid id' });
+
+const idParams = z.object({ id: objectId });
+
+// GPS fix recorded on the device (a geotagged photo's position, a track point)
+const location = z.object({
+    latitude: z.number({ error: 'latitude must be a number' })
+        .min(-90, { error: 'latitude must be between -90 and 90' })
+        .max(90, { error: 'latitude must be between -90 and 90' }),
+    longitude: z.number({ error: 'longitude must be a number' })
+        .min(-180, { error: 'longitude must be between -180 and 180' })
+        .max(180, { error: 'longitude must be between -180 and 180' }),
+    accuracy: z.number().min(0).nullable().optional(),
+    altitude: z.number().nullable().optional(),
+    heading: z.number().min(0).max(360).nullable().optional(),
+    recordedAt: z.coerce.date({ error: 'recordedAt must be a date' }).nullable().optional()
+}, { error: 'location must be an object' });
+
+module.exports = { requiredString, email, password, name, objectId, idParams, location };
@@ -0,0 +1,42 @@
+const { z } = require('zod');
+const { location } = require('./common');
+
+// Largest number of events accepted in one request
+const MAX_EVENTS_PER_REQUEST = 100;
+
+// Geofences are created on the device with a radius of 100 m to 2 km (see
+// RADIUS_OPTIONS in my-app/services/geofences.js)
+const MIN_RADIUS = 100;
+const MAX_RADIUS = 2000;
+
+const event = z.object({
+    id: z.string({ error: 'id is required' }).trim().min(1).max(64),
+    geofenceId: z.string({ error: 'geofenceId is required' }).trim().min(1).max(64),
+    geofenceName: z.string({ error: 'geofenceName is required' }).trim()
+        .min(1, { error: 'geofenceName is required' })
+        .max(100, { error: 'geofenceName must be at most 100 characters' }),
+    type: z.enum(['enter', 'exit'], { error: 'type must be enter or exit' }),
+    latitude: location.shape.latitude,
+    longitude: location.shape.longitude,
+    radius: z.number({ error: 'radius must be a number' })
+        .min(MIN_RADIUS, { error: `radius must be at least ${MIN_RADIUS} meters` })
+        .max(MAX_RADIUS, { error: `radius must be at most ${MAX_RADIUS} meters` }),
+    occurredAt: z.coerce.date({ error: 'occurredAt must be a date' })
+});
+
+// Events seen on the device since they were last sent
+const record = z.object({
+    events: z.array(event, { error: 'events must be a list' })
+        .max(MAX_EVENTS_PER_REQUEST, { error: `Send at most ${MAX_EVENTS_PER_REQUEST} events at a time` })
+});
+
+const listQuery = z.object({
+    page: z.coerce.number().int().min(1).optional().default(1),
+    limit: z.coerce.number().int().min(1).max(200).optional().default(100),
+    geofenceId: z.string().trim().min(1).max(64).optional(),
+    type: z.enum(['enter', 'exit'], { error: 'type must be enter or exit' }).optional(),
+    from: z.coerce.date({ error: 'from must be a date' }).optional(),
+    to: z.coerce.date({ error: 'to must be a date' }).optional()
+});
+
+module.exports = { record, listQuery };
@@ -0,0 +1,53 @@
+const { z } = require('zod');
+const config = require('../config');
+const { IMAGE_TYPES, VIDEO_TYPES } = require('../utils/photoStorage');
+const { THUMBNAIL_SIZES } = require('../utils/imageProcessing');
+const { objectId, location } = require('./common');
+
+const maxMb = Math.round(config.uploads.maxBytes / 1024 / 1024);
+const maxVideoMb = Math.round(config.uploads.maxVideoBytes / 1024 / 1024);
+
+// Multipart fields that accompany the uploaded file
+const upload = z.object({
+    capturedAt: z.coerce.date({ error: 'capturedAt must be a date' }).optional()
+});
+
+// Starts a resumable upload; the file itself is sent afterwards in chunks.
+// This is the only way to upload videos, which get a larger size limit.
+const createUpload = z.object({
+    originalName: z.string().trim().max(255).optional(),
+    mimeType: z.enum([...IMAGE_TYPES, ...VIDEO_TYPES], {
+        error: 'Only JPEG, PNG and WebP images or MP4 and QuickTime videos can be uploaded'
+    }),
+    size: z.number({ error: 'size must be a number of bytes' }).int().positive(),
+    duration: z.number({ error: 'duration must be a number of seconds' }).positive().optional(),
+    capturedAt: z.coerce.date({ error: 'capturedAt must be a date' }).optional(),
+    location: location.optional()
+}).superRefine((body, ctx) => {
+    const isVideo = VIDEO_TYPES.includes(body.mimeType);
+    const maxBytes = isVideo ? config.uploads.maxVideoBytes : config.uploads.maxBytes;
+    if (body.size > maxBytes) {
+        ctx.addIssue({
+            code: 'custom',
+            path: ['size'],
+            message: isVideo ? `Videos must be smaller than ${maxVideoMb} MB` : `Images must be smaller than ${maxMb} MB`
+        });
+    }
+});
+
+// Byte position the chunk in the request body starts at
+const chunkQuery = z.object({
+    offset: z.coerce.number({ error: 'offset must be a number' }).int().min(0)
+});
+
+const thumbnailParams = z.object({
+    id: objectId,
+    size: z.enum(Object.keys(THUMBNAIL_SIZES), { error: 'Unknown thumbnail size' })
+});
+
+const listQuery = z.object({
+    page: z.coerce.number().int().min(1).optional().default(1),
+    limit: z.coerce.number().int().min(1).max(100).optional().default(30)
+});
+
+module.exports = { upload, createUpload, chunkQuery, thumbnailParams, listQuery };
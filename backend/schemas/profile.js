@@ -0,0 +1,19 @@
+const { z } = require('zod');
+const { requiredString, email, password, name } = require('./common');
+
+// Any non-empty string; used to confirm the user's current password
+const currentPassword = requiredString('Current password').min(1, { error: 'Current password is required' });
+
+// Fields left out are not changed
+const updateProfile = z.object({
+    name: name.optional(),
+    keepPhotoMetadata: z.boolean({ error: 'keepPhotoMetadata must be true or false' }).optional()
+});
+
+const changeEmail = z.object({ email, currentPassword });
+
+const changePassword = z.object({ currentPassword, newPassword: password });
+
+const deleteAccount = z.object({ currentPassword });
+
+module.exports = { updateProfile, changeEmail, changePassword, deleteAccount };
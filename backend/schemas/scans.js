@@ -0,0 +1,29 @@
+const { z } = require('zod');
+
+// Largest number of scans accepted in one sync request
+const MAX_SCANS_PER_SYNC = 100;
+
+const scan = z.object({
+    id: z.string({ error: 'id is required' }).trim().min(1).max(64),
+    type: z.string({ error: 'type is required' }).trim().min(1).max(32),
+    data: z.string({ error: 'data is required' }).min(1).max(4096, { error: 'Scanned data is too long' }),
+    scannedAt: z.coerce.date({ error: 'scannedAt must be a date' })
+});
+
+// Scans recorded on the device since the last sync
+const sync = z.object({
+    scans: z.array(scan, { error: 'scans must be a list' })
+        .max(MAX_SCANS_PER_SYNC, { error: `Send at most ${MAX_SCANS_PER_SYNC} scans at a time` })
+});
+
+const listQuery = z.object({
+    page: z.coerce.number().int().min(1).optional().default(1),
+    limit: z.coerce.number().int().min(1).max(200).optional().default(100)
+});
+
+// Scans are addressed by the id the app gave them
+const scanParams = z.object({
+    id: z.string().trim().min(1).max(64)
+});
+
+module.exports = { sync, listQuery, scanParams };
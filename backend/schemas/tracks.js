@@ -0,0 +1,56 @@
+const { z } = require('zod');
+const { location } = require('./common');
+const { GEO_FORMATS } = require('../utils/geoFormats');
+
+// Longest track accepted, about 11 hours at one fix every 2 seconds
+const MAX_TRACK_POINTS = 20000;
+
+const trackPoint = location.extend({
+    speed: z.number().min(0).nullable().optional(),
+    recordedAt: z.coerce.date({ error: 'recordedAt must be a date' })
+});
+
+// Trip statistics the app computes from the points - meters, milliseconds and
+// meters per second
+const nonNegative = (name) => z.number({ error: `${name} must be a number` })
+    .min(0, { error: `${name} must not be negative` });
+const trackStats = z.object({
+    distance: nonNegative('distance'),
+    elapsedTime: nonNegative('elapsedTime'),
+    movingTime: nonNegative('movingTime'),
+    averageSpeed: nonNegative('averageSpeed').nullable(),
+    maxSpeed: nonNegative('maxSpeed').nullable(),
+    elevationGain: nonNegative('elevationGain').nullable(),
+    elevationLoss: nonNegative('elevationLoss').nullable()
+});
+
+// A finished track uploaded from the device
+const createTrack = z.object({
+    id: z.string({ error: 'id is required' }).trim().min(1).max(64),
+    name: z.string().trim().max(100, { error: 'Name must be at most 100 characters' }).nullable().optional(),
+    startedAt: z.coerce.date({ error: 'startedAt must be a date' }),
+    endedAt: z.coerce.date({ error: 'endedAt must be a date' }),
+    stats: trackStats.nullable().optional(),
+    points: z.array(trackPoint, { error: 'points must be a list' })
+        .min(1, { error: 'A track needs at least one point' })
+        .max(MAX_TRACK_POINTS, { error: `A track can have at most ${MAX_TRACK_POINTS} points` })
+}).refine(track => track.endedAt >= track.startedAt, {
+    path: ['endedAt'],
+    error: 'endedAt must not be before startedAt'
+});
+
+const listQuery = z.object({
+    page: z.coerce.number().int().min(1).optional().default(1),
+    limit: z.coerce.number().int().min(1).max(100).optional().default(50)
+});
+
+const exportQuery = z.object({
+    format: z.enum(Object.keys(GEO_FORMATS), { error: 'format must be gpx, geojson or kml' }).optional().default('gpx')
+});
+
+// Tracks are addressed by the id the app gave them
+const trackParams = z.object({
+    id: z.string().trim().min(1).max(64)
+});
+
+module.exports = { createTrack, listQuery, exportQuery, trackParams };
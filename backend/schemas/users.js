@@ -0,0 +1,17 @@
+const { z } = require('zod');
+
+const listQuery = z.object({
+    search: z.string().trim().max(100).optional().default(''),
+    page: z.coerce.number().int().min(1).optional().default(1),
+    limit: z.coerce.number().int().min(1).max(100).optional().default(20)
+});
+
+const setDisabled = z.object({
+    disabled: z.boolean({ error: 'disabled must be true or false' })
+});
+
+const setRole = z.object({
+    role: z.enum(['user', 'admin'], { error: 'Role must be "user" or "admin"' })
+});
+
+module.exports = { listQuery, setDisabled, setRole };
@@ -0,0 +1,27 @@
+// Promotes an existing user to admin: npm run make-admin -- user@example.com
+const config = require('../config');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const email = process.argv[2];
+
+if (!email) {
+    console.error('Usage: npm run make-admin -- <email>');
+    process.exit(1);
+}
+
+mongoose.connect(config.mongoUri)
+.then(async () => {
+    const user = await User.findOneAndUpdate({ email }, { role: 'admin' }, { new: true });
+    if (!user) {
+        console.error(`No user found with email ${email}`);
+        process.exitCode = 1;
+    } else {
+        console.log(`${user.email} is now an admin`);
+    }
+})
+.catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exitCode = 1;
+})
+.finally(() => mongoose.disconnect());
@@ -1,119 +1,75 @@
+const config = require('./config');
+const os = require('os');
 const express = require('express');
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 const cors = require('cors');
-require('dotenv').config();
+const authRoutes = require('./routes/auth');
+const profileRoutes = require('./routes/profile');
+const userRoutes = require('./routes/users');
+const photoRoutes = require('./routes/photos');
+const scanRoutes = require('./routes/scans');
+const trackRoutes = require('./routes/tracks');
+const geofenceEventRoutes = require('./routes/geofenceEvents');
+const { requireAuth } = require('./middleware/auth');
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { startUploadCleanup } = require('./utils/photoStorage');
 
 const app = express();
-const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
+app.set('trust proxy', config.trustProxy);
+app.use(cors({ origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins }));
+// Uploaded tracks carry every GPS fix, so they get a larger body limit
+app.use('/api/tracks', express.json({ limit: '5mb' }));
 app.use(express.json());
 
 // MongoDB Connection
-mongoose.connect('mongodb://localhost:27017/authDB')
-.then(() => console.log('MongoDB connected successfully'))
+mongoose.connect(config.mongoUri)
+.then(() => {
+    console.log('MongoDB connected successfully');
+    startUploadCleanup();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
-// User Schema
-const userSchema = new mongoose.Schema({
-    name: {
-        type: String,
-        required: true
-    },
-    email: {
-        type: String,
-        required: true,
-        unique: true
-    },
-    password: {
-        type: String,
-        required: true
-    },
-    createdAt: {
-        type: Date,
-        default: Date.now
-    }
-});
-
-// User Model
-const User = mongoose.model('User', userSchema);
-
 // Routes
 
-// Register Route
-app.post('/api/register', async (req, res) => {
-    try {
-        const { name, email, password } = req.body;
+// Public auth routes (register, login, refresh, logout)
+app.use('/api', authRoutes);
 
-        // Check if user already exists
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
-            return res.status(400).json({ message: 'User already exists' });
-        }
+// Every route registered below this line requires a valid access token
+app.use('/api', requireAuth);
 
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
+// Current user's profile
+app.use('/api', profileRoutes);
 
-        // Create new user
-        const newUser = new User({
-            name,
-            email,
-            password: hashedPassword
-        });
+// Admin-only user management
+app.use('/api/users', userRoutes);
 
-        await newUser.save();
+// Current user's photo gallery
+app.use('/api/photos', photoRoutes);
 
-        res.status(201).json({ 
-            message: 'User registered successfully',
-            user: { id: newUser._id, name: newUser.name, email: newUser.email }
-        });
-    } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
+// Current user's barcode/QR scan history
+app.use('/api/scans', scanRoutes);
 
-// Login Route
-app.post('/api/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
+// Current user's recorded GPS tracks
+app.use('/api/tracks', trackRoutes);
 
-        // Find user by email
-        const user = await User.findOne({ email });
-        if (!user) {
-            return res.status(400).json({ message: 'Invalid credentials' });
-        }
+// Current user's geofence enter/exit log
+app.use('/api/geofence-events', geofenceEventRoutes);
 
-        // Compare password
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) {
-            return res.status(400).json({ message: 'Invalid credentials' });
-        }
+// Unknown routes and errors thrown by any route above
+app.use(notFoundHandler);
+app.use(errorHandler);
 
-        res.status(200).json({ 
-            message: 'Login successful',
-            user: { id: user._id, name: user.name, email: user.email }
-        });
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
+// IPv4 addresses a phone on the same network can use to reach this machine
+const lanAddresses = () => Object.values(os.networkInterfaces())
+    .flat()
+    .filter(iface => iface && iface.family === 'IPv4' && !iface.internal)
+    .map(iface => iface.address);
 
-// Get all users (for testing)
-app.get('/api/users', async (req, res) => {
-    try {
-        const users = await User.find().select('-password');
-        res.status(200).json(users);
-    } catch (error) {
-        console.error('Error fetching users:', error);
-        res.status(500).json({ message: 'Server error' });
+app.listen(config.port, '0.0.0.0', () => {
+    console.log(`Server running on port ${config.port}`);
+    for (const address of lanAddresses()) {
+        console.log(`Access from mobile: http://${address}:${config.port}`);
     }
 });
-
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Access from mobile: http://172.17.24.213:${PORT}`);
-});
\ No newline at end of file
@@ -0,0 +1,21 @@
+const GeofenceEvent = require('../models/GeofenceEvent');
+const RefreshToken = require('../models/RefreshToken');
+const Scan = require('../models/Scan');
+const Track = require('../models/Track');
+const UserToken = require('../models/UserToken');
+const { removeUserPhotos } = require('./photoStorage');
+
+// Removes a user together with their sessions, pending tokens, uploads, synced
+// scans and tracks, and geofence events. Used by both self-service and admin
+// account deletion.
+const deleteAccount = async (user) => {
+    await RefreshToken.deleteMany({ user: user._id });
+    await UserToken.deleteMany({ user: user._id });
+    await removeUserPhotos(user._id);
+    await Scan.deleteMany({ user: user._id });
+    await Track.deleteMany({ user: user._id });
+    await GeofenceEvent.deleteMany({ user: user._id });
+    await user.deleteOne();
+};
+
+module.exports = { deleteAccount };
@@ -0,0 +1,23 @@
+// Failed-attempt backoff shared by the per-IP and per-account login throttles.
+// The first `freeAttempts` failures cost nothing; after that every failure
+// doubles the wait, starting at one second and capped at `maxDelayMs`, which
+// acts as a temporary lockout.
+const backoffDelayMs = (failures, { freeAttempts, maxDelayMs }) => {
+    if (failures < freeAttempts) {
+        return 0;
+    }
+    return Math.min(1000 * 2 ** (failures - freeAttempts), maxDelayMs);
+};
+
+const secondsUntil = (date) => Math.max(Math.ceil((date - Date.now()) / 1000), 1);
+
+// "45 seconds", "3 minutes"
+const formatWait = (seconds) => {
+    if (seconds < 60) {
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+module.exports = { backoffDelayMs, secondsUntil, formatWait };
@@ -0,0 +1,42 @@
+// Error type understood by the central error handler. Every error response
+// has the shape { code, message, fieldErrors }.
+class ApiError extends Error {
+    constructor(status, code, message, fieldErrors = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.fieldErrors = fieldErrors;
+    }
+
+    toJSON() {
+        return {
+            code: this.code,
+            message: this.message,
+            fieldErrors: this.fieldErrors
+        };
+    }
+}
+
+const badRequest = (code, message, fieldErrors) => new ApiError(400, code, message, fieldErrors);
+const unauthorized = (code, message) => new ApiError(401, code, message);
+const forbidden = (code, message) => new ApiError(403, code, message);
+const notFound = (message = 'Not found') => new ApiError(404, 'NOT_FOUND', message);
+const conflict = (code, message, fieldErrors) => new ApiError(409, code, message, fieldErrors);
+
+// retryAfter (seconds) is sent back as the Retry-After header
+const tooManyRequests = (code, message, retryAfter) => {
+    const error = new ApiError(429, code, message);
+    error.retryAfter = retryAfter;
+    return error;
+};
+
+module.exports = {
+    ApiError,
+    badRequest,
+    unauthorized,
+    forbidden,
+    notFound,
+    conflict,
+    tooManyRequests
+};
@@ -0,0 +1,108 @@
+// Writes tracks and places as the GPX, GeoJSON and KML files GIS tools read.
+// The app writes the same files when it shares them (my-app/services/geo-formats.js).
+//
+// Data: { name, tracks: [{ name, points }], places: [{ name, description,
+// latitude, longitude, altitude, time }] }, where a point has latitude,
+// longitude, altitude and recordedAt. Missing values are left out.
+
+const GEO_FORMATS = {
+    gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+const CREATOR = 'MyApp';
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+
+// Dates from the database are written as ISO strings
+const isoTime = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+// Optional child elements, left out when there's no value
+const optional = (tag, value) => (value == null || value === '' ? '' : `<${tag}>${escapeXml(value)}</${tag}>`);
+
+const toGpx = ({ name, tracks, places }) => {
+    const position = (tag, point, time, extra = '') =>
+        `<${tag} lat="${point.latitude}" lon="${point.longitude}">` +
+        `${optional('ele', point.altitude)}${optional('time', isoTime(time))}${extra}</${tag}>`;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`,
+        `  <metadata>${optional('name', name)}</metadata>`,
+        ...places.map(place =>
+            `  ${position('wpt', place, place.time, optional('name', place.name) + optional('desc', place.description))}`
+        ),
+        ...tracks.map(track => [
+            `  <trk>${optional('name', track.name)}`,
+            '    <trkseg>',
+            ...track.points.map(point => `      ${position('trkpt', point, point.recordedAt)}`),
+            '    </trkseg>',
+            '  </trk>'
+        ].join('\n')),
+        '</gpx>',
+        ''
+    ].join('\n');
+};
+
+const coordinates = (point) => (point.altitude == null
+    ? [point.longitude, point.latitude]
+    : [point.longitude, point.latitude, point.altitude]);
+
+const toGeoJson = ({ name, tracks, places }) => JSON.stringify({
+    type: 'FeatureCollection',
+    name: name ?? undefined,
+    features: [
+        ...places.map(place => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: coordinates(place) },
+            properties: {
+                name: place.name ?? null,
+                description: place.description ?? null,
+                time: isoTime(place.time)
+            }
+        })),
+        // coordTimes is how GIS tools carry a line's timestamps in GeoJSON
+        ...tracks.map(track => ({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: track.points.map(coordinates) },
+            properties: {
+                name: track.name ?? null,
+                coordTimes: track.points.map(point => isoTime(point.recordedAt))
+            }
+        }))
+    ]
+}) + '\n';
+
+const toKml = ({ name, tracks, places }) => {
+    const kmlCoordinates = (point) => coordinates(point).join(',');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        `  <Document>${optional('name', name)}`,
+        ...places.map(place =>
+            `    <Placemark>${optional('name', place.name)}${optional('description', place.description)}` +
+            `${place.time ? `<TimeStamp><when>${escapeXml(isoTime(place.time))}</when></TimeStamp>` : ''}` +
+            `<Point><coordinates>${kmlCoordinates(place)}</coordinates></Point></Placemark>`
+        ),
+        ...tracks.map(track => [
+            `    <Placemark>${optional('name', track.name)}`,
+            '      <LineString><coordinates>',
+            ...track.points.map(point => `        ${kmlCoordinates(point)}`),
+            '      </coordinates></LineString>',
+            '    </Placemark>'
+        ].join('\n')),
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+};
+
+const WRITERS = { gpx: toGpx, geojson: toGeoJson, kml: toKml };
+
+// The file contents for data in one of GEO_FORMATS
+const formatGeoData = (format, data) => WRITERS[format]({ name: null, tracks: [], places: [], ...data });
+
+module.exports = { GEO_FORMATS, formatGeoData };
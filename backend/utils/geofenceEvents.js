@@ -0,0 +1,34 @@
+const GeofenceEvent = require('../models/GeofenceEvent');
+
+// One page of a user's geofence events, newest first, as returned by both the
+// user's own list and the admin audit list. `query` is schemas/geofenceEvents.js
+// listQuery: ?geofenceId= and ?type= narrow it down, ?from= and ?to= limit when
+// the events happened.
+const listGeofenceEvents = async (userId, { page, limit, geofenceId, type, from, to }) => {
+    const filter = { user: userId };
+    if (geofenceId) filter.geofenceId = geofenceId;
+    if (type) filter.type = type;
+    if (from || to) {
+        filter.occurredAt = {};
+        if (from) filter.occurredAt.$gte = from;
+        if (to) filter.occurredAt.$lte = to;
+    }
+
+    const [events, total] = await Promise.all([
+        GeofenceEvent.find(filter)
+            .sort({ occurredAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        GeofenceEvent.countDocuments(filter)
+    ]);
+
+    return {
+        events: events.map(event => event.toDetails()),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+    };
+};
+
+module.exports = { listGeofenceEvents };
@@ -0,0 +1,68 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { badRequest } = require('./errors');
+
+// Longest edge, in pixels, of each thumbnail generated for a photo
+const THUMBNAIL_SIZES = {
+    small: 200,
+    medium: 600,
+    large: 1200
+};
+
+// Decodes an upload, rejecting files that only claim to be images. Pixels
+// are rotated upright so the EXIF orientation tag is no longer needed.
+const openImage = (sourcePath) => sharp(sourcePath, { failOn: 'error' }).autoOrient();
+
+/**
+ * Converts an uploaded image into a JPEG plus WebP thumbnails in `destDir`,
+ * named after `baseName`. EXIF, GPS and other metadata are dropped unless
+ * `keepMetadata` is set; thumbnails never carry any.
+ */
+const processImage = async (sourcePath, { destDir, baseName, keepMetadata = false }) => {
+    const filename = `${baseName}.jpg`;
+    const written = [];
+
+    try {
+        await fs.mkdir(destDir, { recursive: true });
+
+        let image = openImage(sourcePath).flatten({ background: '#ffffff' });
+        if (keepMetadata) {
+            image = image.keepMetadata();
+        }
+        written.push(filename);
+        const info = await image.jpeg({ quality: 85, mozjpeg: true }).toFile(path.join(destDir, filename));
+
+        // One at a time to keep memory use down on large originals
+        const thumbnails = [];
+        for (const [name, maxEdge] of Object.entries(THUMBNAIL_SIZES)) {
+            const thumbnailName = `${baseName}_${name}.webp`;
+            written.push(thumbnailName);
+            const thumbnail = await openImage(sourcePath)
+                .resize(maxEdge, maxEdge, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toFile(path.join(destDir, thumbnailName));
+            thumbnails.push({ name, filename: thumbnailName, width: thumbnail.width, height: thumbnail.height });
+        }
+
+        return {
+            filename,
+            mimeType: 'image/jpeg',
+            size: info.size,
+            width: info.width,
+            height: info.height,
+            thumbnails
+        };
+    } catch (error) {
+        await Promise.all(written.map(file => fs.rm(path.join(destDir, file), { force: true })));
+        // File system errors carry a code; anything else is libvips failing to decode
+        if (!error.code) {
+            throw badRequest('INVALID_IMAGE', 'The uploaded file is not a readable image', {
+                photo: 'Could not read image'
+            });
+        }
+        throw error;
+    }
+};
+
+module.exports = { THUMBNAIL_SIZES, processImage };
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const Photo = require('../models/Photo');
+const UploadSession = require('../models/UploadSession');
+const User = require('../models/User');
+const { badRequest } = require('./errors');
+const { processImage } = require('./imageProcessing');
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Accepted upload types; everything is stored as JPEG after processing
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Videos are stored as recorded, so they keep their own container and extension
+const VIDEO_EXTENSIONS = {
+    'video/mp4': '.mp4',
+    'video/quicktime': '.mov'
+};
+const VIDEO_TYPES = Object.keys(VIDEO_EXTENSIONS);
+
+// Top-level box types an MP4/QuickTime file can start with
+const VIDEO_BOXES = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip'];
+
+// Every user's photos live in their own directory
+const userDir = (userId) => path.join(config.uploads.dir, userId.toString());
+
+const photoPath = (photo) => path.join(userDir(photo.user), photo.filename);
+
+const thumbnailPath = (photo, name) => {
+    const thumbnail = photo.thumbnails.find(item => item.name === name);
+    return thumbnail ? path.join(userDir(photo.user), thumbnail.filename) : null;
+};
+
+// Uploads are received here and only move to the user's directory once processed
+const incomingDir = path.join(config.uploads.dir, 'incoming');
+
+const partialPath = (session) => path.join(incomingDir, `${session._id}.part`);
+
+// Processes a received upload into a Photo owned by `userId`. The source file
+// is removed either way. Metadata is only kept if the user opted in.
+const createPhoto = async ({ userId, sourcePath, originalName, capturedAt, location }) => {
+    try {
+        const user = await User.findById(userId).select('keepPhotoMetadata');
+        const processed = await processImage(sourcePath, {
+            destDir: userDir(userId),
+            baseName: crypto.randomUUID(),
+            keepMetadata: Boolean(user?.keepPhotoMetadata)
+        });
+
+        return await Photo.create({
+            ...processed,
+            user: userId,
+            originalName: originalName || null,
+            capturedAt,
+            location
+        });
+    } finally {
+        await fs.rm(sourcePath, { force: true });
+    }
+};
+
+// Videos aren't decoded, but a file that doesn't even start like an MP4 or
+// QuickTime container is turned away
+const checkVideoContainer = async (sourcePath) => {
+    const file = await fs.open(sourcePath, 'r');
+    try {
+        const header = Buffer.alloc(8);
+        const { bytesRead } = await file.read(header, 0, header.length, 0);
+        const box = header.toString('latin1', 4, 8);
+        if (bytesRead < header.length || !VIDEO_BOXES.includes(box)) {
+            throw badRequest('INVALID_VIDEO', 'The uploaded file is not a valid video', { video: 'Could not read video' });
+        }
+    } finally {
+        await file.close();
+    }
+};
+
+// Moves a received video into the user's directory as a Photo of kind 'video'.
+// The source file is removed if anything goes wrong.
+const createVideo = async ({ userId, sourcePath, originalName, mimeType, size, duration, capturedAt, location }) => {
+    const filename = `${crypto.randomUUID()}${VIDEO_EXTENSIONS[mimeType]}`;
+    const destPath = path.join(userDir(userId), filename);
+
+    try {
+        await checkVideoContainer(sourcePath);
+        await fs.mkdir(userDir(userId), { recursive: true });
+        await fs.rename(sourcePath, destPath);
+
+        return await Photo.create({
+            user: userId,
+            kind: 'video',
+            filename,
+            originalName: originalName || null,
+            mimeType,
+            size,
+            duration,
+            capturedAt,
+            location
+        });
+    } catch (error) {
+        await fs.rm(sourcePath, { force: true });
+        await fs.rm(destPath, { force: true });
+        throw error;
+    }
+};
+
+// Deletes a photo's files and its database record
+const removePhoto = async (photo) => {
+    const files = [photoPath(photo), ...photo.thumbnails.map(item => thumbnailPath(photo, item.name))];
+    await Promise.all(files.map(file => fs.rm(file, { force: true })));
+    await photo.deleteOne();
+};
+
+// Deletes an unfinished upload and whatever was received of it
+const removeUploadSession = async (session) => {
+    await fs.rm(partialPath(session), { force: true });
+    await session.deleteOne();
+};
+
+// Deletes everything a user uploaded, e.g. when their account is removed
+const removeUserPhotos = async (userId) => {
+    const sessions = await UploadSession.find({ user: userId });
+    await Promise.all(sessions.map(removeUploadSession));
+
+    await fs.rm(userDir(userId), { recursive: true, force: true });
+    await Photo.deleteMany({ user: userId });
+};
+
+// Periodically drops uploads that were started but never finished
+const startUploadCleanup = () => {
+    const cleanup = async () => {
+        const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } });
+        await Promise.all(expired.map(removeUploadSession));
+    };
+
+    setInterval(() => {
+        cleanup().catch(err => console.error('Upload cleanup failed:', err));
+    }, CLEANUP_INTERVAL_MS).unref();
+};
+
+module.exports = {
+    IMAGE_TYPES,
+    VIDEO_TYPES,
+    userDir,
+    photoPath,
+    thumbnailPath,
+    incomingDir,
+    partialPath,
+    createPhoto,
+    createVideo,
+    removePhoto,
+    removeUploadSession,
+    removeUserPhotos,
+    startUploadCleanup
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const RefreshToken = require('../models/RefreshToken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) => jwt.sign(
+    { sub: user._id.toString(), email: user.email },
+    config.jwt.accessSecret,
+    { expiresIn: config.jwt.accessTtl }
+);
+
+const verifyAccessToken = (token) => jwt.verify(token, config.jwt.accessSecret);
+
+// Creates a new opaque refresh token, stores its hash and returns the raw value
+const createRefreshToken = async (userId, family = crypto.randomUUID()) => {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    await RefreshToken.create({
+        user: userId,
+        tokenHash: hashToken(token),
+        family,
+        expiresAt: new Date(Date.now() + config.jwt.refreshTtlDays * 24 * 60 * 60 * 1000)
+    });
+
+    return token;
+};
+
+// Issues an access/refresh pair for a freshly authenticated user
+const issueTokens = async (user) => ({
+    accessToken: signAccessToken(user),
+    refreshToken: await createRefreshToken(user._id)
+});
+
+// Exchanges a refresh token for a new pair. Returns null when the token is
+// unknown, expired or already used; a reused token revokes its whole family.
+// The token is revoked in the same step that finds it, so two requests racing
+// with the same token can't both rotate it - the loser is treated as reuse.
+const rotateRefreshToken = async (token) => {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+
+    const stored = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { revokedAt: now }
+    );
+    if (!stored) {
+        const existing = await RefreshToken.findOne({ tokenHash });
+        // A known token that couldn't be claimed was already used (or has
+        // expired), so whoever holds its family is cut off
+        if (existing) {
+            await RefreshToken.updateMany(
+                { family: existing.family, revokedAt: null },
+                { revokedAt: now }
+            );
+        }
+        return null;
+    }
+
+    const newToken = await createRefreshToken(stored.user, stored.family);
+    await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: hashToken(newToken) });
+
+    return { userId: stored.user, refreshToken: newToken };
+};
+
+const revokeRefreshToken = async (token) => {
+    await RefreshToken.updateOne(
+        { tokenHash: hashToken(token), revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+const revokeAllUserTokens = async (userId) => {
+    await RefreshToken.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+module.exports = {
+    hashToken,
+    signAccessToken,
+    verifyAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllUserTokens
+};
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const { hashToken } = require('./tokens');
+
+// Creates a token for the given purpose, discarding any unused ones the user
+// already had for it, and returns the raw value to put in the email
+const createUserToken = async (userId, purpose, ttlMs) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await UserToken.deleteMany({ user: userId, purpose, usedAt: null });
+    await UserToken.create({
+        user: userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return token;
+};
+
+// Marks a token as used and returns it, or null when it is unknown, expired or
+// already used. The update is atomic, so a token can only be consumed once.
+// `purpose` may be a single purpose or a list of accepted ones.
+const consumeUserToken = (token, purpose) => UserToken.findOneAndUpdate(
+    {
+        tokenHash: hashToken(token),
+        purpose: Array.isArray(purpose) ? { $in: purpose } : purpose,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+);
+
+module.exports = { createUserToken, consumeUserToken };
@@ -0,0 +1,60 @@
+const config = require('../config');
+const User = require('../models/User');
+const { sendMail } = require('../mail');
+const templates = require('../mail/templates');
+const { createUserToken, consumeUserToken } = require('./userTokens');
+
+const VERIFY_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Issues a fresh verification token and emails it to the user
+const sendVerificationEmail = async (user) => {
+    const token = await createUserToken(user._id, 'verify-email', VERIFY_TOKEN_TTL_MS);
+    const link = `${config.publicUrl}/api/verify-email?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        ...templates.verifyEmail({ user, link, token })
+    });
+};
+
+// Asks the user to confirm user.pendingEmail. The token goes to the new
+// address so only its owner can complete the change.
+const sendEmailChangeConfirmation = async (user) => {
+    const token = await createUserToken(user._id, 'change-email', VERIFY_TOKEN_TTL_MS);
+    const link = `${config.publicUrl}/api/verify-email?token=${token}`;
+
+    await sendMail({
+        to: user.pendingEmail,
+        ...templates.changeEmail({ user, link, token })
+    });
+};
+
+// Consumes a token from either email above. Resolves to 'verified',
+// 'email-taken' (someone registered the pending address meanwhile) or 'invalid'.
+const confirmEmailToken = async (token) => {
+    const used = await consumeUserToken(token, ['verify-email', 'change-email']);
+    if (!used) {
+        return 'invalid';
+    }
+
+    if (used.purpose === 'verify-email') {
+        await User.updateOne({ _id: used.user }, { verified: true });
+        return 'verified';
+    }
+
+    const user = await User.findById(used.user);
+    if (!user || !user.pendingEmail) {
+        return 'invalid';
+    }
+    if (await User.exists({ email: user.pendingEmail })) {
+        return 'email-taken';
+    }
+
+    user.email = user.pendingEmail;
+    user.pendingEmail = null;
+    user.verified = true;
+    await user.save();
+    return 'verified';
+};
+
+module.exports = { sendVerificationEmail, sendEmailChangeConfirmation, confirmEmailToken };
@@ -0,0 +1,56 @@
+import { onSessionExpired, refreshSession } from '@/services/api';
+import { RateLimitError, ServerError } from '@/services/api-errors';
+import { clearSession, saveTokens } from '@/services/session';
+
+jest.mock('@/services/session', () => ({
+  clearSession: jest.fn(),
+  getAccessToken: jest.fn(async () => 'access'),
+  getRefreshToken: jest.fn(async () => 'refresh'),
+  saveTokens: jest.fn(),
+}));
+
+const respond = (status, body, headers = {}) => {
+  global.fetch = jest.fn(async () => new Response(JSON.stringify(body), { status, headers }));
+};
+
+const sessionExpired = jest.fn();
+let unsubscribe;
+
+beforeEach(() => {
+  clearSession.mockClear();
+  saveTokens.mockClear();
+  sessionExpired.mockClear();
+  unsubscribe = onSessionExpired(sessionExpired);
+});
+
+afterEach(() => {
+  unsubscribe();
+});
+
+describe('refreshSession', () => {
+  it('stores and returns the new token pair', async () => {
+    respond(200, { accessToken: 'new-access', refreshToken: 'new-refresh' });
+
+    await expect(refreshSession()).resolves.toBe('new-access');
+    expect(saveTokens).toHaveBeenCalledWith({ accessToken: 'new-access', refreshToken: 'new-refresh' });
+  });
+
+  it('ends the session when the refresh token is rejected', async () => {
+    respond(401, { code: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' });
+
+    await expect(refreshSession()).resolves.toBeNull();
+    expect(clearSession).toHaveBeenCalled();
+    expect(sessionExpired).toHaveBeenCalled();
+  });
+
+  it.each([
+    [429, RateLimitError],
+    [503, ServerError],
+  ])('keeps the session after a %s', async (status, ErrorType) => {
+    respond(status, { message: 'Try again later' }, { 'Retry-After': '30' });
+
+    await expect(refreshSession()).rejects.toBeInstanceOf(ErrorType);
+    expect(clearSession).not.toHaveBeenCalled();
+    expect(sessionExpired).not.toHaveBeenCalled();
+  });
+});
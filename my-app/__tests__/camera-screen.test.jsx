@@ -0,0 +1,242 @@
+import { act, fireEvent, render, screen } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Alert, Linking } from 'react-native';
+
+import CameraScreen from '@/app/(tabs)/camera';
+import { answerNextRequest, resetMockPermissions, setMockPermission } from '@/services/permissions-mock';
+import { getPermission, setMockPermissions } from '@/services/permissions';
+
+jest.mock('expo-router', () => ({
+  useRouter: () => ({ push: jest.fn() }),
+}));
+
+jest.mock('@/context/auth-context', () => ({
+  useAuth: () => ({ user: null }),
+}));
+
+// The editor draws with Skia and previews play with expo-video, neither of
+// which has a native side under Jest
+jest.mock('@/components/photo-editor/photo-editor', () => () => null);
+jest.mock('expo-video', () => ({ useVideoPlayer: () => null, VideoView: () => null }));
+
+// The upload queue and map copies keep files with expo-file-system
+jest.mock('@/hooks/use-upload-queue', () => ({ useUploadQueue: () => [] }));
+jest.mock('@/services/upload-queue', () => ({ enqueuePhoto: jest.fn() }));
+jest.mock('@/services/geotags', () => ({ addGeotaggedPhoto: jest.fn() }));
+
+const renderCamera = async () => {
+  render(<CameraScreen />);
+  // Let the permission checks and saved settings load
+  await act(async () => {});
+};
+
+// Presses a button of the most recent Alert
+const pressAlertButton = async (text) => {
+  const buttons = Alert.alert.mock.lastCall[2];
+  await act(async () => {
+    buttons.find((button) => button.text === text).onPress();
+  });
+};
+
+beforeEach(async () => {
+  // Camera settings (mode, geotagging) are saved between renders
+  await AsyncStorage.clear();
+  jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+  jest.spyOn(Linking, 'openSettings').mockResolvedValue();
+  resetMockPermissions();
+  setMockPermissions(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  setMockPermissions(false);
+});
+
+describe('CameraScreen camera permission', () => {
+  it('shows a spinner while the permission is checked', async () => {
+    render(<CameraScreen />);
+    expect(screen.getByText('Checking permissions...')).toBeOnTheScreen();
+    await act(async () => {});
+  });
+
+  it('asks for the camera when it has not been asked yet', async () => {
+    await renderCamera();
+
+    expect(screen.getByText('Camera Permission Required')).toBeOnTheScreen();
+    expect(screen.getByText('Grant Camera Permission')).toBeOnTheScreen();
+  });
+
+  it('opens the camera once the prompt is allowed', async () => {
+    await renderCamera();
+    answerNextRequest('camera', 'granted');
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('Grant Camera Permission'));
+    });
+
+    expect(Alert.alert).toHaveBeenCalledWith('Success', 'Camera permission granted!');
+    expect(screen.queryByText('Camera Permission Required')).not.toBeOnTheScreen();
+    expect(screen.getByText('PHOTO')).toBeOnTheScreen();
+  });
+
+  it('stays on the permission screen when the prompt is denied', async () => {
+    await renderCamera();
+    answerNextRequest('camera', 'denied');
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('Grant Camera Permission'));
+    });
+
+    expect(Alert.alert).toHaveBeenCalledWith('Permission Required', expect.any(String), [{ text: 'OK' }]);
+    expect(screen.getByText('Grant Camera Permission')).toBeOnTheScreen();
+  });
+
+  it('asks again after an earlier denial', async () => {
+    setMockPermission('camera', 'denied');
+    await renderCamera();
+    answerNextRequest('camera', 'granted');
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('Grant Camera Permission'));
+    });
+
+    expect(screen.getByText('PHOTO')).toBeOnTheScreen();
+  });
+
+  it('sends the user to the device settings when the camera is blocked', async () => {
+    setMockPermission('camera', 'blocked');
+    await renderCamera();
+
+    expect(screen.getByText(/Turn it on for this app in your device settings/)).toBeOnTheScreen();
+    fireEvent.press(screen.getByText('Open Settings'));
+
+    expect(Linking.openSettings).toHaveBeenCalled();
+  });
+
+  it('shows the camera when access was already granted', async () => {
+    setMockPermission('camera', 'granted');
+    await renderCamera();
+
+    expect(screen.queryByText('Camera Permission Required')).not.toBeOnTheScreen();
+    expect(screen.getByText('PHOTO')).toBeOnTheScreen();
+  });
+});
+
+describe('CameraScreen microphone permission', () => {
+  beforeEach(() => {
+    setMockPermission('camera', 'granted');
+  });
+
+  it('asks for the microphone when switching to video', async () => {
+    await renderCamera();
+    answerNextRequest('microphone', 'granted');
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('VIDEO'));
+    });
+
+    expect(await getPermission('microphone')).toMatchObject({ granted: true });
+    expect(Alert.alert).not.toHaveBeenCalled();
+  });
+
+  it('warns that videos will be silent when the microphone is denied', async () => {
+    await renderCamera();
+    answerNextRequest('microphone', 'denied');
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('VIDEO'));
+    });
+
+    expect(Alert.alert).toHaveBeenCalledWith('Microphone Off', expect.any(String), [{ text: 'OK' }]);
+  });
+
+  it('does not ask again once the microphone was denied', async () => {
+    setMockPermission('microphone', 'denied');
+    await renderCamera();
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('VIDEO'));
+    });
+
+    expect(Alert.alert).not.toHaveBeenCalled();
+  });
+});
+
+describe('CameraScreen location permission', () => {
+  beforeEach(() => {
+    setMockPermission('camera', 'granted');
+  });
+
+  it('turns geotagging on once location is allowed', async () => {
+    await renderCamera();
+    answerNextRequest('location', 'granted');
+
+    await act(async () => {
+      fireEvent.press(screen.getByRole('button', { name: 'Location' }));
+    });
+
+    expect(screen.getByRole('button', { name: 'Location' })).toBeSelected();
+  });
+
+  it('leaves geotagging off when location is denied', async () => {
+    await renderCamera();
+    answerNextRequest('location', 'denied');
+
+    await act(async () => {
+      fireEvent.press(screen.getByRole('button', { name: 'Location' }));
+    });
+
+    expect(Alert.alert).toHaveBeenCalledWith('Location Permission Required', expect.any(String), [{ text: 'OK' }]);
+    expect(screen.getByRole('button', { name: 'Location' })).not.toBeSelected();
+  });
+});
+
+describe('CameraScreen media library permission', () => {
+  const importPhotos = async () => {
+    const ImagePicker = require('expo-image-picker');
+    jest.spyOn(ImagePicker, 'launchImageLibraryAsync').mockResolvedValue({
+      canceled: false,
+      assets: [
+        { uri: 'file:///one.jpg', width: 100, height: 100 },
+        { uri: 'file:///two.jpg', width: 100, height: 100 },
+      ],
+    });
+
+    await act(async () => {
+      fireEvent.press(screen.getByLabelText('Import from library'));
+    });
+  };
+
+  beforeEach(() => {
+    setMockPermission('camera', 'granted');
+  });
+
+  it('asks for the library before saving and saves once allowed', async () => {
+    const album = require('@/services/album');
+    const saveToAlbum = jest.spyOn(album, 'saveToAlbum').mockResolvedValue();
+    await renderCamera();
+    await importPhotos();
+    answerNextRequest('mediaLibrary', 'granted');
+
+    await pressAlertButton('Add to Album');
+
+    expect(saveToAlbum).toHaveBeenCalledWith(['file:///one.jpg', 'file:///two.jpg']);
+  });
+
+  it('offers the device settings when saving is denied', async () => {
+    const album = require('@/services/album');
+    const saveToAlbum = jest.spyOn(album, 'saveToAlbum').mockResolvedValue();
+    await renderCamera();
+    await importPhotos();
+    answerNextRequest('mediaLibrary', 'denied');
+
+    await pressAlertButton('Add to Album');
+
+    expect(saveToAlbum).not.toHaveBeenCalled();
+    await pressAlertButton('Open Settings');
+    expect(Linking.openSettings).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,119 @@
+import { formatGeoData, parseGeoData } from '@/services/geo-formats';
+
+const DATA = {
+  name: 'Walk & talk',
+  tracks: [
+    {
+      name: 'Morning <loop>',
+      points: [
+        { latitude: 51.5007, longitude: -0.1246, altitude: 12, recordedAt: '2026-01-01T12:00:00.000Z' },
+        { latitude: 51.501, longitude: -0.125, altitude: null, recordedAt: '2026-01-01T12:00:10.000Z' },
+      ],
+    },
+  ],
+  places: [
+    {
+      name: 'Bridge',
+      description: 'Photo spot',
+      latitude: 51.5008,
+      longitude: -0.1219,
+      altitude: 5,
+      time: '2026-01-01T12:05:00.000Z',
+    },
+  ],
+};
+
+describe('formatGeoData and parseGeoData', () => {
+  it.each(['gpx', 'geojson'])('reads back what it writes as %s', (format) => {
+    expect(parseGeoData(formatGeoData(format, DATA))).toEqual({ tracks: DATA.tracks, places: DATA.places });
+  });
+
+  it('reads back KML without the track times', () => {
+    const { tracks, places } = parseGeoData(formatGeoData('kml', DATA));
+
+    expect(places).toEqual(DATA.places);
+    expect(tracks).toEqual([
+      {
+        name: 'Morning <loop>',
+        points: DATA.tracks[0].points.map((point) => ({ ...point, recordedAt: null })),
+      },
+    ]);
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => formatGeoData('shp', DATA)).toThrow('Unsupported format: shp');
+  });
+});
+
+describe('parseGeoData', () => {
+  it('joins GPX track segments and reads routes', () => {
+    const gpx = `<?xml version="1.0"?>
+      <gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1">
+        <trk><name><![CDATA[Ride]]></name>
+          <trkseg><trkpt lat="1" lon="2"/></trkseg>
+          <trkseg><trkpt lat="1.5" lon="2.5"></trkpt></trkseg>
+        </trk>
+        <rte><rtept lat='3' lon='4'><name>Turn</name></rtept></rte>
+      </gpx>`;
+
+    const { tracks } = parseGeoData(gpx);
+
+    expect(tracks.map((track) => track.points.map((point) => [point.latitude, point.longitude]))).toEqual([
+      [[1, 2], [1.5, 2.5]],
+      [[3, 4]],
+    ]);
+    expect(tracks[0].name).toBe('Ride');
+  });
+
+  it('reads KML folders, multi-geometries and Google Earth tracks', () => {
+    const kml = `<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+      <Document><Folder>
+        <Placemark><name>Both</name><MultiGeometry>
+          <Point><coordinates>2,1</coordinates></Point>
+          <LineString><coordinates>2,1,0 2.1,1.1,0</coordinates></LineString>
+        </MultiGeometry></Placemark>
+        <Placemark><gx:Track>
+          <when>2026-01-01T12:00:00Z</when><when>2026-01-01T12:00:05Z</when>
+          <gx:coord>2 1 10</gx:coord><gx:coord>2.1 1.1 11</gx:coord>
+        </gx:Track></Placemark>
+      </Folder></Document>
+    </kml>`;
+
+    const { tracks, places } = parseGeoData(kml);
+
+    expect(places).toEqual([expect.objectContaining({ name: 'Both', latitude: 1, longitude: 2 })]);
+    expect(tracks).toHaveLength(2);
+    expect(tracks[1].points[1]).toEqual({
+      latitude: 1.1,
+      longitude: 2.1,
+      altitude: 11,
+      recordedAt: '2026-01-01T12:00:05Z',
+    });
+  });
+
+  it('reads GeoJSON features, bare geometries and polygon outlines', () => {
+    const feature = JSON.stringify({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] },
+      properties: { title: 'Field' },
+    });
+
+    expect(parseGeoData(feature).tracks).toEqual([
+      { name: 'Field', points: expect.arrayContaining([{ latitude: 1, longitude: 1, altitude: null, recordedAt: null }]) },
+    ]);
+    expect(parseGeoData('{"type":"Point","coordinates":[2,1]}').places).toHaveLength(1);
+  });
+
+  it('skips positions that are out of range', () => {
+    const { tracks } = parseGeoData('{"type":"LineString","coordinates":[[2,1],[200,1],[2,"x"],[3,1]]}');
+
+    expect(tracks[0].points).toHaveLength(2);
+  });
+
+  it('explains files it cannot use', () => {
+    expect(() => parseGeoData('{ not json')).toThrow('The file is not valid GeoJSON');
+    expect(() => parseGeoData('hello')).toThrow('The file is not GPX, GeoJSON or KML');
+    expect(() => parseGeoData('<svg></svg>')).toThrow('The file is not GPX, GeoJSON or KML');
+    expect(() => parseGeoData('<gpx></gpx>')).toThrow('No tracks or places were found in the file');
+  });
+});
@@ -0,0 +1,145 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Location from 'expo-location';
+import * as Notifications from 'expo-notifications';
+import * as TaskManager from 'expo-task-manager';
+
+import { ValidationError } from '@/services/api-errors';
+import { addGeofence, setGeofenceOwner, updateGeofence } from '@/services/geofences';
+import { recordGeofenceEvents } from '@/services/geofence-events';
+import { getPermission } from '@/services/permissions';
+
+jest.mock('expo-task-manager', () => ({ defineTask: jest.fn() }));
+
+jest.mock('expo-location', () => ({
+  ...jest.requireActual('expo-location'),
+  hasStartedGeofencingAsync: jest.fn(async () => false),
+  startGeofencingAsync: jest.fn(),
+  stopGeofencingAsync: jest.fn(),
+}));
+
+jest.mock('@/services/geofence-events', () => ({ recordGeofenceEvents: jest.fn() }));
+jest.mock('@/services/permissions', () => ({ getPermission: jest.fn() }));
+
+// The task the OS runs for every geofence event
+const report = async (geofence, eventType) => {
+  const [, task] = TaskManager.defineTask.mock.calls[0];
+  await task({ data: { eventType, region: { identifier: geofence.id } }, error: null });
+};
+
+const { Enter, Exit } = Location.GeofencingEventType;
+
+let site;
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  Notifications.scheduleNotificationAsync.mockClear();
+  recordGeofenceEvents.mockReset().mockResolvedValue({});
+  getPermission.mockResolvedValue({ status: 'granted', granted: true, canAskAgain: true });
+  await setGeofenceOwner('user-1');
+  site = await addGeofence({ name: 'Main Site', latitude: 51.5, longitude: -0.12, radius: 250, alert: 'both' });
+});
+
+describe('geofence events', () => {
+  it('hands the geofences to the OS', () => {
+    expect(Location.startGeofencingAsync).toHaveBeenLastCalledWith(
+      'geofences',
+      expect.arrayContaining([expect.objectContaining({ identifier: site.id, radius: 250, notifyOnExit: true })])
+    );
+  });
+
+  it('only learns where the device is from the first report', async () => {
+    await report(site, Enter);
+
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+    expect(recordGeofenceEvents).not.toHaveBeenCalled();
+  });
+
+  it('alerts and logs a crossing to the signed-in user', async () => {
+    await report(site, Enter);
+    await report(site, Exit);
+    // Repeated reports of the same state are not crossings
+    await report(site, Exit);
+
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(1);
+    expect(Notifications.scheduleNotificationAsync.mock.calls[0][0].content.title).toBe('Left Main Site');
+    expect(recordGeofenceEvents).toHaveBeenCalledTimes(1);
+    expect(recordGeofenceEvents).toHaveBeenCalledWith([
+      expect.objectContaining({ ownerId: 'user-1', geofenceId: site.id, geofenceName: 'Main Site', type: 'exit' }),
+    ]);
+  });
+
+  it('logs crossings without an alert when alerts are off', async () => {
+    await updateGeofence(site.id, { name: 'Main Site', radius: 250, alert: 'none' });
+    await report(site, Exit);
+    await report(site, Enter);
+
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+    expect(recordGeofenceEvents).toHaveBeenCalledWith([expect.objectContaining({ type: 'enter' })]);
+  });
+
+  it('keeps events that could not be sent until the next attempt', async () => {
+    recordGeofenceEvents.mockRejectedValueOnce(new Error('Network request failed'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await report(site, Exit);
+    await report(site, Enter);
+    await report(site, Exit);
+
+    expect(recordGeofenceEvents).toHaveBeenLastCalledWith([
+      expect.objectContaining({ type: 'enter' }),
+      expect.objectContaining({ type: 'exit' }),
+    ]);
+    console.log.mockRestore();
+  });
+
+  it('drops only the events the server rejects', async () => {
+    recordGeofenceEvents.mockRejectedValueOnce(new Error('Network request failed'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await report(site, Exit);
+    await report(site, Enter);
+    recordGeofenceEvents.mockClear();
+    recordGeofenceEvents
+      .mockRejectedValueOnce(new ValidationError('events.0.occurredAt: occurredAt must be a date'))
+      .mockRejectedValueOnce(new ValidationError('events.0.occurredAt: occurredAt must be a date'));
+    await report(site, Exit);
+
+    // The batch, then each of its events on its own
+    expect(recordGeofenceEvents.mock.calls.map(([events]) => events.map((event) => event.type))).toEqual([
+      ['enter', 'exit'],
+      ['enter'],
+      ['exit'],
+    ]);
+    expect(JSON.parse(await AsyncStorage.getItem('geofences:pendingEvents'))).toEqual([]);
+    console.log.mockRestore();
+  });
+
+  it('only saves geofences the server takes events for', async () => {
+    await expect(updateGeofence(site.id, { name: 'Main Site', radius: 50, alert: 'both' })).rejects.toThrow(
+      'Choose a radius.'
+    );
+    await expect(updateGeofence(site.id, { name: 'x'.repeat(101), radius: 250, alert: 'both' })).rejects.toThrow(
+      'Keep the name to 100 characters or fewer.'
+    );
+  });
+
+  it('logs nothing while signed out', async () => {
+    await setGeofenceOwner(null);
+    await report(site, Exit);
+    await report(site, Enter);
+
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalled();
+    expect(recordGeofenceEvents).not.toHaveBeenCalled();
+  });
+
+  it('does not alert without the notification permission', async () => {
+    getPermission.mockImplementation(async (kind) => ({
+      status: kind === 'notifications' ? 'denied' : 'granted',
+      granted: kind !== 'notifications',
+      canAskAgain: true,
+    }));
+    await report(site, Exit);
+    await report(site, Enter);
+
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+    expect(recordGeofenceEvents).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,268 @@
+import { act, fireEvent, render, screen } from '@testing-library/react-native';
+import * as Location from 'expo-location';
+import { Alert, Linking } from 'react-native';
+
+import LocationScreen from '@/app/(tabs)/location';
+import { answerNextRequest, resetMockPermissions, setMockPermission } from '@/services/permissions-mock';
+import { addGeofence, updateGeofencing } from '@/services/geofences';
+import * as permissions from '@/services/permissions';
+import { getPermission, setMockPermissions } from '@/services/permissions';
+import { startRecording } from '@/services/track-recorder';
+
+jest.mock('expo-location', () => ({
+  ...jest.requireActual('expo-location'),
+  getCurrentPositionAsync: jest.fn(),
+}));
+
+jest.mock('react-native-maps', () => {
+  const { View } = require('react-native');
+  return { __esModule: true, default: View, Marker: View, Circle: View };
+});
+
+jest.mock('expo-router', () => ({
+  useRouter: () => ({ push: jest.fn(), setParams: jest.fn() }),
+  useLocalSearchParams: () => ({}),
+}));
+
+jest.mock('@/hooks/use-geotagged-photos', () => ({ useGeotaggedPhotos: () => [] }));
+jest.mock('@/hooks/use-map-imports', () => ({ useMapImports: () => [] }));
+jest.mock('@/hooks/use-geofences', () => ({ useGeofences: () => ({ geofences: [], isMonitoring: false }) }));
+jest.mock('@/hooks/use-track-recorder', () => ({
+  useTrackRecorder: () => ({ isRecording: false, track: null, lastFix: null }),
+}));
+
+// Geotagged photos' map copies, saved tracks, imported files and the track
+// being recorded are kept with expo-file-system
+jest.mock('@/services/geotags', () => ({ removeGeotaggedPhoto: jest.fn() }));
+jest.mock('@/services/map-imports', () => ({ addMapImport: jest.fn(), removeMapImport: jest.fn() }));
+jest.mock('@/services/track-recorder', () => ({ startRecording: jest.fn(), stopRecording: jest.fn() }));
+// Defines a background task and shows notifications
+jest.mock('@/services/geofences', () => ({
+  ALERT_OPTIONS: [{ value: 'both', label: 'Enter & Exit' }, { value: 'none', label: 'Off' }],
+  RADIUS_OPTIONS: [100, 250],
+  DEFAULT_RADIUS: 250,
+  MAX_GEOFENCES: 20,
+  addGeofence: jest.fn(),
+  removeGeofence: jest.fn(),
+  updateGeofence: jest.fn(),
+  updateGeofencing: jest.fn(),
+}));
+jest.mock('@/services/geo-files', () => ({ pickGeoFile: jest.fn(), shareGeotaggedPhotos: jest.fn() }));
+jest.mock('@/services/track-library', () => ({
+  formatElapsed: jest.fn(),
+  loadTrack: jest.fn(),
+  newTrackId: () => 'track',
+  saveTrack: jest.fn(),
+  trackTitle: jest.fn(),
+}));
+
+const FIX = {
+  coords: {
+    latitude: 51.5007,
+    longitude: -0.1246,
+    altitude: 12,
+    accuracy: 5,
+    speed: 0,
+    heading: 0,
+  },
+  timestamp: Date.parse('2026-01-01T12:00:00Z'),
+};
+
+const renderLocation = async () => {
+  render(<LocationScreen />);
+  // Let the permission check, any prompt and the first fix settle
+  await act(async () => {});
+};
+
+beforeEach(() => {
+  jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+  jest.spyOn(Linking, 'openSettings').mockResolvedValue();
+  Location.getCurrentPositionAsync.mockReset().mockResolvedValue(FIX);
+  updateGeofencing.mockReset().mockResolvedValue();
+  resetMockPermissions();
+  setMockPermissions(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  setMockPermissions(false);
+});
+
+describe('LocationScreen location permission', () => {
+  it('shows a spinner while the permission is checked', async () => {
+    render(<LocationScreen />);
+    expect(screen.getByText('Checking location permissions...')).toBeOnTheScreen();
+    await act(async () => {});
+  });
+
+  it('asks straight away and shows the position once allowed', async () => {
+    answerNextRequest('location', 'granted');
+    await renderLocation();
+
+    expect(Location.getCurrentPositionAsync).toHaveBeenCalled();
+    expect(screen.getByText('GPS Location Tracker')).toBeOnTheScreen();
+    expect(screen.getByText('51.500700, -0.124600')).toBeOnTheScreen();
+  });
+
+  it('explains why location is needed when the prompt is denied', async () => {
+    answerNextRequest('location', 'denied');
+    await renderLocation();
+
+    expect(Alert.alert).toHaveBeenCalledWith('Location Permission Required', expect.any(String), [{ text: 'OK' }]);
+    expect(screen.getByText('Grant Location Permission')).toBeOnTheScreen();
+    expect(Location.getCurrentPositionAsync).not.toHaveBeenCalled();
+  });
+
+  it('does not prompt by itself after an earlier denial', async () => {
+    setMockPermission('location', 'denied');
+    await renderLocation();
+
+    expect(Alert.alert).not.toHaveBeenCalled();
+    expect(screen.getByText('Grant Location Permission')).toBeOnTheScreen();
+  });
+
+  it('asks again from the permission screen', async () => {
+    setMockPermission('location', 'denied');
+    await renderLocation();
+    answerNextRequest('location', 'granted');
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('Grant Location Permission'));
+    });
+
+    expect(screen.getByText('GPS Location Tracker')).toBeOnTheScreen();
+    expect(Location.getCurrentPositionAsync).toHaveBeenCalled();
+  });
+
+  it('sends the user to the device settings when location is blocked', async () => {
+    setMockPermission('location', 'blocked');
+    await renderLocation();
+
+    fireEvent.press(screen.getByText('Open Settings'));
+
+    expect(Linking.openSettings).toHaveBeenCalled();
+  });
+
+  it('shows the position without asking when access was already granted', async () => {
+    setMockPermission('location', 'granted');
+    await renderLocation();
+
+    expect(Alert.alert).not.toHaveBeenCalled();
+    expect(screen.getByText('51.500700, -0.124600')).toBeOnTheScreen();
+  });
+
+  it('reports a failed fix when GPS is unavailable', async () => {
+    setMockPermission('location', 'granted');
+    Location.getCurrentPositionAsync.mockRejectedValue(new Error('Location services are disabled'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await renderLocation();
+
+    expect(screen.getByText('Unable to get location. Please ensure GPS is enabled.')).toBeOnTheScreen();
+  });
+});
+
+describe('LocationScreen background location permission', () => {
+  beforeEach(() => {
+    setMockPermission('location', 'granted');
+    startRecording.mockClear();
+  });
+
+  it('asks the first time tracking starts', async () => {
+    await renderLocation();
+    answerNextRequest('backgroundLocation', 'granted');
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('Start Tracking'));
+    });
+
+    expect(await getPermission('backgroundLocation')).toMatchObject({ granted: true });
+    expect(Alert.alert).not.toHaveBeenCalled();
+    expect(startRecording).toHaveBeenCalled();
+  });
+
+  it('still tracks when background location is denied', async () => {
+    await renderLocation();
+    answerNextRequest('backgroundLocation', 'denied');
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('Start Tracking'));
+    });
+
+    expect(Alert.alert).toHaveBeenCalledWith('Background Location Off', expect.any(String), [{ text: 'OK' }]);
+    expect(startRecording).toHaveBeenCalled();
+  });
+
+  it('still tracks when asking for background location fails', async () => {
+    await renderLocation();
+    jest.spyOn(permissions, 'requestPermission').mockRejectedValue(new Error('Permission request failed'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('Start Tracking'));
+    });
+
+    expect(permissions.requestPermission).toHaveBeenCalledWith('backgroundLocation');
+    expect(startRecording).toHaveBeenCalled();
+    expect(screen.queryByText('Unable to watch location')).toBeNull();
+  });
+
+  it('does not ask again once it was answered', async () => {
+    setMockPermission('backgroundLocation', 'denied');
+    await renderLocation();
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('Start Tracking'));
+    });
+
+    expect(Alert.alert).not.toHaveBeenCalled();
+    expect(startRecording).toHaveBeenCalled();
+  });
+});
+
+describe('LocationScreen geofences', () => {
+  beforeEach(() => {
+    setMockPermission('location', 'granted');
+    addGeofence.mockReset().mockResolvedValue({});
+  });
+
+  const addSite = async () => {
+    await renderLocation();
+    fireEvent(screen.UNSAFE_getByProps({ showsUserLocation: true }), 'longPress', {
+      nativeEvent: { coordinate: { latitude: 51.5, longitude: -0.12 } },
+    });
+    fireEvent.changeText(screen.getByPlaceholderText('Name, e.g. Main Site'), 'Main Site');
+    await act(async () => {
+      fireEvent.press(screen.getByText('Add Geofence'));
+    });
+  };
+
+  it('adds a geofence where the map is long-pressed and asks for what it needs', async () => {
+    answerNextRequest('backgroundLocation', 'granted');
+    answerNextRequest('notifications', 'granted');
+    await addSite();
+
+    expect(addGeofence).toHaveBeenCalledWith({
+      name: 'Main Site',
+      latitude: 51.5,
+      longitude: -0.12,
+      radius: 250,
+      alert: 'both',
+    });
+    expect(await getPermission('notifications')).toMatchObject({ granted: true });
+    expect(updateGeofencing).toHaveBeenCalled();
+    expect(Alert.alert).not.toHaveBeenCalled();
+    expect(screen.queryByText('New Geofence')).not.toBeOnTheScreen();
+  });
+
+  it('explains that geofences need background location', async () => {
+    answerNextRequest('backgroundLocation', 'denied');
+    answerNextRequest('notifications', 'granted');
+    await addSite();
+
+    expect(addGeofence).toHaveBeenCalled();
+    expect(Alert.alert).toHaveBeenCalledWith('Background Location Required', expect.any(String), expect.any(Array));
+  });
+});
@@ -0,0 +1,97 @@
+import { distanceBetween } from '@/services/geo';
+import { formatDistance, formatElevation, formatPace, formatSpeed, trackStats } from '@/services/track-stats';
+
+const START = Date.parse('2026-01-01T12:00:00Z');
+
+// About 11.1 m per 0.0001 degrees of latitude
+const point = (seconds, latitude, changes = {}) => ({
+  latitude,
+  longitude: 0,
+  altitude: null,
+  accuracy: 5,
+  speed: null,
+  heading: null,
+  recordedAt: new Date(START + seconds * 1000).toISOString(),
+  ...changes,
+});
+
+const track = (points) => ({ startedAt: new Date(START).toISOString(), points });
+
+describe('distanceBetween', () => {
+  it('measures great-circle distances', () => {
+    // One degree of latitude is about 111.2 km
+    expect(distanceBetween({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 })).toBeCloseTo(111195, -1);
+    expect(distanceBetween({ latitude: 51.5, longitude: -0.12 }, { latitude: 51.5, longitude: -0.12 })).toBe(0);
+  });
+});
+
+describe('trackStats', () => {
+  it('adds up distance and moving time along a walk', () => {
+    const stats = trackStats(track([point(0, 0), point(10, 0.0001), point(20, 0.0002), point(30, 0.0003)]));
+
+    expect(stats.distance).toBeCloseTo(33.4, 0);
+    expect(stats.movingTime).toBe(30000);
+    expect(stats.elapsedTime).toBe(30000);
+    expect(stats.averageSpeed).toBeCloseTo(1.11, 1);
+  });
+
+  it('ignores jitter while standing still', () => {
+    const stats = trackStats(track([point(0, 0), point(10, 0.00002), point(20, -0.00002), point(30, 0.00001)]));
+
+    expect(stats.distance).toBe(0);
+    expect(stats.movingTime).toBe(0);
+    expect(stats.averageSpeed).toBeNull();
+    expect(stats.elapsedTime).toBe(30000);
+  });
+
+  it('drops low-accuracy fixes and impossible jumps', () => {
+    const stats = trackStats(track([
+      point(0, 0),
+      point(10, 0.01, { accuracy: 100 }),
+      point(12, 0.5),
+      point(20, 0.0001),
+    ]));
+
+    expect(stats.distance).toBeCloseTo(11.1, 0);
+  });
+
+  it('does not count stops as moving time', () => {
+    const stats = trackStats(track([point(0, 0), point(10, 0.0001), point(600, 0.0001), point(610, 0.0002)]));
+
+    expect(stats.movingTime).toBe(20000);
+    expect(stats.elapsedTime).toBe(610000);
+  });
+
+  it('prefers the speed the device reported for the maximum', () => {
+    const stats = trackStats(track([point(0, 0), point(10, 0.0001, { speed: 1.5 })]));
+
+    expect(stats.maxSpeed).toBe(1.5);
+  });
+
+  it('counts climbs and descents past the altitude noise', () => {
+    const altitudes = [100, 102, 99, 110, 108, 120, 104];
+    const stats = trackStats(track(altitudes.map((altitude, i) => point(i * 10, i * 0.0001, { altitude }))));
+
+    expect(stats.elevationGain).toBe(20);
+    expect(stats.elevationLoss).toBe(16);
+  });
+
+  it('uses the end time of a finished track', () => {
+    const stats = trackStats({ ...track([point(0, 0), point(10, 0.0001)]), endedAt: new Date(START + 60000).toISOString() });
+
+    expect(stats.elapsedTime).toBe(60000);
+  });
+});
+
+describe('formatting', () => {
+  it('formats distances, speeds, pace and elevation', () => {
+    expect(formatDistance(850.4)).toBe('850 m');
+    expect(formatDistance(2345)).toBe('2.35 km');
+    expect(formatSpeed(2.5)).toBe('9.0 km/h');
+    expect(formatSpeed(null)).toBe('N/A');
+    expect(formatPace(1000 / 332)).toBe('5:32 /km');
+    expect(formatPace(null)).toBe('N/A');
+    expect(formatElevation({ elevationGain: 120.4, elevationLoss: 85 })).toBe('+120 m / -85 m');
+    expect(formatElevation({ elevationGain: null, elevationLoss: null })).toBe('N/A');
+  });
+});
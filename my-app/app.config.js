@@ -0,0 +1,14 @@
+// Dynamic config layered on top of app.json. Values come from the shell or an
+// env file Expo loads for the current mode (.env.development.local,
+// .env.production.local, ...); see .env.example.
+module.exports = ({ config }) => ({
+  ...config,
+  extra: {
+    ...config.extra,
+    appEnv: process.env.APP_ENV || 'development',
+    // Base URL of the backend API, e.g. http://192.168.1.10:5000/api
+    apiUrl: process.env.API_URL || null,
+    // Simulated permission states for development builds; see services/permissions-mock.js
+    mockPermissions: process.env.MOCK_PERMISSIONS || null,
+  },
+});
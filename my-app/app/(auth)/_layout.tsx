@@ -0,0 +1,11 @@
+import { Stack } from 'expo-router';
+import React from 'react';
+
+/** Screens for signed-out users: login, registration and password recovery. */
+export default function AuthLayout() {
+  return (
+    <Stack>
+      <Stack.Screen name="login" options={{ title: 'Login' }} />
+    </Stack>
+  );
+}
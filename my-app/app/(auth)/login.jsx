@@ -0,0 +1,256 @@
+import { View, Text, StyleSheet, TextInput, Alert, TouchableOpacity, ScrollView } from 'react-native'
+import React, { useState } from 'react'
+import { Redirect, useLocalSearchParams } from 'expo-router'
+import { IconSymbol } from '@/components/ui/icon-symbol'
+import ForgotPasswordForm from '@/components/profile/forgot-password-form'
+import ResetPasswordForm from '@/components/profile/reset-password-form'
+import { useAuth } from '@/context/auth-context'
+import { useRetryCountdown, formatCountdown } from '@/hooks/use-retry-countdown'
+import { getErrorMessage } from '@/services/api'
+import { RateLimitError, hasFieldErrors } from '@/services/api-errors'
+import { register } from '@/services/auth'
+
+// Login, registration and password recovery. Protected screens send users
+// here with ?redirect=<path> so they land back where they started.
+export default function LoginScreen() {
+  const { redirect } = useLocalSearchParams()
+  const { status, signIn } = useAuth()
+  const [name, setName] = useState('')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [isLogin, setIsLogin] = useState(true)
+  const [loading, setLoading] = useState(false)
+  const [fieldErrors, setFieldErrors] = useState({})
+  // 'form' (login/register), 'forgot' or 'reset'
+  const [authView, setAuthView] = useState('form')
+  // Seconds left before login/register may be retried after a 429
+  const { secondsLeft, startCountdown } = useRetryCountdown()
+  const isThrottled = secondsLeft > 0
+
+  // Update a form field and drop any server error shown for it
+  const handleFieldChange = (field, setter) => (value) => {
+    setter(value)
+    if (fieldErrors[field]) {
+      setFieldErrors({ ...fieldErrors, [field]: undefined })
+    }
+  }
+
+  const handleSubmit = async () => {
+    if (!email || !password || (!isLogin && !name)) {
+      Alert.alert('Error', 'Please fill in all fields')
+      return
+    }
+
+    setFieldErrors({})
+    setLoading(true)
+    try {
+      if (isLogin) {
+        // Saves the user and tokens to secure storage
+        const data = await signIn(email, password)
+        console.log('Logged in user:', data.user)
+      } else {
+        const data = await register(name, email, password)
+        Alert.alert('Success', data.message)
+        console.log('Registered user:', data.user)
+        // Switch to login mode after successful registration
+        setIsLogin(true)
+        setPassword('')
+      }
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        // Rate limited or locked out: count down until the server allows another try
+        startCountdown(error.retryAfter)
+        Alert.alert('Too Many Attempts', error.message)
+      } else if (hasFieldErrors(error)) {
+        // Validation errors are shown under the matching input
+        setFieldErrors(error.fieldErrors)
+      } else {
+        console.error('API Error:', error)
+        Alert.alert('Error', getErrorMessage(error))
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleMode = () => {
+    setIsLogin(!isLogin)
+    setPassword('')
+    setFieldErrors({})
+  }
+
+  // Covers both a successful login and opening this screen while signed in
+  if (status === 'signedIn') {
+    return <Redirect href={typeof redirect === 'string' && redirect ? redirect : '/practice'} />
+  }
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.profileHeader}>
+        <View style={styles.loginPrompt}>
+          <IconSymbol size={40} name="person" color="#666" />
+          <Text style={styles.loginPromptText}>Please login to continue</Text>
+        </View>
+      </View>
+
+      {/* Password recovery screens */}
+      {authView === 'forgot' && (
+        <ForgotPasswordForm
+          onCodeSent={() => setAuthView('reset')}
+          onBack={() => setAuthView('form')}
+        />
+      )}
+      {authView === 'reset' && (
+        <ResetPasswordForm
+          onReset={() => setAuthView('form')}
+          onBack={() => setAuthView('form')}
+        />
+      )}
+
+      {/* Login/Register Form */}
+      {authView === 'form' && (
+        <View style={styles.formContainer}>
+          <Text style={styles.heading}>{isLogin ? 'Login' : 'Register'}</Text>
+          
+          {!isLogin && (
+            <TextInput
+              style={styles.input}
+              placeholder="Enter your name"
+              placeholderTextColor="white"
+              value={name}
+              onChangeText={handleFieldChange('name', setName)}
+            />
+          )}
+          {!isLogin && fieldErrors.name && <Text style={styles.fieldError}>{fieldErrors.name}</Text>}
+          
+          <TextInput
+            style={styles.input}
+            placeholder="Enter your email"
+            placeholderTextColor="white"
+            value={email}
+            onChangeText={handleFieldChange('email', setEmail)}
+            keyboardType="email-address"
+            autoCapitalize="none"
+          />
+          {fieldErrors.email && <Text style={styles.fieldError}>{fieldErrors.email}</Text>}
+          
+          <TextInput
+            style={styles.input}
+            placeholder="Enter your password"
+            placeholderTextColor="white"
+            value={password}
+            onChangeText={handleFieldChange('password', setPassword)}
+            secureTextEntry
+          />
+          {fieldErrors.password && <Text style={styles.fieldError}>{fieldErrors.password}</Text>}
+          
+          <TouchableOpacity 
+            style={[styles.button, (loading || isThrottled) && styles.buttonDisabled]} 
+            onPress={handleSubmit}
+            disabled={loading || isThrottled}
+          >
+            <Text style={styles.buttonText}>
+              {loading ? 'Loading...' : (isLogin ? 'Login' : 'Register')}
+            </Text>
+          </TouchableOpacity>
+
+          {isThrottled && (
+            <Text style={styles.throttleText}>
+              Too many attempts. Try again in {formatCountdown(secondsLeft)}.
+            </Text>
+          )}
+          
+          {isLogin && (
+            <TouchableOpacity style={styles.toggleButton} onPress={() => setAuthView('forgot')}>
+              <Text style={styles.toggleText}>Forgot password?</Text>
+            </TouchableOpacity>
+          )}
+
+          <TouchableOpacity style={styles.toggleButton} onPress={toggleMode}>
+            <Text style={styles.toggleText}>
+              {isLogin ? "Don't have an account? Register" : "Already have an account? Login"}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </ScrollView>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1a1a1a'
+  },
+  profileHeader: {
+    padding: 20,
+    alignItems: 'center',
+    borderBottomWidth: 1,
+    borderBottomColor: '#333'
+  },
+  loginPrompt: {
+    alignItems: 'center',
+    padding: 20
+  },
+  loginPromptText: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 10
+  },
+  formContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20
+  },
+  heading: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 30
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: 'white',
+    padding: 15,
+    margin: 10,
+    borderRadius: 8,
+    color: 'white',
+    width: '80%',
+    fontSize: 16
+  },
+  fieldError: {
+    color: '#FF3B30',
+    fontSize: 13,
+    width: '80%',
+    marginTop: -5
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    borderRadius: 8,
+    width: '80%',
+    alignItems: 'center',
+    marginTop: 20
+  },
+  buttonDisabled: {
+    backgroundColor: '#666'
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold'
+  },
+  throttleText: {
+    color: '#FF9500',
+    fontSize: 14,
+    marginTop: 10
+  },
+  toggleButton: {
+    marginTop: 20
+  },
+  toggleText: {
+    color: '#007AFF',
+    fontSize: 14
+  }
+});
@@ -1,13 +1,41 @@
-import { Tabs } from 'expo-router';
+import { Redirect, Tabs, useRouter, useSegments } from 'expo-router';
 import React from 'react';
 
 import { HapticTab } from '@/components/haptic-tab';
 import { IconSymbol } from '@/components/ui/icon-symbol';
 import { Colors } from '@/constants/theme';
+import { useAuth } from '@/context/auth-context';
 import { useColorScheme } from '@/hooks/use-color-scheme';
 
+/**
+ * Tabs that need a logged-in user. Tapping one while signed out opens the
+ * login screen, which returns to the tab afterwards. Add a route name here to
+ * protect another tab.
+ */
+const PROTECTED_TABS = ['practice'];
+
 export default function TabLayout() {
   const colorScheme = useColorScheme();
+  const { status } = useAuth();
+  const router = useRouter();
+  const segments: string[] = useSegments();
+
+  const isSignedOut = status === 'signedOut';
+  const activeTab = segments[1] ?? 'index';
+
+  // Also covers deep links straight into a protected tab
+  if (isSignedOut && PROTECTED_TABS.includes(activeTab)) {
+    return <Redirect href={`/login?redirect=/${activeTab}`} />;
+  }
+
+  const protectedTabListeners = (name: string) => ({
+    tabPress: (event: { preventDefault: () => void }) => {
+      if (isSignedOut && PROTECTED_TABS.includes(name)) {
+        event.preventDefault();
+        router.push(`/login?redirect=/${name}`);
+      }
+    },
+  });
 
   return (
     <Tabs
@@ -32,6 +60,7 @@ export default function TabLayout() {
       />
       <Tabs.Screen
         name="practice"
+        listeners={protectedTabListeners('practice')}
         options={{
           title: 'Profile',
           tabBarIcon: ({ color }) => <IconSymbol size={28} name="person.fill" color={color} />,
@@ -39,6 +68,7 @@ export default function TabLayout() {
       />
       <Tabs.Screen
         name="camera"
+        listeners={protectedTabListeners('camera')}
         options={{
           title: 'Camera',
           tabBarIcon: ({ color }) => <IconSymbol size={28} name="camera.fill" color={color} />,
@@ -46,6 +76,7 @@ export default function TabLayout() {
       />
       <Tabs.Screen
         name="location"
+        listeners={protectedTabListeners('location')}
         options={{
           title: 'Location',
           tabBarIcon: ({ color }) => <IconSymbol size={28} name="location" color={color} />,
@@ -7,50 +7,105 @@ import {
   Alert, 
   Image, 
   ActivityIndicator,
+  Linking,
   Platform
 } from 'react-native';
-import { CameraView, useCameraPermissions } from 'expo-camera';
+import { useRouter } from 'expo-router';
+import * as Haptics from 'expo-haptics';
+import { CameraView } from 'expo-camera';
 import * as ImagePicker from 'expo-image-picker';
-import * as MediaLibrary from 'expo-media-library';
+import BurstPicker from '@/components/camera/burst-picker';
+import CameraToolbar from '@/components/camera/camera-toolbar';
+import GridOverlay from '@/components/camera/grid-overlay';
+import ModeSwitch from '@/components/camera/mode-switch';
+import ScanOverlay from '@/components/camera/scan-overlay';
+import ScanResult from '@/components/camera/scan-result';
+import VideoPreview, { formatDuration } from '@/components/camera/video-preview';
+import ZoomFocusLayer from '@/components/camera/zoom-focus-layer';
+import PhotoEditor from '@/components/photo-editor/photo-editor';
 import { IconSymbol } from '@/components/ui/icon-symbol';
+import { useAuth } from '@/context/auth-context';
+import { useCameraSettings } from '@/hooks/use-camera-settings';
+import { useGeotagging } from '@/hooks/use-geotagging';
+import { usePermission } from '@/hooks/use-permission';
+import { useUploadQueue } from '@/hooks/use-upload-queue';
+import { saveToAlbum } from '@/services/album';
+import { BARCODE_TYPES } from '@/services/barcodes';
+import { addGeotaggedPhoto } from '@/services/geotags';
+import { requestPermission as requestAppPermission } from '@/services/permissions';
+import { addScan } from '@/services/scan-history';
+import { enqueuePhoto } from '@/services/upload-queue';
+
+// Refocusing is triggered by briefly switching autofocus off and on again
+const REFOCUS_DELAY_MS = 100;
+
+// The same code held in view is only recorded again after it has been out of
+// view for this long
+const SCAN_REPEAT_MS = 2000;
 
 export default function CameraScreen() {
-  const [permission, requestPermission] = useCameraPermissions();
-  const [cameraType, setCameraType] = useState('back');
+  const [permission, requestPermission] = usePermission('camera');
+  const [micPermission, requestMicPermission] = usePermission('microphone');
+  const [galleryPermission, requestGalleryPermission] = usePermission('mediaLibrary');
   const [capturedImage, setCapturedImage] = useState(null);
+  const [recordedVideo, setRecordedVideo] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordingSeconds, setRecordingSeconds] = useState(0);
   const [isCameraReady, setIsCameraReady] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const [galleryPermission, setGalleryPermission] = useState(null);
-  const [testMode, setTestMode] = useState(false); // Testing mode
+  const [isEditing, setIsEditing] = useState(false);
+  const [zoom, setZoom] = useState(0);
+  const [autofocus, setAutofocus] = useState('on');
+  const [countdown, setCountdown] = useState(0);
+  const [burstFrames, setBurstFrames] = useState(null);
+  const [scanResult, setScanResult] = useState(null);
   const cameraRef = useRef(null);
+  const countdownRef = useRef(null);
+  const recordingTimerRef = useRef(null);
+  const lastScanRef = useRef({ key: null, at: 0 });
+  const { settings, updateSettings } = useCameraSettings();
+  const router = useRouter();
+  const { user } = useAuth();
+  const uploadQueue = useUploadQueue();
 
-  useEffect(() => {
-    checkGalleryPermission();
+  // Don't leave a self-timer or recording counter running after leaving the screen
+  useEffect(() => () => {
+    clearInterval(countdownRef.current);
+    clearInterval(recordingTimerRef.current);
   }, []);
 
-  const checkGalleryPermission = async () => {
-    try {
-      const { status } = await MediaLibrary.getPermissionsAsync();
-      setGalleryPermission(status === 'granted');
-    } catch (error) {
-      console.log('Gallery permission check failed:', error);
-      setGalleryPermission(false);
-    }
-  };
+  const isVideoMode = settings.mode === 'video';
+  const isScanMode = settings.mode === 'scan';
+  const isGeotagging = settings.geotag && settings.mode === 'photo';
+  const { getFix } = useGeotagging(isGeotagging);
+  // Without the microphone, videos are still recorded, just silently
+  const isMuted = !micPermission?.granted;
 
-  const requestGalleryPermission = async () => {
-    try {
-      const { status } = await MediaLibrary.requestPermissionsAsync();
-      setGalleryPermission(status === 'granted');
-      return status === 'granted';
-    } catch (error) {
-      console.log('Gallery permission request failed:', error);
-      setGalleryPermission(false);
-      return false;
-    }
-  };
+  // Video mode asks for the microphone alongside the camera, the first time
+  // it's switched on (or opened with video as the saved mode)
+  useEffect(() => {
+    if (!isVideoMode || micPermission?.status !== 'undetermined') return;
+
+    requestMicPermission()
+      .then((result) => {
+        if (!result.granted) {
+          Alert.alert(
+            'Microphone Off',
+            'Videos will be recorded without sound. You can allow microphone access in your device settings.',
+            [{ text: 'OK' }]
+          );
+        }
+      })
+      .catch((error) => console.error('Microphone permission error:', error));
+  }, [isVideoMode, micPermission?.status, requestMicPermission]);
 
   const handlePermissionRequest = async () => {
+    // Once denied for good, only the device settings can turn the camera on
+    if (!permission.canAskAgain) {
+      Linking.openSettings();
+      return;
+    }
+
     setIsLoading(true);
     try {
       const result = await requestPermission();
@@ -72,6 +127,17 @@ export default function CameraScreen() {
     }
   };
 
+  // Stamps photos with the capture time and, when geotagging is on, the
+  // current position. Burst frames share one fix.
+  const tagPhotos = async (photos) => {
+    const capturedAt = new Date().toISOString();
+    const location = isGeotagging ? await getFix() : null;
+    if (isGeotagging && !location) {
+      Alert.alert('Location Unavailable', 'The photo was taken without a location. Check that GPS is enabled.');
+    }
+    return photos.map(photo => ({ ...photo, capturedAt, ...(location && { location }) }));
+  };
+
   const takePicture = async () => {
     if (!cameraRef.current || !permission?.granted) return;
 
@@ -81,7 +147,8 @@ export default function CameraScreen() {
         quality: 0.8,
         base64: false,
       });
-      setCapturedImage(photo);
+      const [tagged] = await tagPhotos([photo]);
+      setCapturedImage(tagged);
       console.log('Photo taken:', photo);
     } catch (error) {
       console.error('Camera error:', error);
@@ -91,19 +158,172 @@ export default function CameraScreen() {
     }
   };
 
+  // Takes settings.burst frames back to back, then lets the user pick
+  const takeBurst = async () => {
+    if (!cameraRef.current || !permission?.granted) return;
+
+    setIsLoading(true);
+    const frames = [];
+    try {
+      for (let i = 0; i < settings.burst; i++) {
+        frames.push(await cameraRef.current.takePictureAsync({
+          quality: 0.8,
+          base64: false,
+          shutterSound: i === 0,
+        }));
+      }
+    } catch (error) {
+      console.error('Burst error:', error);
+      if (frames.length === 0) Alert.alert('Error', 'Failed to take pictures');
+    } finally {
+      setIsLoading(false);
+    }
+    if (frames.length > 0) setBurstFrames(await tagPhotos(frames));
+  };
+
+  const capture = () => (settings.burst > 0 ? takeBurst() : takePicture());
+
+  // Records until stopped or until settings.maxVideoSeconds, whichever comes
+  // first; recordAsync only resolves once recording has ended
+  const startRecording = async () => {
+    if (!cameraRef.current || !permission?.granted) return;
+
+    const startedAt = Date.now();
+    const muted = isMuted;
+    setIsRecording(true);
+    setRecordingSeconds(0);
+    recordingTimerRef.current = setInterval(() => {
+      setRecordingSeconds(Math.floor((Date.now() - startedAt) / 1000));
+    }, 250);
+
+    try {
+      const video = await cameraRef.current.recordAsync({ maxDuration: settings.maxVideoSeconds });
+      if (video?.uri) {
+        const duration = Math.min((Date.now() - startedAt) / 1000, settings.maxVideoSeconds);
+        setRecordedVideo({ uri: video.uri, duration, muted });
+        console.log('Video recorded:', video);
+      }
+    } catch (error) {
+      console.error('Recording error:', error);
+      Alert.alert('Error', 'Failed to record video');
+    } finally {
+      clearInterval(recordingTimerRef.current);
+      setIsRecording(false);
+    }
+  };
+
+  const stopRecording = () => {
+    cameraRef.current?.stopRecording();
+  };
+
+  const cancelCountdown = () => {
+    clearInterval(countdownRef.current);
+    setCountdown(0);
+  };
+
+  // Shutter button: counts down first when the self-timer is on; pressing it
+  // again during the countdown cancels
+  const handleShutter = () => {
+    if (isVideoMode) {
+      if (isRecording) {
+        stopRecording();
+      } else {
+        startRecording();
+      }
+      return;
+    }
+    if (countdown > 0) {
+      cancelCountdown();
+      return;
+    }
+    if (!settings.timer) {
+      capture();
+      return;
+    }
+
+    let remaining = settings.timer;
+    setCountdown(remaining);
+    countdownRef.current = setInterval(() => {
+      remaining -= 1;
+      setCountdown(remaining);
+      if (remaining === 0) {
+        clearInterval(countdownRef.current);
+        capture();
+      }
+    }, 1000);
+  };
+
+  // The scanner reports a code on every frame it's visible in, so repeated
+  // reads of the code that was just recorded are dropped
+  const handleBarcodeScanned = async ({ type, data }) => {
+    const key = `${type}:${data}`;
+    const now = Date.now();
+    const last = lastScanRef.current;
+    lastScanRef.current = { key, at: now };
+    if (last.key === key && now - last.at < SCAN_REPEAT_MS) return;
+
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success).catch(() => {});
+    try {
+      setScanResult(await addScan({ type, data }));
+    } catch (error) {
+      console.error('Scan history error:', error);
+      setScanResult({ id: key, type, data, scannedAt: new Date().toISOString() });
+    }
+  };
+
+  // Geotagging needs the location permission before it can be turned on
+  const changeSettings = async (changes) => {
+    if (changes.geotag) {
+      const { granted } = await requestAppPermission('location');
+      if (!granted) {
+        Alert.alert(
+          'Location Permission Required',
+          'Allow location access in your device settings to tag photos with where they were taken.',
+          [{ text: 'OK' }]
+        );
+        return;
+      }
+    }
+    updateSettings(changes);
+  };
+
+  // Geotagged photos that are kept (saved or uploaded) show up on the Location tab's map
+  const rememberGeotags = (images) => {
+    for (const image of images) {
+      if (!image.location) continue;
+      addGeotaggedPhoto(image, user?.id ?? null).catch(error => console.log('Failed to keep geotagged photo:', error));
+    }
+  };
+
+  const changeMode = (mode) => {
+    setScanResult(null);
+    updateSettings({ mode });
+  };
+
+  const handleFocus = () => {
+    setAutofocus('off');
+    setTimeout(() => setAutofocus('on'), REFOCUS_DELAY_MS);
+  };
+
+  // One picked image opens in the preview; several are offered for import
+  // into the album or upload together
   const pickImageFromGallery = async () => {
     setIsLoading(true);
     try {
+      // Cropping happens in our own editor, so the picker returns the full image
       const result = await ImagePicker.launchImageLibraryAsync({
-        mediaTypes: ImagePicker.MediaTypeOptions.Images,
-        allowsEditing: true,
-        aspect: [4, 3],
+        mediaTypes: ['images'],
+        allowsMultipleSelection: true,
+        orderedSelection: true,
         quality: 0.8,
       });
 
       if (!result.canceled) {
-        setCapturedImage(result.assets[0]);
-        console.log('Image picked:', result.assets[0]);
+        if (result.assets.length === 1) {
+          setCapturedImage(result.assets[0]);
+        } else {
+          offerPhotos(result.assets, `Import ${result.assets.length} Photos`, 'Add to Album');
+        }
       }
     } catch (error) {
       console.error('Image picker error:', error);
@@ -113,26 +333,36 @@ export default function CameraScreen() {
     }
   };
 
-  const saveToGallery = async () => {
-    if (!capturedImage) return;
+  const ensureGalleryPermission = async () => {
+    if (galleryPermission?.granted) return true;
 
-    if (!galleryPermission) {
-      const granted = await requestGalleryPermission();
+    try {
+      const { granted } = await requestGalleryPermission();
       if (!granted) {
         Alert.alert(
           'Permission Required',
-          'Gallery access is required to save photos. Please enable storage permission in settings.',
-          [{ text: 'OK' }]
+          'Gallery access is required to save photos and videos. Please enable storage permission in settings.',
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Open Settings', onPress: () => Linking.openSettings() }
+          ]
         );
-        return;
       }
+      return granted;
+    } catch (error) {
+      console.log('Gallery permission request failed:', error);
+      return false;
     }
+  };
+
+  const saveToGallery = async (images = [capturedImage]) => {
+    if (!images[0] || !(await ensureGalleryPermission())) return;
 
     setIsLoading(true);
     try {
-      const asset = await MediaLibrary.createAssetAsync(capturedImage.uri);
-      await MediaLibrary.createAlbumAsync('MyAppCamera', asset, false);
-      Alert.alert('Success', 'Image saved to gallery!');
+      await saveToAlbum(images.map(image => image.uri));
+      rememberGeotags(images);
+      Alert.alert('Success', images.length > 1 ? `${images.length} images saved to gallery!` : 'Image saved to gallery!');
       console.log('Image saved to gallery');
     } catch (error) {
       console.error('Save error:', error);
@@ -142,8 +372,107 @@ export default function CameraScreen() {
     }
   };
 
+  const saveVideoToGallery = async () => {
+    if (!recordedVideo || !(await ensureGalleryPermission())) return;
+
+    setIsLoading(true);
+    try {
+      await saveToAlbum([recordedVideo.uri]);
+      Alert.alert('Success', 'Video saved to gallery!');
+    } catch (error) {
+      console.error('Save error:', error);
+      Alert.alert('Error', 'Failed to save video to gallery');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Several photos at once (burst frames or a multi-select import) can be
+  // saved to the album or uploaded together
+  const offerPhotos = (images, title, saveLabel = 'Save to Gallery') => {
+    Alert.alert(title, 'What would you like to do with them?', [
+      { text: 'Discard', style: 'destructive' },
+      { text: saveLabel, onPress: () => saveToGallery(images) },
+      {
+        text: 'Upload',
+        onPress: async () => {
+          if (!requireLogin()) return;
+          try {
+            for (const image of images) {
+              await enqueuePhoto(image);
+            }
+            rememberGeotags(images);
+          } catch (error) {
+            console.error('Queue upload error:', error);
+            Alert.alert('Error', 'Failed to queue photos for upload');
+          }
+        }
+      }
+    ]);
+  };
+
+  // A single kept frame goes to the normal preview
+  const keepBurstFrames = (frames) => {
+    setBurstFrames(null);
+    if (frames.length === 1) {
+      setCapturedImage(frames[0]);
+    } else {
+      offerPhotos(frames, `Keep ${frames.length} Photos`);
+    }
+  };
+
+  // Cloud uploads belong to an account, so signed-out users are sent to login first
+  const requireLogin = () => {
+    if (user) return true;
+    Alert.alert(
+      'Login Required',
+      'Log in to upload photos and videos to your cloud gallery.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Log In', onPress: () => router.push('/login?redirect=/camera') }
+      ]
+    );
+    return false;
+  };
+
+  // Queues the photo and goes back to the camera; the queue keeps retrying
+  // in the background until the upload goes through
+  const uploadToCloud = async () => {
+    if (!capturedImage || !requireLogin()) return;
+
+    try {
+      await enqueuePhoto(capturedImage);
+      rememberGeotags([capturedImage]);
+      setCapturedImage(null);
+    } catch (error) {
+      console.error('Queue upload error:', error);
+      Alert.alert('Error', 'Failed to queue photo for upload');
+    }
+  };
+
+  const uploadVideoToCloud = async () => {
+    if (!recordedVideo || !requireLogin()) return;
+
+    try {
+      await enqueuePhoto(recordedVideo, { duration: recordedVideo.duration });
+      setRecordedVideo(null);
+    } catch (error) {
+      console.error('Queue upload error:', error);
+      Alert.alert('Error', 'Failed to queue video for upload');
+    }
+  };
+
+  const openCloudGallery = () => {
+    if (requireLogin()) router.push('/photos');
+  };
+
+  const openAlbum = () => {
+    router.push('/album');
+  };
+
   const toggleCameraType = () => {
-    setCameraType(cameraType === 'back' ? 'front' : 'back');
+    updateSettings({ facing: settings.facing === 'back' ? 'front' : 'back' });
+    setZoom(0);
   };
 
   const resetCamera = () => {
@@ -156,52 +485,21 @@ export default function CameraScreen() {
         <View style={styles.centerContent}>
           <ActivityIndicator size="large" color="#007AFF" />
           <Text style={styles.loadingText}>Checking permissions...</Text>
-          
-          {/* Testing Controls */}
-          <View style={styles.testControls}>
-            <Text style={styles.testTitle}>🧪 Test Permission States:</Text>
-            <TouchableOpacity style={styles.testButton} onPress={() => setTestMode('denied')}>
-              <Text style={styles.testButtonText}>Simulate Denied</Text>
-            </TouchableOpacity>
-            <TouchableOpacity style={styles.testButton} onPress={() => setTestMode('granted')}>
-              <Text style={styles.testButtonText}>Simulate Granted</Text>
-            </TouchableOpacity>
-          </View>
-        </View>
-      </View>
-    );
-  }
-
-  if (testMode === 'denied') {
-    return (
-      <View style={styles.container}>
-        <View style={styles.centerContent}>
-          <IconSymbol size={60} name="camera" color="#666" />
-          <Text style={styles.title}>Camera Permission Required</Text>
-          <Text style={styles.subtitle}>
-            This app needs camera access to take photos. Please grant permission to continue.
-          </Text>
-          
-          <TouchableOpacity style={styles.permissionButton} onPress={() => setTestMode('granted')}>
-            <Text style={styles.buttonText}>Grant Camera Permission</Text>
-          </TouchableOpacity>
-          
-          <TouchableOpacity style={styles.testButton} onPress={() => setTestMode(false)}>
-            <Text style={styles.testButtonText}>Exit Test Mode</Text>
-          </TouchableOpacity>
         </View>
       </View>
     );
   }
 
-  if (testMode === 'granted' || !permission.granted) {
+  if (!permission.granted) {
     return (
       <View style={styles.container}>
         <View style={styles.centerContent}>
           <IconSymbol size={60} name="camera" color="#666" />
           <Text style={styles.title}>Camera Permission Required</Text>
           <Text style={styles.subtitle}>
-            This app needs camera access to take photos. Please grant permission to continue.
+            {permission.canAskAgain
+              ? 'This app needs camera access to take photos. Please grant permission to continue.'
+              : 'Camera access was denied. Turn it on for this app in your device settings to take photos.'}
           </Text>
           
           <TouchableOpacity 
@@ -212,7 +510,9 @@ export default function CameraScreen() {
             {isLoading ? (
               <ActivityIndicator color="white" />
             ) : (
-              <Text style={styles.buttonText}>Grant Camera Permission</Text>
+              <Text style={styles.buttonText}>
+                {permission.canAskAgain ? 'Grant Camera Permission' : 'Open Settings'}
+              </Text>
             )}
           </TouchableOpacity>
           
@@ -224,10 +524,60 @@ export default function CameraScreen() {
     );
   }
 
+  if (burstFrames) {
+    return (
+      <BurstPicker
+        frames={burstFrames}
+        onKeep={keepBurstFrames}
+        onDiscard={() => setBurstFrames(null)}
+      />
+    );
+  }
+
+  if (recordedVideo) {
+    return (
+      <VideoPreview
+        video={recordedVideo}
+        isLoading={isLoading}
+        onRetake={() => setRecordedVideo(null)}
+        onSave={saveVideoToGallery}
+        onUpload={uploadVideoToCloud}
+      />
+    );
+  }
+
+  if (capturedImage && isEditing) {
+    return (
+      <PhotoEditor
+        image={capturedImage}
+        onDone={(editedImage) => {
+          // The edited copy is still the same shot, taken at the same place
+          setCapturedImage({
+            ...editedImage,
+            capturedAt: capturedImage.capturedAt,
+            location: capturedImage.location,
+          });
+          setIsEditing(false);
+        }}
+        onCancel={() => setIsEditing(false)}
+      />
+    );
+  }
+
   if (capturedImage) {
     return (
       <View style={styles.container}>
         <Image source={{ uri: capturedImage.uri }} style={styles.previewImage} />
+
+        {capturedImage.location && (
+          <View style={styles.geotagBadge}>
+            <IconSymbol size={16} name="location.fill" color="white" />
+            <Text style={styles.geotagText}>
+              {capturedImage.location.latitude.toFixed(5)}, {capturedImage.location.longitude.toFixed(5)}
+              {capturedImage.location.accuracy != null && ` ±${Math.round(capturedImage.location.accuracy)} m`}
+            </Text>
+          </View>
+        )}
         
         <View style={styles.previewActions}>
           <TouchableOpacity style={styles.actionButton} onPress={resetCamera}>
@@ -235,10 +585,20 @@ export default function CameraScreen() {
             <Text style={styles.buttonText}>Retake</Text>
           </TouchableOpacity>
           
-          <TouchableOpacity style={styles.actionButton} onPress={saveToGallery}>
+          <TouchableOpacity style={styles.actionButton} onPress={() => setIsEditing(true)}>
+            <IconSymbol size={24} name="pencil" color="white" />
+            <Text style={styles.buttonText}>Edit</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity style={styles.actionButton} onPress={() => saveToGallery()}>
             <IconSymbol size={24} name="square.and.arrow.down" color="white" />
             <Text style={styles.buttonText}>Save</Text>
           </TouchableOpacity>
+
+          <TouchableOpacity style={styles.actionButton} onPress={uploadToCloud}>
+            <IconSymbol size={24} name="icloud.and.arrow.up" color="white" />
+            <Text style={styles.buttonText}>Upload</Text>
+          </TouchableOpacity>
         </View>
         
         {isLoading && (
@@ -256,26 +616,106 @@ export default function CameraScreen() {
       <CameraView 
         ref={cameraRef}
         style={styles.camera}
-        facing={cameraType}
+        mode={isVideoMode ? 'video' : 'picture'}
+        mute={isMuted}
+        barcodeScannerSettings={{ barcodeTypes: BARCODE_TYPES }}
+        onBarcodeScanned={isScanMode ? handleBarcodeScanned : undefined}
+        facing={settings.facing}
+        flash={settings.flash === 'torch' || isVideoMode ? 'off' : settings.flash}
+        enableTorch={settings.flash === 'torch'}
+        zoom={zoom}
+        autofocus={autofocus}
         onCameraReady={() => setIsCameraReady(true)}
       />
+
+      {settings.grid && !isScanMode && <GridOverlay />}
+      {isScanMode && <ScanOverlay detected={!!scanResult} />}
+      <ZoomFocusLayer zoom={zoom} onZoomChange={setZoom} onFocus={handleFocus} />
+      {isRecording ? (
+        <View style={styles.recordingCounter}>
+          <View style={styles.recordingDot} />
+          <Text style={styles.recordingText}>
+            {formatDuration(recordingSeconds)} / {formatDuration(settings.maxVideoSeconds)}
+          </Text>
+          {isMuted && <IconSymbol size={16} name="mic.slash" color="white" />}
+        </View>
+      ) : (
+        <CameraToolbar settings={settings} onChange={changeSettings} style={styles.toolbar} />
+      )}
+
+      {countdown > 0 && (
+        <View style={styles.countdown} pointerEvents="none">
+          <Text style={styles.countdownText}>{countdown}</Text>
+        </View>
+      )}
+
+      <TouchableOpacity style={styles.albumButton} onPress={openAlbum} accessibilityLabel="Album">
+        <IconSymbol size={26} name="photo.on.rectangle" color="white" />
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.cloudButton} onPress={openCloudGallery} accessibilityLabel="Cloud Gallery">
+        <IconSymbol size={26} name="icloud" color="white" />
+        {uploadQueue.length > 0 && (
+          <View style={styles.badge}>
+            <Text style={styles.badgeText}>{uploadQueue.length}</Text>
+          </View>
+        )}
+      </TouchableOpacity>
       
       <View style={styles.cameraControls}>
-        <TouchableOpacity style={styles.controlButton} onPress={pickImageFromGallery}>
-          <IconSymbol size={30} name="photo" color="white" />
-        </TouchableOpacity>
-        
-        <TouchableOpacity 
-          style={[styles.captureButton, !isCameraReady && styles.buttonDisabled]} 
-          onPress={takePicture}
-          disabled={!isCameraReady}
-        >
-          <View style={styles.captureInner} />
-        </TouchableOpacity>
-        
-        <TouchableOpacity style={styles.controlButton} onPress={toggleCameraType}>
-          <IconSymbol size={30} name="camera.rotate" color="white" />
-        </TouchableOpacity>
+        {scanResult && (
+          <ScanResult scan={scanResult} onClose={() => setScanResult(null)} style={styles.scanResult} />
+        )}
+
+        <ModeSwitch mode={settings.mode} onChange={changeMode} disabled={isRecording || countdown > 0} />
+
+        <View style={styles.controlRow}>
+          {isScanMode ? (
+            <TouchableOpacity
+              style={styles.controlButton}
+              onPress={() => router.push('/scans')}
+              accessibilityLabel="Scan History"
+            >
+              <IconSymbol size={30} name="clock.arrow.circlepath" color="white" />
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={[styles.controlButton, isRecording && styles.controlHidden]}
+              onPress={pickImageFromGallery}
+              disabled={isRecording}
+              accessibilityLabel="Import from library"
+            >
+              <IconSymbol size={30} name="photo" color="white" />
+            </TouchableOpacity>
+          )}
+
+          <TouchableOpacity
+            style={[
+              styles.captureButton,
+              !isCameraReady && styles.buttonDisabled,
+              isScanMode && styles.controlHidden,
+            ]}
+            onPress={handleShutter}
+            disabled={!isCameraReady || isScanMode}
+          >
+            <View
+              style={[
+                styles.captureInner,
+                isVideoMode && styles.captureRecord,
+                countdown > 0 && styles.captureCancel,
+                isRecording && styles.captureStop,
+              ]}
+            />
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.controlButton, isRecording && styles.controlHidden]}
+            onPress={toggleCameraType}
+            disabled={isRecording}
+          >
+            <IconSymbol size={30} name="camera.rotate" color="white" />
+          </TouchableOpacity>
+        </View>
       </View>
       
       {isLoading && (
@@ -348,17 +788,116 @@ const styles = StyleSheet.create({
     bottom: 0,
     left: 0,
     right: 0,
+    paddingTop: 8,
+    paddingBottom: 40,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+  },
+  controlRow: {
     flexDirection: 'row',
     justifyContent: 'space-around',
     alignItems: 'center',
-    paddingBottom: 40,
-    backgroundColor: 'rgba(0,0,0,0.3)',
+    marginTop: 8,
+  },
+  controlHidden: {
+    opacity: 0,
+  },
+  scanResult: {
+    marginHorizontal: 15,
+    marginBottom: 10,
   },
   controlButton: {
     padding: 15,
     borderRadius: 25,
     backgroundColor: 'rgba(255,255,255,0.2)',
   },
+  toolbar: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    paddingTop: 50,
+  },
+  countdown: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  countdownText: {
+    color: 'white',
+    fontSize: 120,
+    fontWeight: 'bold',
+    textShadowColor: 'rgba(0,0,0,0.6)',
+    textShadowRadius: 10,
+  },
+  captureCancel: {
+    backgroundColor: '#FF3B30',
+  },
+  captureRecord: {
+    backgroundColor: '#FF3B30',
+  },
+  captureStop: {
+    width: 28,
+    height: 28,
+    borderRadius: 6,
+  },
+  recordingCounter: {
+    position: 'absolute',
+    top: 55,
+    alignSelf: 'center',
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  recordingDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#FF3B30',
+    marginRight: 8,
+  },
+  recordingText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+    fontVariant: ['tabular-nums'],
+    marginRight: 6,
+  },
+  albumButton: {
+    position: 'absolute',
+    top: 120,
+    left: 20,
+    padding: 12,
+    borderRadius: 25,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  cloudButton: {
+    position: 'absolute',
+    top: 120,
+    right: 20,
+    padding: 12,
+    borderRadius: 25,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  badge: {
+    position: 'absolute',
+    top: -4,
+    right: -4,
+    minWidth: 20,
+    height: 20,
+    borderRadius: 10,
+    paddingHorizontal: 5,
+    backgroundColor: '#FF3B30',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  badgeText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
   captureButton: {
     width: 70,
     height: 70,
@@ -376,6 +915,22 @@ const styles = StyleSheet.create({
   previewImage: {
     flex: 1,
   },
+  geotagBadge: {
+    position: 'absolute',
+    top: 55,
+    alignSelf: 'center',
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  geotagText: {
+    color: 'white',
+    fontSize: 13,
+    marginLeft: 6,
+  },
   previewActions: {
     position: 'absolute',
     bottom: 0,
@@ -401,25 +956,4 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
-  testControls: {
-    marginTop: 30,
-    alignItems: 'center',
-  },
-  testTitle: {
-    color: '#007AFF',
-    fontSize: 14,
-    fontWeight: 'bold',
-    marginBottom: 10,
-  },
-  testButton: {
-    backgroundColor: '#333',
-    paddingHorizontal: 15,
-    paddingVertical: 8,
-    borderRadius: 5,
-    marginVertical: 5,
-  },
-  testButtonText: {
-    color: 'white',
-    fontSize: 12,
-  },
 });
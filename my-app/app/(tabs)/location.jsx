@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   View, 
   Text, 
@@ -9,12 +9,38 @@ import {
   Dimensions,
   ScrollView,
   StatusBar,
+  Linking,
   Platform
 } from 'react-native';
 import * as Location from 'expo-location';
-import MapView, { Marker } from 'react-native-maps';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import MapView, { Circle, Marker, Polyline } from 'react-native-maps';
+import GeofenceEditor from '@/components/location/geofence-editor';
+import GeotagViewer from '@/components/location/geotag-viewer';
+import MapFilesSheet from '@/components/location/map-files-sheet';
+import PhotoMarker from '@/components/location/photo-marker';
 import { IconSymbol } from '@/components/ui/icon-symbol';
 import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useGeofences } from '@/hooks/use-geofences';
+import { useGeotaggedPhotos } from '@/hooks/use-geotagged-photos';
+import { useMapImports } from '@/hooks/use-map-imports';
+import { usePermission } from '@/hooks/use-permission';
+import { useTrackRecorder } from '@/hooks/use-track-recorder';
+import { regionForPoints } from '@/services/geo';
+import { pickGeoFile, shareGeotaggedPhotos } from '@/services/geo-files';
+import {
+  addGeofence,
+  DEFAULT_RADIUS,
+  MAX_GEOFENCES,
+  removeGeofence,
+  updateGeofence,
+  updateGeofencing,
+} from '@/services/geofences';
+import { removeGeotaggedPhoto } from '@/services/geotags';
+import { addMapImport, removeMapImport } from '@/services/map-imports';
+import { formatElapsed, loadTrack, trackTitle } from '@/services/track-library';
+import { startRecording, stopRecording } from '@/services/track-recorder';
+import { formatDistance, formatElevation, formatPace, formatSpeed, trackStats } from '@/services/track-stats';
 import { Colors } from '@/constants/theme';
 
 export default function LocationScreen() {
@@ -22,9 +48,25 @@ export default function LocationScreen() {
   const [location, setLocation] = useState(null);
   const [errorMsg, setErrorMsg] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [permissionStatus, setPermissionStatus] = useState(null);
-  const [isTracking, setIsTracking] = useState(false);
-  const [locationSubscription, setLocationSubscription] = useState(null);
+  const [permission, requestPermission] = usePermission('location');
+  const [backgroundPermission, requestBackgroundPermission] = usePermission('backgroundLocation');
+  const [notificationPermission, requestNotificationPermission] = usePermission('notifications');
+  const recorder = useTrackRecorder();
+  const isTracking = recorder.isRecording;
+  const router = useRouter();
+  // Set by the Tracks screen to show a saved track
+  const { trackId } = useLocalSearchParams();
+  const [shownTrack, setShownTrack] = useState(null);
+  const geotaggedPhotos = useGeotaggedPhotos();
+  const [selectedPhoto, setSelectedPhoto] = useState(null);
+  const mapImports = useMapImports();
+  const [showMapFiles, setShowMapFiles] = useState(false);
+  const { geofences, isMonitoring } = useGeofences();
+  // The geofence in the editor, drawn on the map in place of the saved one
+  const [geofenceDraft, setGeofenceDraft] = useState(null);
+  const shownGeofences = geofenceDraft
+    ? [...geofences.filter(geofence => geofence.id !== geofenceDraft.id), geofenceDraft]
+    : geofences;
   const [mapRegion, setMapRegion] = useState({
     latitude: 37.78825,
     longitude: -122.4324,
@@ -32,41 +74,53 @@ export default function LocationScreen() {
     longitudeDelta: 0.0421,
   });
 
+  // Follow the track being recorded
+  const { lastFix } = recorder;
+  const tripStats = recorder.track ? trackStats(recorder.track) : null;
   useEffect(() => {
-    checkLocationPermission();
-  }, []);
+    if (!lastFix) return;
+    setLocation(lastFix);
+    setMapRegion({
+      latitude: lastFix.coords.latitude,
+      longitude: lastFix.coords.longitude,
+      latitudeDelta: 0.01,
+      longitudeDelta: 0.01,
+    });
+  }, [lastFix]);
 
   useEffect(() => {
-    // Cleanup location subscription when component unmounts
+    if (!trackId) {
+      setShownTrack(null);
+      return;
+    }
+
+    let active = true;
+    loadTrack(trackId)
+      .then((track) => {
+        if (!active) return;
+        setShownTrack(track);
+        setMapRegion(current => regionForPoints(track.points) ?? current);
+      })
+      .catch((error) => {
+        console.error('Load track error:', error);
+        Alert.alert('Error', 'Failed to load the track');
+      });
     return () => {
-      if (locationSubscription) {
-        locationSubscription.remove();
-      }
+      active = false;
     };
-  }, [locationSubscription]);
+  }, [trackId]);
 
-  const checkLocationPermission = async () => {
+  const askForPermission = useCallback(async () => {
     setIsLoading(true);
     try {
-      let { status } = await Location.getForegroundPermissionsAsync();
-      setPermissionStatus(status);
-      
-      if (status !== 'granted') {
-        const { status: newStatus } = await Location.requestForegroundPermissionsAsync();
-        setPermissionStatus(newStatus);
-        
-        if (newStatus !== 'granted') {
-          setErrorMsg('Permission to access location was denied');
-          Alert.alert(
-            'Location Permission Required',
-            'This app needs location access to show your current position. Please enable location in your device settings.',
-            [{ text: 'OK' }]
-          );
-        } else {
-          getCurrentLocation();
-        }
-      } else {
-        getCurrentLocation();
+      const { granted } = await requestPermission();
+      if (!granted) {
+        setErrorMsg('Permission to access location was denied');
+        Alert.alert(
+          'Location Permission Required',
+          'This app needs location access to show your current position. Please enable location in your device settings.',
+          [{ text: 'OK' }]
+        );
       }
     } catch (error) {
       setErrorMsg('Error checking location permission');
@@ -74,9 +128,9 @@ export default function LocationScreen() {
     } finally {
       setIsLoading(false);
     }
-  };
+  }, [requestPermission]);
 
-  const getCurrentLocation = async () => {
+  const getCurrentLocation = useCallback(async () => {
     setIsLoading(true);
     setErrorMsg(null);
     
@@ -98,41 +152,149 @@ export default function LocationScreen() {
     } finally {
       setIsLoading(false);
     }
+  }, []);
+
+  const isGranted = permission?.granted;
+  const isUndetermined = permission?.status === 'undetermined';
+
+  // Ask straight away the first time; show where the user is once allowed
+  useEffect(() => {
+    if (isUndetermined) askForPermission();
+  }, [isUndetermined, askForPermission]);
+
+  useEffect(() => {
+    if (isGranted) getCurrentLocation();
+  }, [isGranted, getCurrentLocation]);
+
+  // Background location keeps a track recording after the app is closed. It's
+  // asked for once, the first time tracking starts; tracking works without it.
+  const askForBackgroundPermission = async () => {
+    if (backgroundPermission?.status !== 'undetermined') return;
+    const { granted } = await requestBackgroundPermission();
+    if (!granted) {
+      Alert.alert(
+        'Background Location Off',
+        'Tracking continues with the screen locked, but may stop if the app is closed. Allow location "All the time" in your device settings to keep it running.',
+        [{ text: 'OK' }]
+      );
+    }
   };
 
+  // Geofences are only watched with background location, so it's asked for
+  // when one is saved; alerts also need notifications. Every crossing is
+  // logged either way.
+  const askForGeofencePermissions = async (alert) => {
+    const background = backgroundPermission?.granted ? backgroundPermission : await requestBackgroundPermission();
+    const notifications =
+      alert === 'none' || notificationPermission?.granted || notificationPermission?.canAskAgain === false
+        ? notificationPermission
+        : await requestNotificationPermission();
+    await updateGeofencing();
+
+    if (!background.granted) {
+      Alert.alert(
+        'Background Location Required',
+        'Geofences are only watched while location access is allowed "All the time". Allow it in your device settings.',
+        [
+          { text: 'Not Now', style: 'cancel' },
+          { text: 'Open Settings', onPress: () => Linking.openSettings() }
+        ]
+      );
+    } else if (alert !== 'none' && !notifications?.granted) {
+      Alert.alert(
+        'Notifications Off',
+        'Entering and leaving are still logged, but no alert is shown. Allow notifications in your device settings.',
+        [
+          { text: 'Not Now', style: 'cancel' },
+          { text: 'Open Settings', onPress: () => Linking.openSettings() }
+        ]
+      );
+    }
+  };
+
+  // Start watching (or stop) when background location is allowed or taken
+  // away in the device settings
+  const hasBackgroundLocation = backgroundPermission?.granted;
+  useEffect(() => {
+    if (hasBackgroundLocation === undefined) return;
+    updateGeofencing().catch((error) => console.log('Failed to update geofencing:', error));
+  }, [hasBackgroundLocation]);
+
+  const startGeofence = (coordinate) => {
+    if (geofences.length >= MAX_GEOFENCES) {
+      Alert.alert('Too Many Geofences', `You can have at most ${MAX_GEOFENCES} geofences. Delete one to add another.`);
+      return;
+    }
+    setGeofenceDraft({ ...coordinate, name: '', radius: DEFAULT_RADIUS, alert: 'both' });
+  };
+
+  const saveGeofence = async () => {
+    const { id, name, latitude, longitude, radius, alert } = geofenceDraft;
+    try {
+      if (id) {
+        await updateGeofence(id, { name, radius, alert });
+      } else {
+        await addGeofence({ name, latitude, longitude, radius, alert });
+      }
+      setGeofenceDraft(null);
+      await askForGeofencePermissions(alert);
+    } catch (error) {
+      console.error('Save geofence error:', error);
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const confirmRemoveGeofence = () => {
+    const { id, name } = geofenceDraft;
+    Alert.alert('Delete Geofence', `Delete ${name}? Its logged visits are kept.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await removeGeofence(id);
+            setGeofenceDraft(null);
+          } catch (error) {
+            console.error('Remove geofence error:', error);
+            Alert.alert('Error', 'Failed to delete the geofence');
+          }
+        }
+      }
+    ]);
+  };
+
+  // Tracking records every fix as a track, saved when tracking stops
   const watchLocation = async () => {
     if (isTracking) {
-      // Stop tracking
-      if (locationSubscription) {
-        locationSubscription.remove();
-        setLocationSubscription(null);
+      try {
+        const saved = await stopRecording();
+        if (saved.length > 0) {
+          const distance = saved.reduce((total, part) => total + part.stats.distance, 0);
+          const elapsedTime = saved.reduce((total, part) => total + part.stats.elapsedTime, 0);
+          // A very long recording is saved as several tracks
+          const parts = saved.length > 1 ? ` (saved as ${saved.length} tracks)` : '';
+          Alert.alert('Track Saved', `${trackTitle(saved[0])} · ${formatDistance(distance)} in ${formatElapsed(elapsedTime)}${parts}`, [
+            { text: 'OK' },
+            { text: 'View Tracks', onPress: () => router.push('/tracks') }
+          ]);
+        } else {
+          Alert.alert('Track Not Saved', 'Not enough positions were recorded to make a track.');
+        }
+      } catch (error) {
+        console.error('Save track error:', error);
+        Alert.alert('Error', 'Failed to save the track');
       }
-      setIsTracking(false);
       return;
     }
 
     setIsLoading(true);
     try {
-      const subscription = await Location.watchPositionAsync(
-        {
-          accuracy: Location.Accuracy.Balanced,
-          timeInterval: 2000, // Update every 2 seconds
-          distanceInterval: 5, // Update if moved 5 meters
-        },
-        (newLocation) => {
-          setLocation(newLocation);
-          setMapRegion({
-            latitude: newLocation.coords.latitude,
-            longitude: newLocation.coords.longitude,
-            latitudeDelta: 0.01,
-            longitudeDelta: 0.01,
-          });
-          console.log('Updated location:', newLocation);
-        }
-      );
-
-      setLocationSubscription(subscription);
-      setIsTracking(true);
+      // Tracking works without background location, so a failed prompt
+      // doesn't stop it
+      await askForBackgroundPermission().catch((error) => console.log('Background permission error:', error));
+      await startRecording();
+      setShownTrack(null);
     } catch (error) {
       setErrorMsg('Unable to watch location');
       console.error('Watch location error:', error);
@@ -156,11 +318,65 @@ export default function LocationScreen() {
     return `${(location.coords.speed * 3.6).toFixed(2)} km/h`;
   };
 
+  const confirmRemovePhoto = (photo) => {
+    Alert.alert('Remove Photo', 'Remove this photo from the map? Copies in your album or cloud gallery are kept.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await removeGeotaggedPhoto(photo.id);
+            setSelectedPhoto(null);
+          } catch (error) {
+            console.error('Remove geotagged photo error:', error);
+            Alert.alert('Error', 'Failed to remove the photo');
+          }
+        }
+      }
+    ]);
+  };
+
+  const importMapFile = async () => {
+    try {
+      const file = await pickGeoFile();
+      if (!file) return;
+      await addMapImport(file);
+      setShowMapFiles(false);
+      const points = [...file.tracks.flatMap(track => track.points), ...file.places];
+      setMapRegion(current => regionForPoints(points) ?? current);
+    } catch (error) {
+      console.error('Import map file error:', error);
+      Alert.alert('Import Failed', error.message);
+    }
+  };
+
+  const exportPhotoPlaces = async (format) => {
+    try {
+      await shareGeotaggedPhotos(geotaggedPhotos, format);
+    } catch (error) {
+      console.error('Export places error:', error);
+      Alert.alert('Error', 'Failed to export the places');
+    }
+  };
+
+  const confirmRemoveImport = (layer) => {
+    Alert.alert('Remove File', `Remove ${layer.name} from the map?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Remove', style: 'destructive', onPress: () => removeMapImport(layer.id) }
+    ]);
+  };
+
   const requestPermissionAgain = () => {
-    checkLocationPermission();
+    // Once denied for good, only the device settings can turn location on
+    if (!permission.canAskAgain) {
+      Linking.openSettings();
+      return;
+    }
+    askForPermission();
   };
 
-  if (permissionStatus === null) {
+  if (permission === null) {
     return (
       <View style={styles.container}>
         <View style={styles.centerContent}>
@@ -171,7 +387,7 @@ export default function LocationScreen() {
     );
   }
 
-  if (permissionStatus !== 'granted') {
+  if (!permission.granted) {
     return (
       <View style={styles.container}>
         <View style={styles.centerContent}>
@@ -189,7 +405,9 @@ export default function LocationScreen() {
             {isLoading ? (
               <ActivityIndicator color="white" />
             ) : (
-              <Text style={styles.buttonText}>Grant Location Permission</Text>
+              <Text style={styles.buttonText}>
+                {permission.canAskAgain ? 'Grant Location Permission' : 'Open Settings'}
+              </Text>
             )}
           </TouchableOpacity>
           
@@ -214,8 +432,14 @@ export default function LocationScreen() {
         borderBottomColor: colorScheme.isDark ? Colors.dark.tabIconDefault : Colors.light.tabIconDefault,
         paddingTop: Platform.OS === 'ios' ? 70 : 40
       }]}>
+        <TouchableOpacity style={styles.mapFilesButton} onPress={() => setShowMapFiles(true)} accessibilityLabel="Map Files">
+          <IconSymbol size={28} name="map" color="#007AFF" />
+        </TouchableOpacity>
         <IconSymbol size={40} name="location" color="#007AFF" />
         <Text style={[styles.headerTitle, { color: colorScheme.isDark ? Colors.dark.text : Colors.light.text }]}>GPS Location Tracker</Text>
+        <TouchableOpacity style={styles.tracksButton} onPress={() => router.push('/tracks')} accessibilityLabel="Tracks">
+          <IconSymbol size={28} name="point.topleft.down.to.point.bottomright.curvepath" color="#007AFF" />
+        </TouchableOpacity>
       </View>
 
       {isLoading && (
@@ -242,6 +466,7 @@ export default function LocationScreen() {
         showsUserLocation={true}
         showsMyLocationButton={true}
         followsUserLocation={isTracking}
+        onLongPress={(event) => startGeofence(event.nativeEvent.coordinate)}
       >
         {location && (
           <Marker
@@ -253,17 +478,137 @@ export default function LocationScreen() {
             description={`Lat: ${location.coords.latitude.toFixed(6)}, Lng: ${location.coords.longitude.toFixed(6)}`}
           />
         )}
+        {geotaggedPhotos.map(photo => (
+          <PhotoMarker key={photo.id} photo={photo} onPress={setSelectedPhoto} />
+        ))}
+        {mapImports.map(layer => (
+          <React.Fragment key={layer.id}>
+            {layer.tracks.map((track, index) => (
+              <Polyline key={index} coordinates={track.points} strokeColor="#AF52DE" strokeWidth={3} />
+            ))}
+            {layer.places.map((place, index) => (
+              <Marker
+                key={index}
+                coordinate={{ latitude: place.latitude, longitude: place.longitude }}
+                title={place.name ?? layer.name}
+                description={place.description ?? undefined}
+                pinColor="purple"
+              />
+            ))}
+          </React.Fragment>
+        ))}
+        {shownGeofences.map(geofence => (
+          <React.Fragment key={geofence.id ?? 'draft'}>
+            <Circle
+              center={{ latitude: geofence.latitude, longitude: geofence.longitude }}
+              radius={geofence.radius}
+              strokeColor="#34C759"
+              strokeWidth={2}
+              fillColor="rgba(52, 199, 89, 0.15)"
+            />
+            {geofence.id && (
+              <Marker
+                coordinate={{ latitude: geofence.latitude, longitude: geofence.longitude }}
+                title={geofence.name}
+                description="Tap to edit"
+                pinColor="green"
+                onCalloutPress={() => setGeofenceDraft(geofence)}
+              />
+            )}
+          </React.Fragment>
+        ))}
+        {shownTrack && (
+          <Polyline coordinates={shownTrack.points} strokeColor="#FF9500" strokeWidth={4} />
+        )}
+        {recorder.track && recorder.track.points.length > 1 && (
+          <Polyline coordinates={recorder.track.points} strokeColor="#007AFF" strokeWidth={4} />
+        )}
       </MapView>
 
+      {shownTrack && (
+        <View style={styles.trackBanner}>
+          <View style={styles.trackBannerText}>
+            <Text style={styles.trackBannerTitle} numberOfLines={1}>{trackTitle(shownTrack)}</Text>
+            <Text style={styles.trackBannerNote}>
+              {formatDistance(shownTrack.stats.distance)} · {formatElapsed(shownTrack.stats.movingTime)} moving of {formatElapsed(shownTrack.stats.elapsedTime)}
+            </Text>
+            <Text style={styles.trackBannerNote}>
+              {formatPace(shownTrack.stats.averageSpeed)} · max {formatSpeed(shownTrack.stats.maxSpeed)} · {formatElevation(shownTrack.stats)}
+            </Text>
+          </View>
+          <TouchableOpacity onPress={() => router.setParams({ trackId: '' })} accessibilityLabel="Hide track">
+            <IconSymbol size={24} name="xmark" color="#666" />
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <MapFilesSheet
+        visible={showMapFiles}
+        layers={mapImports}
+        placeCount={geotaggedPhotos.length}
+        onImport={importMapFile}
+        onExportPlaces={exportPhotoPlaces}
+        onRemoveLayer={confirmRemoveImport}
+        onClose={() => setShowMapFiles(false)}
+      />
+
+      <GeofenceEditor
+        draft={geofenceDraft}
+        isMonitoring={isMonitoring}
+        onChange={(changes) => setGeofenceDraft(current => ({ ...current, ...changes }))}
+        onSave={saveGeofence}
+        onDelete={confirmRemoveGeofence}
+        onClose={() => setGeofenceDraft(null)}
+      />
+
+      <GeotagViewer
+        photo={selectedPhoto}
+        onClose={() => setSelectedPhoto(null)}
+        onRemove={confirmRemovePhoto}
+      />
+
       {/* Location Info Panel */}
       {location && !errorMsg && (
         <View style={styles.infoPanel}>
           <View style={styles.infoHeader}>
             <IconSymbol size={20} name="location.fill" color="#007AFF" />
-            <Text style={styles.infoTitle}>Current Location</Text>
+            <Text style={styles.infoTitle}>{tripStats ? 'Current Trip' : 'Current Location'}</Text>
           </View>
           
           <ScrollView style={styles.infoContent}>
+            {tripStats && (
+              <View style={styles.tripStats}>
+                <View style={styles.infoRow}>
+                  <Text style={styles.infoLabel}>Distance:</Text>
+                  <Text style={styles.infoValue}>{formatDistance(tripStats.distance)}</Text>
+                </View>
+
+                <View style={styles.infoRow}>
+                  <Text style={styles.infoLabel}>Moving Time:</Text>
+                  <Text style={styles.infoValue}>
+                    {formatElapsed(tripStats.movingTime)} of {formatElapsed(tripStats.elapsedTime)}
+                  </Text>
+                </View>
+
+                <View style={styles.infoRow}>
+                  <Text style={styles.infoLabel}>Avg / Max Speed:</Text>
+                  <Text style={styles.infoValue}>
+                    {formatSpeed(tripStats.averageSpeed)} / {formatSpeed(tripStats.maxSpeed)}
+                  </Text>
+                </View>
+
+                <View style={styles.infoRow}>
+                  <Text style={styles.infoLabel}>Pace:</Text>
+                  <Text style={styles.infoValue}>{formatPace(tripStats.averageSpeed)}</Text>
+                </View>
+
+                <View style={styles.infoRow}>
+                  <Text style={styles.infoLabel}>Elevation:</Text>
+                  <Text style={styles.infoValue}>{formatElevation(tripStats)}</Text>
+                </View>
+              </View>
+            )}
+
             <View style={styles.infoRow}>
               <Text style={styles.infoLabel}>Coordinates:</Text>
               <Text style={styles.infoValue}>{formatCoordinates(location.coords)}</Text>
@@ -349,6 +694,46 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginLeft: 10,
   },
+  mapFilesButton: {
+    position: 'absolute',
+    left: 20,
+    bottom: 22,
+  },
+  tracksButton: {
+    position: 'absolute',
+    right: 20,
+    bottom: 22,
+  },
+  trackBanner: {
+    position: 'absolute',
+    bottom: 90,
+    left: 20,
+    right: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 5,
+    elevation: 5,
+  },
+  trackBannerText: {
+    flex: 1,
+    marginRight: 10,
+  },
+  trackBannerTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  trackBannerNote: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
   title: {
     fontSize: 24,
     fontWeight: 'bold',
@@ -459,6 +844,12 @@ const styles = StyleSheet.create({
   infoContent: {
     gap: 10,
   },
+  tripStats: {
+    paddingBottom: 8,
+    marginBottom: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#ddd',
+  },
   infoRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
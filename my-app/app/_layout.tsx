@@ -1,24 +1,96 @@
 import { DarkTheme, DefaultTheme, ThemeProvider } from '@react-navigation/native';
 import { Stack } from 'expo-router';
+import * as SplashScreen from 'expo-splash-screen';
 import { StatusBar } from 'expo-status-bar';
+import { useEffect } from 'react';
 import 'react-native-reanimated';
 
+import { AuthProvider, useAuth } from '@/context/auth-context';
 import { useColorScheme } from '@/hooks/use-color-scheme';
+import { ALBUM_NAME } from '@/services/album';
+import { setGeofenceOwner, updateGeofencing } from '@/services/geofences';
+import { loadScanHistory } from '@/services/scan-history';
+import { loadTracks } from '@/services/track-library';
+import { restoreRecording } from '@/services/track-recorder';
+import { startUploadQueue, stopUploadQueue } from '@/services/upload-queue';
 
 export const unstable_settings = {
   anchor: '(tabs)',
 };
 
-export default function RootLayout() {
+// Keep the splash screen up until the stored session has been restored
+SplashScreen.preventAutoHideAsync();
+
+function RootNavigator() {
   const colorScheme = useColorScheme();
+  const { status, user } = useAuth();
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (status !== 'loading') {
+      SplashScreen.hideAsync();
+    }
+  }, [status]);
+
+  // Queued photo uploads only run while their owner is signed in
+  useEffect(() => {
+    if (userId) {
+      startUploadQueue(userId);
+    } else {
+      stopUploadQueue();
+    }
+  }, [userId]);
+
+  // Each account (and signed-out use) has its own scan history and tracks
+  useEffect(() => {
+    loadScanHistory(userId);
+    loadTracks(userId);
+  }, [userId]);
+
+  // A recording that was running when the app was closed carries on. Waits
+  // for the session so a cut-off track is saved to the right account.
+  useEffect(() => {
+    if (status !== 'loading') {
+      restoreRecording().catch((error: unknown) => console.log('Failed to restore recording:', error));
+    }
+  }, [status]);
+
+  // Geofence crossings are logged to whoever is signed in when they happen.
+  // Importing the geofences also defines their background task.
+  useEffect(() => {
+    if (status !== 'loading') {
+      setGeofenceOwner(userId).catch((error: unknown) => console.log('Failed to set geofence owner:', error));
+    }
+  }, [status, userId]);
+
+  useEffect(() => {
+    updateGeofencing().catch((error: unknown) => console.log('Failed to update geofencing:', error));
+  }, []);
+
+  if (status === 'loading') {
+    return null;
+  }
 
   return (
     <ThemeProvider value={colorScheme.colorScheme === 'dark' ? DarkTheme : DefaultTheme}>
       <Stack>
         <Stack.Screen name="(tabs)" options={{ headerShown: false }} />
+        <Stack.Screen name="(auth)" options={{ headerShown: false }} />
+        <Stack.Screen name="photos" options={{ title: 'Cloud Gallery' }} />
+        <Stack.Screen name="scans" options={{ title: 'Scan History' }} />
+        <Stack.Screen name="album" options={{ title: ALBUM_NAME }} />
+        <Stack.Screen name="tracks" options={{ title: 'Tracks' }} />
         <Stack.Screen name="modal" options={{ presentation: 'modal', title: 'Modal' }} />
       </Stack>
       <StatusBar style="auto" />
     </ThemeProvider>
   );
 }
+
+export default function RootLayout() {
+  return (
+    <AuthProvider>
+      <RootNavigator />
+    </AuthProvider>
+  );
+}
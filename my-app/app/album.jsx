@@ -0,0 +1,359 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Image,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Linking,
+  useWindowDimensions
+} from 'react-native';
+import AlbumViewer from '@/components/album/album-viewer';
+import { formatDuration } from '@/components/camera/video-preview';
+import { IconSymbol } from '@/components/ui/icon-symbol';
+import { usePermission } from '@/hooks/use-permission';
+import { ALBUM_NAME, deleteAlbumAssets, loadAlbumPage, shareAssets } from '@/services/album';
+
+const COLUMNS = 3;
+const PAGE_SIZE = 60;
+
+// Browses the photos and videos the Camera tab saved to the device album.
+// Tap to view full screen, long-press to start selecting several for sharing
+// or deletion.
+export default function AlbumScreen() {
+  const { width } = useWindowDimensions();
+  const [permission, requestPermission] = usePermission('mediaLibrary');
+  const [assets, setAssets] = useState([]);
+  const [endCursor, setEndCursor] = useState(null);
+  const [hasNextPage, setHasNextPage] = useState(false);
+  const [totalCount, setTotalCount] = useState(0);
+  const [newestFirst, setNewestFirst] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(null);
+  const [viewerIndex, setViewerIndex] = useState(null);
+
+  const isSelecting = selectedIds !== null;
+
+  const refresh = useCallback(async () => {
+    setIsRefreshing(true);
+    try {
+      const page = await loadAlbumPage({ pageSize: PAGE_SIZE, newestFirst });
+      setAssets(page.assets);
+      setEndCursor(page.endCursor);
+      setHasNextPage(page.hasNextPage);
+      setTotalCount(page.totalCount);
+    } catch (error) {
+      console.error('Album load error:', error);
+      Alert.alert('Error', 'Failed to load the album');
+    } finally {
+      setIsRefreshing(false);
+    }
+  }, [newestFirst]);
+
+  useEffect(() => {
+    if (permission?.granted) refresh();
+  }, [permission?.granted, refresh]);
+
+  const loadMore = async () => {
+    if (isLoading || isRefreshing || !hasNextPage) return;
+
+    setIsLoading(true);
+    try {
+      const page = await loadAlbumPage({ after: endCursor, pageSize: PAGE_SIZE, newestFirst });
+      setAssets(current => [...current, ...page.assets]);
+      setEndCursor(page.endCursor);
+      setHasNextPage(page.hasNextPage);
+    } catch (error) {
+      console.error('Album load error:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleSelected = (asset) => {
+    setSelectedIds(current => {
+      const next = new Set(current);
+      if (next.has(asset.id)) {
+        next.delete(asset.id);
+      } else {
+        next.add(asset.id);
+      }
+      return next;
+    });
+  };
+
+  const selectedAssets = () => assets.filter(asset => selectedIds?.has(asset.id));
+
+  const share = async (items) => {
+    try {
+      await shareAssets(items);
+    } catch (error) {
+      console.error('Share error:', error);
+      Alert.alert('Error', error.message || 'Failed to share');
+    }
+  };
+
+  const confirmDelete = (items) => {
+    if (items.length === 0) return;
+
+    const label = items.length === 1 ? 'this item' : `these ${items.length} items`;
+    Alert.alert('Delete', `Delete ${label} from your device?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            if (!(await deleteAlbumAssets(items))) return;
+            const deleted = new Set(items.map(item => item.id));
+            setAssets(current => current.filter(asset => !deleted.has(asset.id)));
+            setTotalCount(count => count - items.length);
+            setSelectedIds(null);
+          } catch (error) {
+            console.error('Delete error:', error);
+            Alert.alert('Error', 'Failed to delete');
+          }
+        }
+      }
+    ]);
+  };
+
+  const closeViewer = useCallback(() => setViewerIndex(null), []);
+
+  if (!permission) {
+    return (
+      <View style={[styles.container, styles.centerContent]}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  if (!permission.granted) {
+    return (
+      <View style={[styles.container, styles.centerContent]}>
+        <IconSymbol size={60} name="photo.on.rectangle" color="#666" />
+        <Text style={styles.emptyText}>Photo Library Access Needed</Text>
+        <Text style={styles.note}>Allow access to browse the {ALBUM_NAME} album</Text>
+        <TouchableOpacity
+          style={styles.permissionButton}
+          onPress={() => (permission.canAskAgain ? requestPermission() : Linking.openSettings())}
+        >
+          <Text style={styles.buttonText}>{permission.canAskAgain ? 'Allow Access' : 'Open Settings'}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const tileSize = width / COLUMNS;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.toolbar}>
+        {isSelecting ? (
+          <>
+            <TouchableOpacity onPress={() => setSelectedIds(null)}>
+              <Text style={styles.linkText}>Cancel</Text>
+            </TouchableOpacity>
+            <Text style={styles.toolbarTitle}>{selectedIds.size} selected</Text>
+            <TouchableOpacity onPress={() => setSelectedIds(new Set(assets.map(asset => asset.id)))}>
+              <Text style={styles.linkText}>Select All</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <>
+            <Text style={styles.toolbarTitle}>
+              {totalCount} {totalCount === 1 ? 'item' : 'items'}
+            </Text>
+            <View style={styles.toolbarActions}>
+              <TouchableOpacity style={styles.sortButton} onPress={() => setNewestFirst(value => !value)}>
+                <IconSymbol size={18} name="arrow.up.arrow.down" color="#007AFF" />
+                <Text style={styles.linkText}>{newestFirst ? 'Newest' : 'Oldest'}</Text>
+              </TouchableOpacity>
+              {assets.length > 0 && (
+                <TouchableOpacity onPress={() => setSelectedIds(new Set())}>
+                  <Text style={styles.linkText}>Select</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </>
+        )}
+      </View>
+
+      <FlatList
+        data={assets}
+        keyExtractor={item => item.id}
+        numColumns={COLUMNS}
+        renderItem={({ item, index }) => (
+          <TouchableOpacity
+            onPress={() => (isSelecting ? toggleSelected(item) : setViewerIndex(index))}
+            onLongPress={() => {
+              if (!isSelecting) setSelectedIds(new Set([item.id]));
+            }}
+          >
+            <Image source={{ uri: item.uri }} style={{ width: tileSize, height: tileSize }} />
+            {item.mediaType === 'video' && (
+              <Text style={styles.duration}>{formatDuration(item.duration)}</Text>
+            )}
+            {isSelecting && (
+              <View style={styles.check}>
+                <IconSymbol
+                  size={24}
+                  name={selectedIds.has(item.id) ? 'checkmark.circle.fill' : 'circle'}
+                  color={selectedIds.has(item.id) ? '#007AFF' : 'white'}
+                />
+              </View>
+            )}
+          </TouchableOpacity>
+        )}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        refreshing={isRefreshing}
+        onRefresh={refresh}
+        ListEmptyComponent={!isRefreshing && (
+          <View style={styles.empty}>
+            <IconSymbol size={60} name="photo.on.rectangle" color="#666" />
+            <Text style={styles.emptyText}>Nothing saved yet</Text>
+            <Text style={styles.note}>Photos and videos you save on the Camera tab appear here</Text>
+          </View>
+        )}
+        ListFooterComponent={isLoading && <ActivityIndicator style={styles.footer} color="#007AFF" />}
+      />
+
+      {isSelecting && (
+        <View style={styles.selectionActions}>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => share(selectedAssets())}
+            disabled={selectedIds.size === 0}
+          >
+            <IconSymbol size={24} name="square.and.arrow.up" color={selectedIds.size ? 'white' : '#555'} />
+            <Text style={[styles.buttonText, !selectedIds.size && styles.disabledText]}>Share</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => confirmDelete(selectedAssets())}
+            disabled={selectedIds.size === 0}
+          >
+            <IconSymbol size={24} name="trash" color={selectedIds.size ? '#FF3B30' : '#555'} />
+            <Text style={[styles.buttonText, !selectedIds.size && styles.disabledText]}>Delete</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {viewerIndex !== null && (
+        <AlbumViewer
+          assets={assets}
+          initialIndex={viewerIndex}
+          onClose={closeViewer}
+          onShare={asset => share([asset])}
+          onDelete={asset => confirmDelete([asset])}
+          onEndReached={loadMore}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  centerContent: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  toolbar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  toolbarTitle: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  toolbarActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  sortButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 20,
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 16,
+    marginLeft: 4,
+  },
+  duration: {
+    position: 'absolute',
+    right: 6,
+    bottom: 4,
+    color: 'white',
+    fontSize: 12,
+    textShadowColor: 'rgba(0,0,0,0.8)',
+    textShadowRadius: 3,
+  },
+  check: {
+    position: 'absolute',
+    top: 6,
+    right: 6,
+  },
+  empty: {
+    alignItems: 'center',
+    padding: 40,
+    marginTop: 80,
+  },
+  emptyText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 15,
+  },
+  note: {
+    fontSize: 12,
+    color: '#888',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  permissionButton: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 30,
+    paddingVertical: 15,
+    borderRadius: 10,
+    marginTop: 20,
+  },
+  footer: {
+    padding: 20,
+  },
+  selectionActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingBottom: 30,
+    borderTopWidth: 1,
+    borderTopColor: '#333',
+  },
+  actionButton: {
+    alignItems: 'center',
+    padding: 15,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  disabledText: {
+    color: '#555',
+  },
+});
@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Image,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Modal,
+  useWindowDimensions
+} from 'react-native';
+import { Redirect } from 'expo-router';
+import { formatDuration } from '@/components/camera/video-preview';
+import UploadQueueList from '@/components/photos/upload-queue-list';
+import VideoViewer from '@/components/photos/video-viewer';
+import { IconSymbol } from '@/components/ui/icon-symbol';
+import { useAuth } from '@/context/auth-context';
+import { getErrorMessage } from '@/services/api';
+import { deletePhoto, isVideo, listPhotos, photoSource } from '@/services/photos';
+import { getAccessToken } from '@/services/session';
+import { onPhotoUploaded } from '@/services/upload-queue';
+
+const COLUMNS = 3;
+const PAGE_SIZE = 30;
+
+// The signed-in user's uploaded photos and videos (see the Upload action on the
+// Camera tab), with anything still waiting in the upload queue listed above them
+export default function CloudGalleryScreen() {
+  const { user } = useAuth();
+  const { width } = useWindowDimensions();
+  const [photos, setPhotos] = useState([]);
+  const [page, setPage] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+  const [token, setToken] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [selectedPhoto, setSelectedPhoto] = useState(null);
+
+  const loadPage = useCallback(async (pageToLoad) => {
+    const data = await listPhotos({ page: pageToLoad, limit: PAGE_SIZE });
+    // Read after the request so a token refreshed by the client is picked up
+    setToken(await getAccessToken());
+    setPhotos(current => (pageToLoad === 1 ? data.photos : [...current, ...data.photos]));
+    setPage(pageToLoad);
+    setTotalPages(data.totalPages);
+  }, []);
+
+  const refresh = useCallback(async () => {
+    setIsRefreshing(true);
+    try {
+      await loadPage(1);
+    } catch (error) {
+      Alert.alert('Error', getErrorMessage(error));
+    } finally {
+      setIsRefreshing(false);
+    }
+  }, [loadPage]);
+
+  useEffect(() => {
+    if (user) refresh();
+  }, [user, refresh]);
+
+  // Queued uploads finishing in the background show up at the top
+  useEffect(() => onPhotoUploaded(photo => {
+    setPhotos(current => [photo, ...current]);
+  }), []);
+
+  const loadMore = async () => {
+    if (isLoading || isRefreshing || page >= totalPages) return;
+
+    setIsLoading(true);
+    try {
+      await loadPage(page + 1);
+    } catch (error) {
+      Alert.alert('Error', getErrorMessage(error));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const confirmDelete = (photo) => {
+    const kind = isVideo(photo) ? 'video' : 'photo';
+    Alert.alert(`Delete ${kind === 'video' ? 'Video' : 'Photo'}`, `Remove this ${kind} from your cloud gallery?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await deletePhoto(photo.id);
+            setPhotos(current => current.filter(item => item.id !== photo.id));
+            setSelectedPhoto(null);
+          } catch (error) {
+            Alert.alert('Error', getErrorMessage(error));
+          }
+        }
+      }
+    ]);
+  };
+
+  if (!user) {
+    return <Redirect href="/login?redirect=/photos" />;
+  }
+
+  const tileSize = width / COLUMNS;
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={photos}
+        keyExtractor={item => item.id}
+        numColumns={COLUMNS}
+        renderItem={({ item }) => (
+          <TouchableOpacity
+            onPress={() => setSelectedPhoto(item)}
+            onLongPress={() => confirmDelete(item)}
+          >
+            {isVideo(item) ? (
+              // Videos have no thumbnails, so they get a placeholder tile
+              <View style={[styles.videoTile, { width: tileSize, height: tileSize }]}>
+                <IconSymbol size={36} name="play.circle.fill" color="#ccc" />
+                {item.duration != null && <Text style={styles.videoDuration}>{formatDuration(item.duration)}</Text>}
+              </View>
+            ) : (
+              <Image source={photoSource(item, token, 'medium')} style={{ width: tileSize, height: tileSize }} />
+            )}
+          </TouchableOpacity>
+        )}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        refreshing={isRefreshing}
+        onRefresh={refresh}
+        ListEmptyComponent={!isRefreshing && (
+          <View style={styles.empty}>
+            <IconSymbol size={60} name="icloud" color="#666" />
+            <Text style={styles.emptyText}>No uploaded photos yet</Text>
+            <Text style={styles.note}>Use Upload after taking a picture or video on the Camera tab</Text>
+          </View>
+        )}
+        ListHeaderComponent={<UploadQueueList />}
+        ListFooterComponent={isLoading && <ActivityIndicator style={styles.footer} color="#007AFF" />}
+      />
+
+      <Modal visible={!!selectedPhoto} transparent animationType="fade" onRequestClose={() => setSelectedPhoto(null)}>
+        {selectedPhoto && (
+          <View style={styles.viewer}>
+            {isVideo(selectedPhoto) ? (
+              <VideoViewer source={photoSource(selectedPhoto, token)} />
+            ) : (
+              <Image source={photoSource(selectedPhoto, token, 'large')} style={styles.viewerImage} resizeMode="contain" />
+            )}
+            <Text style={styles.viewerInfo}>
+              {new Date(selectedPhoto.capturedAt).toLocaleString()} ·{' '}
+              {isVideo(selectedPhoto)
+                ? formatDuration(selectedPhoto.duration ?? 0)
+                : `${selectedPhoto.width}×${selectedPhoto.height}`}
+              {selectedPhoto.location &&
+                `\n${selectedPhoto.location.latitude.toFixed(6)}, ${selectedPhoto.location.longitude.toFixed(6)}`}
+              {selectedPhoto.location?.accuracy != null && ` (±${Math.round(selectedPhoto.location.accuracy)} m)`}
+            </Text>
+            <View style={styles.viewerActions}>
+              <TouchableOpacity style={styles.actionButton} onPress={() => setSelectedPhoto(null)}>
+                <IconSymbol size={24} name="xmark" color="white" />
+                <Text style={styles.buttonText}>Close</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.actionButton} onPress={() => confirmDelete(selectedPhoto)}>
+                <IconSymbol size={24} name="trash" color="#FF3B30" />
+                <Text style={styles.buttonText}>Delete</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  empty: {
+    alignItems: 'center',
+    padding: 40,
+    marginTop: 80,
+  },
+  emptyText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 15,
+  },
+  note: {
+    fontSize: 12,
+    color: '#888',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  footer: {
+    padding: 20,
+  },
+  viewer: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.95)',
+    justifyContent: 'center',
+  },
+  viewerImage: {
+    flex: 1,
+  },
+  videoTile: {
+    backgroundColor: '#1c1c1e',
+    borderWidth: StyleSheet.hairlineWidth,
+    borderColor: '#000',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  videoDuration: {
+    position: 'absolute',
+    right: 6,
+    bottom: 4,
+    color: 'white',
+    fontSize: 12,
+  },
+  viewerInfo: {
+    color: '#ccc',
+    textAlign: 'center',
+    marginVertical: 10,
+  },
+  viewerActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingBottom: 40,
+  },
+  actionButton: {
+    alignItems: 'center',
+    padding: 15,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  Modal,
+  Switch
+} from 'react-native';
+import ScanResult from '@/components/camera/scan-result';
+import { IconSymbol } from '@/components/ui/icon-symbol';
+import { useAuth } from '@/context/auth-context';
+import { useScanHistory } from '@/hooks/use-scan-history';
+import { getErrorMessage } from '@/services/api';
+import { barcodeLabel, describeBarcode } from '@/services/barcodes';
+import { clearScanHistory, removeScan, setScanSync, syncScanHistory } from '@/services/scan-history';
+
+// Two-dimensional codes get a QR icon, everything else a barcode-style one
+const MATRIX_TYPES = ['qr', 'datamatrix', 'aztec', 'pdf417'];
+
+// Codes read in the Camera tab's scan mode, newest first. Signed-in users
+// can sync the history to their account.
+export default function ScanHistoryScreen() {
+  const { user } = useAuth();
+  const { entries, syncEnabled, isSyncing, syncError } = useScanHistory();
+  const [selectedScan, setSelectedScan] = useState(null);
+
+  const toggleSync = async (enabled) => {
+    try {
+      await setScanSync(enabled);
+    } catch (error) {
+      Alert.alert('Error', getErrorMessage(error));
+    }
+  };
+
+  const confirmDelete = (scan) => {
+    Alert.alert('Delete Scan', 'Remove this scan from your history?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => {
+          removeScan(scan.id);
+          setSelectedScan(null);
+        }
+      }
+    ]);
+  };
+
+  const confirmClear = () => {
+    Alert.alert(
+      'Clear History',
+      syncEnabled ? 'Remove every scan from this device and your account?' : 'Remove every scan from this device?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await clearScanHistory();
+            } catch (error) {
+              Alert.alert('Error', getErrorMessage(error));
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const syncStatus = () => {
+    if (isSyncing) return 'Syncing...';
+    if (syncError) return `Sync failed: ${syncError}`;
+    return syncEnabled ? 'Scans are saved to your account' : 'Scans are only kept on this device';
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        {user ? (
+          <View style={styles.syncRow}>
+            <View style={styles.syncText}>
+              <Text style={styles.syncTitle}>Sync to my account</Text>
+              <Text style={[styles.note, syncError && !isSyncing && styles.error]} numberOfLines={2}>
+                {syncStatus()}
+              </Text>
+            </View>
+            <Switch value={syncEnabled} onValueChange={toggleSync} disabled={isSyncing} />
+          </View>
+        ) : (
+          <Text style={styles.note}>Log in to sync your scan history between devices</Text>
+        )}
+        {entries.length > 0 && (
+          <TouchableOpacity style={styles.clearButton} onPress={confirmClear}>
+            <Text style={styles.clearText}>Clear History</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <FlatList
+        data={entries}
+        keyExtractor={item => item.id}
+        refreshing={isSyncing}
+        onRefresh={syncEnabled ? syncScanHistory : undefined}
+        renderItem={({ item }) => (
+          <TouchableOpacity
+            style={styles.item}
+            onPress={() => setSelectedScan(item)}
+            onLongPress={() => confirmDelete(item)}
+          >
+            <IconSymbol
+              size={28}
+              name={MATRIX_TYPES.includes(item.type) ? 'qrcode' : 'barcode'}
+              color="#007AFF"
+            />
+            <View style={styles.itemText}>
+              <Text style={styles.itemTitle} numberOfLines={1}>{describeBarcode(item.type, item.data)}</Text>
+              <Text style={styles.note}>
+                {barcodeLabel(item.type)} · {new Date(item.scannedAt).toLocaleString()}
+              </Text>
+            </View>
+            {item.synced && <IconSymbol size={18} name="icloud" color="#666" />}
+          </TouchableOpacity>
+        )}
+        ListEmptyComponent={
+          <View style={styles.empty}>
+            <IconSymbol size={60} name="qrcode.viewfinder" color="#666" />
+            <Text style={styles.emptyText}>No scans yet</Text>
+            <Text style={styles.note}>Switch the Camera tab to SCAN and point it at a code</Text>
+          </View>
+        }
+      />
+
+      <Modal visible={!!selectedScan} transparent animationType="fade" onRequestClose={() => setSelectedScan(null)}>
+        {selectedScan && (
+          <View style={styles.viewer}>
+            <ScanResult scan={selectedScan} onClose={() => setSelectedScan(null)} />
+            <TouchableOpacity style={styles.deleteButton} onPress={() => confirmDelete(selectedScan)}>
+              <IconSymbol size={20} name="trash" color="#FF3B30" />
+              <Text style={styles.deleteText}>Delete</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  header: {
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  syncRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  syncText: {
+    flex: 1,
+    marginRight: 10,
+  },
+  syncTitle: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  note: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  error: {
+    color: '#FF3B30',
+  },
+  clearButton: {
+    alignSelf: 'flex-start',
+    marginTop: 10,
+  },
+  clearText: {
+    color: '#FF3B30',
+    fontSize: 14,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#333',
+  },
+  itemText: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  itemTitle: {
+    color: 'white',
+    fontSize: 15,
+  },
+  empty: {
+    alignItems: 'center',
+    padding: 40,
+    marginTop: 80,
+  },
+  emptyText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 15,
+  },
+  viewer: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.85)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 15,
+  },
+  deleteText: {
+    color: '#FF3B30',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+});
@@ -0,0 +1,174 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { IconSymbol } from '@/components/ui/icon-symbol';
+import { useAuth } from '@/context/auth-context';
+import { useTracks } from '@/hooks/use-tracks';
+import { getErrorMessage } from '@/services/api';
+import { chooseGeoFormat, shareTrack } from '@/services/geo-files';
+import { formatElapsed, removeTrack, syncTracks, trackTitle } from '@/services/track-library';
+import { formatDistance, formatPace } from '@/services/track-stats';
+
+// GPS tracks recorded on the Location tab, newest first. Tap one to show it
+// on the map, long-press to export or delete it.
+export default function TracksScreen() {
+  const router = useRouter();
+  const { user } = useAuth();
+  const { tracks, isSyncing, syncError } = useTracks();
+
+  const showOnMap = (track) => {
+    router.navigate({ pathname: '/location', params: { trackId: track.id } });
+  };
+
+  const exportTrack = async (track) => {
+    const format = await chooseGeoFormat('Export Track');
+    if (!format) return;
+    try {
+      await shareTrack(track.id, format);
+    } catch (error) {
+      console.error('Export track error:', error);
+      Alert.alert('Export Failed', error.message);
+    }
+  };
+
+  const showActions = (track) => {
+    Alert.alert(trackTitle(track), undefined, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Export', onPress: () => exportTrack(track) },
+      { text: 'Delete', style: 'destructive', onPress: () => confirmDelete(track) }
+    ]);
+  };
+
+  const confirmDelete = (track) => {
+    Alert.alert(
+      'Delete Track',
+      track.synced ? 'Delete this track from this device and your account?' : 'Delete this track?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await removeTrack(track.id);
+            } catch (error) {
+              Alert.alert('Error', getErrorMessage(error));
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Tracks from another device can be listed before their stats are known
+  const summary = (track) => {
+    if (!track.stats) {
+      return `${formatElapsed(new Date(track.endedAt) - new Date(track.startedAt))} · ${track.pointCount} points`;
+    }
+    const { distance, elapsedTime, averageSpeed } = track.stats;
+    return `${formatDistance(distance)} · ${formatElapsed(elapsedTime)} · ${formatPace(averageSpeed)}`;
+  };
+
+  const syncStatus = () => {
+    if (isSyncing) return 'Syncing...';
+    if (syncError) return `Sync failed: ${syncError}`;
+    return 'Tracks are uploaded to your account';
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={[styles.note, syncError && !isSyncing && styles.error]} numberOfLines={2}>
+          {user ? syncStatus() : 'Log in to back up your tracks to your account'}
+        </Text>
+      </View>
+
+      <FlatList
+        data={tracks}
+        keyExtractor={item => item.id}
+        refreshing={isSyncing}
+        onRefresh={user ? syncTracks : undefined}
+        renderItem={({ item }) => (
+          <TouchableOpacity
+            style={styles.item}
+            onPress={() => showOnMap(item)}
+            onLongPress={() => showActions(item)}
+          >
+            <IconSymbol size={28} name="point.topleft.down.to.point.bottomright.curvepath" color="#007AFF" />
+            <View style={styles.itemText}>
+              <Text style={styles.itemTitle} numberOfLines={1}>{trackTitle(item)}</Text>
+              <Text style={styles.note}>{summary(item)}</Text>
+              {item.uploadError && (
+                <Text style={[styles.note, styles.error]} numberOfLines={2}>Upload failed: {item.uploadError}</Text>
+              )}
+            </View>
+            {item.synced && (
+              <IconSymbol size={18} name={item.onDevice ? 'icloud' : 'icloud.and.arrow.down'} color="#666" />
+            )}
+          </TouchableOpacity>
+        )}
+        ListEmptyComponent={
+          <View style={styles.empty}>
+            <IconSymbol size={60} name="point.topleft.down.to.point.bottomright.curvepath" color="#666" />
+            <Text style={styles.emptyText}>No tracks yet</Text>
+            <Text style={styles.note}>Tap Start Tracking on the Location tab to record one</Text>
+          </View>
+        }
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  header: {
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  note: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  error: {
+    color: '#FF3B30',
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#333',
+  },
+  itemText: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  itemTitle: {
+    color: 'white',
+    fontSize: 15,
+  },
+  empty: {
+    alignItems: 'center',
+    padding: 40,
+    marginTop: 80,
+  },
+  emptyText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 15,
+  },
+});
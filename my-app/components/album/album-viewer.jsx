@@ -0,0 +1,127 @@
+import { View, Text, StyleSheet, TouchableOpacity, Image, FlatList, Modal, useWindowDimensions } from 'react-native'
+import React, { useEffect, useState } from 'react'
+import VideoViewer from '@/components/photos/video-viewer'
+import { IconSymbol } from '@/components/ui/icon-symbol'
+import { formatDuration } from '@/components/camera/video-preview'
+import { assetFileUri } from '@/services/album'
+
+// Only the video on screen gets a player; its file URI is looked up first
+// because iOS library URIs can't be played directly
+function AlbumVideo({ asset }) {
+  const [uri, setUri] = useState(null)
+
+  useEffect(() => {
+    let active = true
+    assetFileUri(asset)
+      .then((fileUri) => {
+        if (active) setUri(fileUri)
+      })
+      .catch((error) => console.log('Failed to load video:', error))
+    return () => {
+      active = false
+    }
+  }, [asset])
+
+  return uri ? <VideoViewer key={uri} source={uri} /> : <View style={styles.page} />
+}
+
+// Full-screen viewer for the album browser. Swipe sideways between assets;
+// nearing the end asks for the next page through onEndReached.
+export default function AlbumViewer({ assets, initialIndex, onClose, onShare, onDelete, onEndReached }) {
+  const { width } = useWindowDimensions()
+  const [index, setIndex] = useState(initialIndex)
+  const current = assets[index]
+
+  // The list can shrink under the viewer when an asset is deleted
+  useEffect(() => {
+    if (assets.length === 0) {
+      onClose()
+    } else if (index >= assets.length) {
+      setIndex(assets.length - 1)
+    }
+  }, [assets.length, index, onClose])
+
+  if (!current) return null
+
+  return (
+    <Modal visible transparent={false} animationType="fade" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <FlatList
+          data={assets}
+          keyExtractor={item => item.id}
+          horizontal
+          pagingEnabled
+          showsHorizontalScrollIndicator={false}
+          initialScrollIndex={initialIndex}
+          getItemLayout={(data, itemIndex) => ({ length: width, offset: width * itemIndex, index: itemIndex })}
+          onMomentumScrollEnd={(event) => setIndex(Math.round(event.nativeEvent.contentOffset.x / width))}
+          onEndReached={onEndReached}
+          onEndReachedThreshold={2}
+          renderItem={({ item, index: itemIndex }) => (
+            <View style={[styles.page, { width }]}>
+              {item.mediaType === 'video' && itemIndex === index ? (
+                <AlbumVideo asset={item} />
+              ) : (
+                <Image source={{ uri: item.uri }} style={styles.image} resizeMode="contain" />
+              )}
+            </View>
+          )}
+        />
+
+        <Text style={styles.info}>
+          {index + 1} of {assets.length} · {new Date(current.creationTime).toLocaleString()}
+          {current.mediaType === 'video' ? ` · ${formatDuration(current.duration)}` : ''}
+        </Text>
+
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.actionButton} onPress={onClose}>
+            <IconSymbol size={24} name="xmark" color="white" />
+            <Text style={styles.buttonText}>Close</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.actionButton} onPress={() => onShare(current)}>
+            <IconSymbol size={24} name="square.and.arrow.up" color="white" />
+            <Text style={styles.buttonText}>Share</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.actionButton} onPress={() => onDelete(current)}>
+            <IconSymbol size={24} name="trash" color="#FF3B30" />
+            <Text style={styles.buttonText}>Delete</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+    paddingTop: 50
+  },
+  page: {
+    flex: 1,
+    justifyContent: 'center'
+  },
+  image: {
+    flex: 1
+  },
+  info: {
+    color: '#ccc',
+    textAlign: 'center',
+    marginVertical: 10
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingBottom: 40
+  },
+  actionButton: {
+    alignItems: 'center',
+    padding: 15
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold'
+  }
+})
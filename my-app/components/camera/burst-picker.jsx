@@ -0,0 +1,96 @@
+import { View, Text, StyleSheet, TouchableOpacity, Image, FlatList, useWindowDimensions } from 'react-native'
+import React, { useState } from 'react'
+import { IconSymbol } from '@/components/ui/icon-symbol'
+
+const COLUMNS = 2
+
+// Shows the frames from a burst so the user can choose which to keep.
+// onKeep receives the chosen frames in the order they were taken.
+export default function BurstPicker({ frames, onKeep, onDiscard }) {
+  const { width } = useWindowDimensions()
+  const [selected, setSelected] = useState(() => new Set())
+
+  const toggle = (index) => {
+    setSelected(current => {
+      const next = new Set(current)
+      if (next.has(index)) {
+        next.delete(index)
+      } else {
+        next.add(index)
+      }
+      return next
+    })
+  }
+
+  const tileSize = width / COLUMNS
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onDiscard}>
+          <Text style={styles.linkText}>Discard All</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{selected.size} of {frames.length} selected</Text>
+        <TouchableOpacity
+          onPress={() => onKeep(frames.filter((frame, index) => selected.has(index)))}
+          disabled={selected.size === 0}
+        >
+          <Text style={[styles.linkText, styles.keepText, selected.size === 0 && styles.disabledText]}>Keep</Text>
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={frames}
+        keyExtractor={item => item.uri}
+        numColumns={COLUMNS}
+        renderItem={({ item, index }) => (
+          <TouchableOpacity onPress={() => toggle(index)}>
+            <Image source={{ uri: item.uri }} style={{ width: tileSize, height: tileSize * 4 / 3 }} />
+            <View style={styles.check}>
+              <IconSymbol
+                size={28}
+                name={selected.has(index) ? 'checkmark.circle.fill' : 'circle'}
+                color={selected.has(index) ? '#007AFF' : 'white'}
+              />
+            </View>
+          </TouchableOpacity>
+        )}
+      />
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000'
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingTop: 55,
+    paddingHorizontal: 20,
+    paddingBottom: 12
+  },
+  title: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold'
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 17
+  },
+  keepText: {
+    fontWeight: 'bold'
+  },
+  disabledText: {
+    color: '#555'
+  },
+  check: {
+    position: 'absolute',
+    top: 8,
+    right: 8
+  }
+})
@@ -0,0 +1,120 @@
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native'
+import React from 'react'
+import { IconSymbol } from '@/components/ui/icon-symbol'
+import {
+  BURST_OPTIONS,
+  FLASH_MODES,
+  TIMER_OPTIONS,
+  TORCH_MODES,
+  VIDEO_LENGTH_OPTIONS,
+} from '@/services/camera-settings'
+
+const FLASH_ICONS = {
+  off: 'bolt.slash',
+  on: 'bolt',
+  auto: 'bolt.badge.a',
+  torch: 'flashlight.on.fill',
+}
+
+// Next value in a list of options, wrapping around
+const cycle = (options, value) => options[(options.indexOf(value) + 1) % options.length]
+
+const formatLength = (seconds) => (seconds < 60 ? `${seconds}s` : `${seconds / 60} min`)
+
+// Flash, grid, self-timer, burst and geotagging toggles shown along the top of the camera.
+// In video mode the timer and burst give way to the maximum clip length, and
+// scan mode only has the torch. Each tap moves to the next option.
+export default function CameraToolbar({ settings, onChange, style }) {
+  const torchOnly = settings.mode !== 'photo'
+  // Flash on/auto has no effect outside photo mode, so it shows as off
+  const flash = torchOnly && settings.flash !== 'torch' ? 'off' : settings.flash
+
+  const buttons = [
+    {
+      key: 'flash',
+      icon: FLASH_ICONS[flash],
+      label: flash === 'torch' ? 'Torch' : `Flash ${flash}`,
+      active: flash !== 'off',
+      onPress: () => onChange({ flash: cycle(torchOnly ? TORCH_MODES : FLASH_MODES, flash) }),
+    },
+  ]
+
+  if (settings.mode !== 'scan') {
+    buttons.push({
+      key: 'grid',
+      icon: 'grid',
+      label: 'Grid',
+      active: settings.grid,
+      onPress: () => onChange({ grid: !settings.grid }),
+    })
+  }
+
+  if (settings.mode === 'video') {
+    buttons.push({
+      key: 'length',
+      icon: 'hourglass',
+      label: `Max ${formatLength(settings.maxVideoSeconds)}`,
+      active: false,
+      onPress: () => onChange({ maxVideoSeconds: cycle(VIDEO_LENGTH_OPTIONS, settings.maxVideoSeconds) }),
+    })
+  } else if (settings.mode === 'photo') {
+    buttons.push({
+      key: 'timer',
+      icon: 'timer',
+      label: settings.timer ? `${settings.timer}s` : 'Timer',
+      active: settings.timer > 0,
+      onPress: () => onChange({ timer: cycle(TIMER_OPTIONS, settings.timer) }),
+    }, {
+      key: 'burst',
+      icon: 'square.stack.3d.up',
+      label: settings.burst ? `Burst ×${settings.burst}` : 'Burst',
+      active: settings.burst > 0,
+      onPress: () => onChange({ burst: cycle(BURST_OPTIONS, settings.burst) }),
+    }, {
+      key: 'geotag',
+      icon: settings.geotag ? 'location.fill' : 'location.slash',
+      label: 'Location',
+      active: settings.geotag,
+      onPress: () => onChange({ geotag: !settings.geotag }),
+    })
+  }
+
+  return (
+    <View style={[styles.toolbar, style]}>
+      {buttons.map(({ key, icon, label, active, onPress }) => (
+        <TouchableOpacity
+          key={key}
+          style={styles.button}
+          onPress={onPress}
+          accessibilityRole="button"
+          accessibilityState={{ selected: active }}
+        >
+          <IconSymbol size={24} name={icon} color={active ? '#FFCC00' : 'white'} />
+          <Text style={[styles.label, active && styles.labelActive]}>{label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  toolbar: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingVertical: 8,
+    backgroundColor: 'rgba(0,0,0,0.4)'
+  },
+  button: {
+    alignItems: 'center',
+    minWidth: 60
+  },
+  label: {
+    color: 'white',
+    fontSize: 11,
+    marginTop: 2,
+    textTransform: 'capitalize'
+  },
+  labelActive: {
+    color: '#FFCC00'
+  }
+})
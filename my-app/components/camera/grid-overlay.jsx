@@ -0,0 +1,31 @@
+import { View, StyleSheet } from 'react-native'
+import React from 'react'
+
+// Rule-of-thirds guide drawn over the camera preview
+export default function GridOverlay() {
+  return (
+    <View style={StyleSheet.absoluteFill} pointerEvents="none">
+      <View style={[styles.line, styles.vertical, { left: '33.3%' }]} />
+      <View style={[styles.line, styles.vertical, { left: '66.6%' }]} />
+      <View style={[styles.line, styles.horizontal, { top: '33.3%' }]} />
+      <View style={[styles.line, styles.horizontal, { top: '66.6%' }]} />
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  line: {
+    position: 'absolute',
+    backgroundColor: 'rgba(255,255,255,0.5)'
+  },
+  vertical: {
+    top: 0,
+    bottom: 0,
+    width: StyleSheet.hairlineWidth
+  },
+  horizontal: {
+    left: 0,
+    right: 0,
+    height: StyleSheet.hairlineWidth
+  }
+})
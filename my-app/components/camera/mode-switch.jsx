@@ -0,0 +1,41 @@
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native'
+import React from 'react'
+import { CAMERA_MODES } from '@/services/camera-settings'
+
+// PHOTO / VIDEO selector shown above the shutter button
+export default function ModeSwitch({ mode, onChange, disabled }) {
+  return (
+    <View style={styles.container}>
+      {CAMERA_MODES.map(option => (
+        <TouchableOpacity
+          key={option}
+          style={styles.option}
+          onPress={() => onChange(option)}
+          disabled={disabled || option === mode}
+        >
+          <Text style={[styles.label, option === mode && styles.labelActive]}>{option.toUpperCase()}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    justifyContent: 'center'
+  },
+  option: {
+    paddingHorizontal: 14,
+    paddingVertical: 6
+  },
+  label: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: 'bold',
+    letterSpacing: 1
+  },
+  labelActive: {
+    color: '#FFCC00'
+  }
+})
@@ -0,0 +1,75 @@
+import { View, Text, StyleSheet, useWindowDimensions } from 'react-native'
+import React from 'react'
+
+const CORNER_SIZE = 28
+const CORNER_WIDTH = 4
+
+// Darkens the preview around a square frame for lining up a code. The frame
+// turns green while a code has just been read.
+export default function ScanOverlay({ detected }) {
+  const { width } = useWindowDimensions()
+  const frameSize = Math.round(width * 0.7)
+  const color = detected ? '#34C759' : 'white'
+
+  return (
+    <View style={StyleSheet.absoluteFill} pointerEvents="none">
+      <View style={styles.shade} />
+      <View style={{ flexDirection: 'row', height: frameSize }}>
+        <View style={styles.shade} />
+        <View style={{ width: frameSize, height: frameSize }}>
+          <View style={[styles.corner, styles.topLeft, { borderColor: color }]} />
+          <View style={[styles.corner, styles.topRight, { borderColor: color }]} />
+          <View style={[styles.corner, styles.bottomLeft, { borderColor: color }]} />
+          <View style={[styles.corner, styles.bottomRight, { borderColor: color }]} />
+        </View>
+        <View style={styles.shade} />
+      </View>
+      <View style={styles.shade}>
+        <Text style={styles.hint}>Line up a QR code or barcode inside the frame</Text>
+      </View>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  shade: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)'
+  },
+  hint: {
+    color: 'white',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 16,
+    paddingHorizontal: 20
+  },
+  corner: {
+    position: 'absolute',
+    width: CORNER_SIZE,
+    height: CORNER_SIZE
+  },
+  topLeft: {
+    top: 0,
+    left: 0,
+    borderTopWidth: CORNER_WIDTH,
+    borderLeftWidth: CORNER_WIDTH
+  },
+  topRight: {
+    top: 0,
+    right: 0,
+    borderTopWidth: CORNER_WIDTH,
+    borderRightWidth: CORNER_WIDTH
+  },
+  bottomLeft: {
+    bottom: 0,
+    left: 0,
+    borderBottomWidth: CORNER_WIDTH,
+    borderLeftWidth: CORNER_WIDTH
+  },
+  bottomRight: {
+    bottom: 0,
+    right: 0,
+    borderBottomWidth: CORNER_WIDTH,
+    borderRightWidth: CORNER_WIDTH
+  }
+})
@@ -0,0 +1,179 @@
+import { View, Text, StyleSheet, TouchableOpacity, Linking, Alert } from 'react-native'
+import React, { useEffect, useRef, useState } from 'react'
+import * as Clipboard from 'expo-clipboard'
+import { IconSymbol } from '@/components/ui/icon-symbol'
+import { barcodeLabel, parseBarcode } from '@/services/barcodes'
+
+const COPIED_MS = 1500
+
+const KIND_TITLES = {
+  url: 'Link',
+  wifi: 'Wi-Fi Network',
+  contact: 'Contact',
+  product: 'Product Code',
+  text: 'Text',
+}
+
+const openUrl = async (url) => {
+  try {
+    await Linking.openURL(url)
+  } catch (error) {
+    console.log('Failed to open link:', error)
+    Alert.alert('Error', 'No app on this device can open this link')
+  }
+}
+
+// What a scanned code contains, with actions that suit it: open a link, copy
+// text, or read the fields of a Wi-Fi or contact (vCard/MeCard) code.
+// `scan` is a scan history entry ({ type, data, scannedAt }).
+export default function ScanResult({ scan, onClose, style }) {
+  const [copied, setCopied] = useState(null)
+  const copiedTimer = useRef(null)
+  const parsed = parseBarcode(scan.type, scan.data)
+
+  useEffect(() => () => clearTimeout(copiedTimer.current), [])
+
+  const copy = async (key, value) => {
+    await Clipboard.setStringAsync(value)
+    setCopied(key)
+    clearTimeout(copiedTimer.current)
+    copiedTimer.current = setTimeout(() => setCopied(null), COPIED_MS)
+  }
+
+  const actions = []
+  const fields = []
+
+  switch (parsed.kind) {
+    case 'url':
+      fields.push({ label: 'URL', value: parsed.url })
+      actions.push({ key: 'open', icon: 'safari', label: 'Open', onPress: () => openUrl(parsed.url) })
+      actions.push({ key: 'copy', icon: 'doc.on.doc', label: 'Copy', onPress: () => copy('copy', parsed.url) })
+      break
+    case 'wifi':
+      fields.push({ label: 'Network', value: parsed.ssid })
+      fields.push({ label: 'Security', value: parsed.security })
+      if (parsed.password) fields.push({ label: 'Password', value: parsed.password })
+      if (parsed.hidden) fields.push({ label: 'Hidden', value: 'Yes' })
+      if (parsed.password) {
+        actions.push({ key: 'password', icon: 'key', label: 'Copy Password', onPress: () => copy('password', parsed.password) })
+      }
+      actions.push({ key: 'ssid', icon: 'wifi', label: 'Copy Name', onPress: () => copy('ssid', parsed.ssid) })
+      break
+    case 'contact':
+      if (parsed.name) fields.push({ label: 'Name', value: parsed.name })
+      if (parsed.organization) fields.push({ label: 'Company', value: parsed.organization })
+      parsed.phones.forEach(phone => fields.push({ label: 'Phone', value: phone }))
+      parsed.emails.forEach(email => fields.push({ label: 'Email', value: email }))
+      parsed.urls.forEach(url => fields.push({ label: 'Website', value: url }))
+      if (parsed.phones[0]) {
+        actions.push({ key: 'call', icon: 'phone', label: 'Call', onPress: () => openUrl(`tel:${parsed.phones[0].replace(/\s/g, '')}`) })
+      }
+      if (parsed.emails[0]) {
+        actions.push({ key: 'email', icon: 'envelope', label: 'Email', onPress: () => openUrl(`mailto:${parsed.emails[0]}`) })
+      }
+      actions.push({
+        key: 'copy',
+        icon: 'doc.on.doc',
+        label: 'Copy',
+        onPress: () => copy('copy', fields.map(field => `${field.label}: ${field.value}`).join('\n')),
+      })
+      break
+    case 'product':
+      fields.push({ label: 'Code', value: parsed.code })
+      actions.push({ key: 'copy', icon: 'doc.on.doc', label: 'Copy', onPress: () => copy('copy', parsed.code) })
+      break
+    default:
+      fields.push({ label: null, value: parsed.text })
+      actions.push({ key: 'copy', icon: 'doc.on.doc', label: 'Copy', onPress: () => copy('copy', parsed.text) })
+  }
+
+  return (
+    <View style={[styles.card, style]}>
+      <View style={styles.header}>
+        <View>
+          <Text style={styles.title}>{KIND_TITLES[parsed.kind]}</Text>
+          <Text style={styles.meta}>
+            {barcodeLabel(scan.type)} · {new Date(scan.scannedAt).toLocaleString()}
+          </Text>
+        </View>
+        {onClose && (
+          <TouchableOpacity onPress={onClose} hitSlop={10}>
+            <IconSymbol size={24} name="xmark" color="#888" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {fields.map((field, index) => (
+        <View key={index} style={styles.field}>
+          {field.label && <Text style={styles.fieldLabel}>{field.label}</Text>}
+          <Text style={styles.fieldValue} selectable numberOfLines={6}>{field.value}</Text>
+        </View>
+      ))}
+
+      <View style={styles.actions}>
+        {actions.map(action => (
+          <TouchableOpacity key={action.key} style={styles.actionButton} onPress={action.onPress}>
+            <IconSymbol size={20} name={copied === action.key ? 'checkmark' : action.icon} color="white" />
+            <Text style={styles.actionText}>{copied === action.key ? 'Copied' : action.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#1c1c1e',
+    borderRadius: 14,
+    padding: 16
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 10
+  },
+  title: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold'
+  },
+  meta: {
+    color: '#888',
+    fontSize: 12,
+    marginTop: 2
+  },
+  field: {
+    marginBottom: 8
+  },
+  fieldLabel: {
+    color: '#888',
+    fontSize: 12
+  },
+  fieldValue: {
+    color: 'white',
+    fontSize: 15
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 6
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginRight: 8,
+    marginTop: 6
+  },
+  actionText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginLeft: 6
+  }
+})
@@ -0,0 +1,110 @@
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native'
+import React from 'react'
+import { useVideoPlayer, VideoView } from 'expo-video'
+import { IconSymbol } from '@/components/ui/icon-symbol'
+
+// 75 -> "01:15"
+export const formatDuration = (seconds) => {
+  const whole = Math.max(0, Math.round(seconds))
+  const minutes = String(Math.floor(whole / 60)).padStart(2, '0')
+  return `${minutes}:${String(whole % 60).padStart(2, '0')}`
+}
+
+// Plays a just-recorded clip on a loop, with the same Retake/Save/Upload
+// actions as the photo preview. `video` is { uri, duration, muted }.
+export default function VideoPreview({ video, isLoading, onRetake, onSave, onUpload }) {
+  const player = useVideoPlayer(video.uri, (videoPlayer) => {
+    videoPlayer.loop = true
+    videoPlayer.play()
+  })
+
+  return (
+    <View style={styles.container}>
+      <VideoView player={player} style={styles.video} contentFit="contain" nativeControls />
+
+      <View style={styles.info}>
+        <Text style={styles.infoText}>{formatDuration(video.duration)}</Text>
+        {video.muted && (
+          <View style={styles.muted}>
+            <IconSymbol size={16} name="mic.slash" color="#ccc" />
+            <Text style={styles.infoText}>No sound</Text>
+          </View>
+        )}
+      </View>
+
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.actionButton} onPress={onRetake}>
+          <IconSymbol size={24} name="xmark" color="white" />
+          <Text style={styles.buttonText}>Retake</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.actionButton} onPress={onSave}>
+          <IconSymbol size={24} name="square.and.arrow.down" color="white" />
+          <Text style={styles.buttonText}>Save</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.actionButton} onPress={onUpload}>
+          <IconSymbol size={24} name="icloud.and.arrow.up" color="white" />
+          <Text style={styles.buttonText}>Upload</Text>
+        </TouchableOpacity>
+      </View>
+
+      {isLoading && (
+        <View style={styles.loadingOverlay}>
+          <ActivityIndicator size="large" color="#007AFF" />
+          <Text style={styles.buttonText}>Saving...</Text>
+        </View>
+      )}
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000'
+  },
+  video: {
+    flex: 1
+  },
+  info: {
+    position: 'absolute',
+    top: 55,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
+  infoText: {
+    color: '#ccc',
+    fontSize: 14
+  },
+  muted: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 12
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    alignItems: 'center',
+    paddingBottom: 40,
+    backgroundColor: 'rgba(0,0,0,0.5)'
+  },
+  actionButton: {
+    alignItems: 'center',
+    padding: 15
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold'
+  },
+  loadingOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    alignItems: 'center'
+  }
+})
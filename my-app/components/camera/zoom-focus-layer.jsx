@@ -0,0 +1,101 @@
+import { View, Text, StyleSheet, PanResponder } from 'react-native'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+
+// Finger travel, in points, that takes zoom from 0 to 1
+const PINCH_RANGE = 300
+const TAP_SLOP = 10
+const FOCUS_RING_SIZE = 70
+const FOCUS_RING_MS = 1000
+
+const distance = ([a, b]) => Math.hypot(a.pageX - b.pageX, a.pageY - b.pageY)
+
+// Transparent layer over the camera preview: pinch with two fingers to zoom
+// (`zoom` is 0-1, as CameraView expects) and tap to focus. Shows a focus ring
+// where the screen was tapped.
+export default function ZoomFocusLayer({ zoom, onZoomChange, onFocus }) {
+  const [focusPoint, setFocusPoint] = useState(null)
+  // Responders are created once, so they read the latest props from here
+  const live = useRef({ zoom, onZoomChange, onFocus })
+
+  useEffect(() => {
+    live.current = { zoom, onZoomChange, onFocus }
+  })
+
+  useEffect(() => {
+    if (!focusPoint) return
+    const timer = setTimeout(() => setFocusPoint(null), FOCUS_RING_MS)
+    return () => clearTimeout(timer)
+  }, [focusPoint])
+
+  const responder = useMemo(() => {
+    let pinchStart = null
+    let pinched = false
+
+    return PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onPanResponderGrant: () => {
+        pinchStart = null
+        pinched = false
+      },
+      onPanResponderMove: (event) => {
+        const { touches } = event.nativeEvent
+        if (touches.length < 2) return
+
+        pinched = true
+        if (!pinchStart) {
+          pinchStart = { distance: distance(touches), zoom: live.current.zoom }
+          return
+        }
+        const change = (distance(touches) - pinchStart.distance) / PINCH_RANGE
+        live.current.onZoomChange(Math.min(Math.max(pinchStart.zoom + change, 0), 1))
+      },
+      onPanResponderRelease: (event, gesture) => {
+        if (pinched || Math.abs(gesture.dx) > TAP_SLOP || Math.abs(gesture.dy) > TAP_SLOP) return
+        const point = { x: event.nativeEvent.locationX, y: event.nativeEvent.locationY }
+        setFocusPoint(point)
+        live.current.onFocus(point)
+      },
+    })
+  }, [])
+
+  return (
+    <View style={StyleSheet.absoluteFill} {...responder.panHandlers}>
+      {focusPoint && (
+        <View
+          pointerEvents="none"
+          style={[styles.focusRing, { left: focusPoint.x - FOCUS_RING_SIZE / 2, top: focusPoint.y - FOCUS_RING_SIZE / 2 }]}
+        />
+      )}
+      {zoom > 0 && (
+        <View style={styles.zoomBadge} pointerEvents="none">
+          <Text style={styles.zoomText}>Zoom {Math.round(zoom * 100)}%</Text>
+        </View>
+      )}
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  focusRing: {
+    position: 'absolute',
+    width: FOCUS_RING_SIZE,
+    height: FOCUS_RING_SIZE,
+    borderWidth: 2,
+    borderColor: '#FFCC00',
+    borderRadius: 4
+  },
+  zoomBadge: {
+    position: 'absolute',
+    bottom: 150,
+    alignSelf: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: 'rgba(0,0,0,0.5)'
+  },
+  zoomText: {
+    color: '#FFCC00',
+    fontSize: 13,
+    fontWeight: 'bold'
+  }
+})
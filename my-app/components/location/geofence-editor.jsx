@@ -0,0 +1,210 @@
+import { View, Text, StyleSheet, TouchableOpacity, Modal, TextInput, KeyboardAvoidingView, Platform } from 'react-native'
+import React from 'react'
+import { IconSymbol } from '@/components/ui/icon-symbol'
+import { ALERT_OPTIONS, MAX_NAME_LENGTH, RADIUS_OPTIONS } from '@/services/geofences'
+
+const formatRadius = (radius) => (radius >= 1000 ? `${radius / 1000} km` : `${radius} m`)
+
+// Sheet for a geofence being added (after a long press on the Location tab's
+// map) or edited (from its marker). The draft ({ id?, name, latitude,
+// longitude, radius, alert }) is kept by the screen, which draws it on the
+// map while it's edited; changes come back through onChange.
+export default function GeofenceEditor({ draft, isMonitoring, onChange, onSave, onDelete, onClose }) {
+  const isNew = !draft?.id
+  const canSave = Boolean(draft?.name.trim())
+
+  return (
+    <Modal visible={draft !== null} transparent animationType="slide" onRequestClose={onClose}>
+      <KeyboardAvoidingView style={styles.backdrop} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+        {draft && (
+          <View style={styles.sheet}>
+            <View style={styles.header}>
+              <Text style={styles.title}>{isNew ? 'New Geofence' : 'Edit Geofence'}</Text>
+              <TouchableOpacity onPress={onClose} accessibilityLabel="Close">
+                <IconSymbol size={24} name="xmark" color="#666" />
+              </TouchableOpacity>
+            </View>
+
+            <TextInput
+              style={styles.input}
+              value={draft.name}
+              onChangeText={(name) => onChange({ name })}
+              placeholder="Name, e.g. Main Site"
+              maxLength={MAX_NAME_LENGTH}
+              autoFocus={isNew}
+              returnKeyType="done"
+            />
+
+            <Text style={styles.sectionTitle}>Radius</Text>
+            <View style={styles.options}>
+              {RADIUS_OPTIONS.map((radius) => (
+                <TouchableOpacity
+                  key={radius}
+                  style={[styles.option, draft.radius === radius && styles.optionSelected]}
+                  onPress={() => onChange({ radius })}
+                >
+                  <Text style={[styles.optionText, draft.radius === radius && styles.optionTextSelected]}>
+                    {formatRadius(radius)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.sectionTitle}>Notify me on</Text>
+            <View style={styles.options}>
+              {ALERT_OPTIONS.map(({ value, label }) => (
+                <TouchableOpacity
+                  key={value}
+                  style={[styles.option, draft.alert === value && styles.optionSelected]}
+                  onPress={() => onChange({ alert: value })}
+                >
+                  <Text style={[styles.optionText, draft.alert === value && styles.optionTextSelected]}>{label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.note}>Entering and leaving are logged to your account either way.</Text>
+
+            {!isNew && !isMonitoring && (
+              <View style={styles.warning}>
+                <IconSymbol size={18} name="exclamationmark.triangle" color="#FF9500" />
+                <Text style={styles.warningText}>
+                  Geofences aren&apos;t being watched. Allow location &quot;All the time&quot; in your device settings.
+                </Text>
+              </View>
+            )}
+
+            <View style={styles.buttons}>
+              {!isNew && (
+                <TouchableOpacity style={[styles.button, styles.deleteButton]} onPress={onDelete}>
+                  <Text style={styles.deleteButtonText}>Delete</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={[styles.button, styles.saveButton, !canSave && styles.disabled]}
+                onPress={onSave}
+                disabled={!canSave}
+              >
+                <Text style={styles.saveButtonText}>{isNew ? 'Add Geofence' : 'Save'}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </KeyboardAvoidingView>
+    </Modal>
+  )
+}
+
+const styles = StyleSheet.create({
+  // Light, so the circle drawn on the map stays visible
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.15)'
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    paddingBottom: 40
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333'
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#333'
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 20,
+    marginBottom: 8
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8
+  },
+  option: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#34C759'
+  },
+  optionSelected: {
+    backgroundColor: '#34C759'
+  },
+  optionText: {
+    color: '#34C759',
+    fontWeight: 'bold'
+  },
+  optionTextSelected: {
+    color: 'white'
+  },
+  note: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 8
+  },
+  warning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 15,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: '#FFF4E5'
+  },
+  warningText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#8A5300'
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 20
+  },
+  button: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 8
+  },
+  saveButton: {
+    backgroundColor: '#34C759'
+  },
+  saveButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold'
+  },
+  deleteButton: {
+    borderWidth: 1,
+    borderColor: '#FF3B30'
+  },
+  deleteButtonText: {
+    color: '#FF3B30',
+    fontSize: 15,
+    fontWeight: 'bold'
+  },
+  disabled: {
+    opacity: 0.4
+  }
+})
@@ -0,0 +1,80 @@
+import { View, Text, StyleSheet, TouchableOpacity, Image, Modal } from 'react-native'
+import React from 'react'
+import { IconSymbol } from '@/components/ui/icon-symbol'
+
+// Compass point for a heading in degrees, e.g. 92 -> "E"
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+const compassPoint = (heading) => COMPASS_POINTS[Math.round(heading / 45) % 8]
+
+// Full-screen view of a geotagged photo opened from its map marker, with
+// where and when it was taken
+export default function GeotagViewer({ photo, onClose, onRemove }) {
+  if (!photo) return null
+
+  const { location } = photo
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <Image source={{ uri: photo.uri }} style={styles.image} resizeMode="contain" />
+
+        <View style={styles.details}>
+          <Text style={styles.detailText}>
+            {location.latitude.toFixed(6)}, {location.longitude.toFixed(6)}
+            {location.accuracy != null && ` (±${Math.round(location.accuracy)} m)`}
+          </Text>
+          {location.heading != null && (
+            <Text style={styles.detailText}>
+              Facing {compassPoint(location.heading)} ({Math.round(location.heading)}°)
+            </Text>
+          )}
+          <Text style={styles.detailText}>{new Date(photo.takenAt).toLocaleString()}</Text>
+        </View>
+
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.actionButton} onPress={onClose}>
+            <IconSymbol size={24} name="xmark" color="white" />
+            <Text style={styles.buttonText}>Close</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.actionButton} onPress={() => onRemove(photo)}>
+            <IconSymbol size={24} name="trash" color="#FF3B30" />
+            <Text style={styles.buttonText}>Remove from Map</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.95)',
+    paddingTop: 50
+  },
+  image: {
+    flex: 1
+  },
+  details: {
+    alignItems: 'center',
+    marginVertical: 10,
+    gap: 4
+  },
+  detailText: {
+    color: '#ccc'
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingBottom: 40
+  },
+  actionButton: {
+    alignItems: 'center',
+    padding: 15
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold'
+  }
+})
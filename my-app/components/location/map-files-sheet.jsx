@@ -0,0 +1,160 @@
+import { View, Text, StyleSheet, TouchableOpacity, Modal, ScrollView } from 'react-native'
+import React from 'react'
+import { IconSymbol } from '@/components/ui/icon-symbol'
+import { GEO_FORMATS } from '@/services/geo-formats'
+
+const describeLayer = ({ tracks, places }) => {
+  const parts = []
+  if (tracks.length > 0) parts.push(`${tracks.length} ${tracks.length === 1 ? 'track' : 'tracks'}`)
+  if (places.length > 0) parts.push(`${places.length} ${places.length === 1 ? 'place' : 'places'}`)
+  return parts.join(', ')
+}
+
+// Sheet opened from the Location tab's header for moving map data to and
+// from GIS tools: import a GPX, GeoJSON or KML file, export where the
+// geotagged photos were taken, and remove imported files from the map
+export default function MapFilesSheet({ visible, layers, placeCount, onImport, onExportPlaces, onRemoveLayer, onClose }) {
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Map Files</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close">
+              <IconSymbol size={24} name="xmark" color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <TouchableOpacity style={styles.importButton} onPress={onImport}>
+            <IconSymbol size={20} name="square.and.arrow.down" color="white" />
+            <Text style={styles.importButtonText}>Import GPX, GeoJSON or KML</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.sectionTitle}>Export photo places ({placeCount})</Text>
+          <View style={styles.formats}>
+            {Object.entries(GEO_FORMATS).map(([format, { label }]) => (
+              <TouchableOpacity
+                key={format}
+                style={[styles.formatButton, placeCount === 0 && styles.disabled]}
+                onPress={() => onExportPlaces(format)}
+                disabled={placeCount === 0}
+              >
+                <IconSymbol size={16} name="square.and.arrow.up" color="#007AFF" />
+                <Text style={styles.formatText}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.sectionTitle}>Imported</Text>
+          <ScrollView style={styles.layers}>
+            {layers.length === 0 && <Text style={styles.note}>Imported files are drawn on the map in purple</Text>}
+            {layers.map((layer) => (
+              <View key={layer.id} style={styles.layer}>
+                <View style={styles.layerText}>
+                  <Text style={styles.layerName} numberOfLines={1}>{layer.name}</Text>
+                  <Text style={styles.note}>{describeLayer(layer)}</Text>
+                </View>
+                <TouchableOpacity onPress={() => onRemoveLayer(layer)} accessibilityLabel={`Remove ${layer.name}`}>
+                  <IconSymbol size={22} name="trash" color="#FF3B30" />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  )
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.4)'
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    paddingBottom: 40,
+    maxHeight: '70%'
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333'
+  },
+  importButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#007AFF',
+    paddingVertical: 12,
+    borderRadius: 8,
+    gap: 8
+  },
+  importButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold'
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 20,
+    marginBottom: 8
+  },
+  formats: {
+    flexDirection: 'row',
+    gap: 10
+  },
+  formatButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#007AFF'
+  },
+  disabled: {
+    opacity: 0.4
+  },
+  formatText: {
+    color: '#007AFF',
+    fontWeight: 'bold'
+  },
+  layers: {
+    flexGrow: 0
+  },
+  layer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#ddd'
+  },
+  layerText: {
+    flex: 1,
+    marginRight: 10
+  },
+  layerName: {
+    fontSize: 15,
+    color: '#333'
+  },
+  note: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2
+  }
+})
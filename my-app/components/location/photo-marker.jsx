@@ -0,0 +1,40 @@
+import { View, StyleSheet, Image } from 'react-native'
+import React, { useState } from 'react'
+import { Marker } from 'react-native-maps'
+
+// A geotagged photo on the map, drawn as its thumbnail. Android renders
+// custom markers to a bitmap, so the marker keeps tracking view changes only
+// until the thumbnail has loaded.
+export default function PhotoMarker({ photo, onPress }) {
+  const [isLoaded, setIsLoaded] = useState(false)
+
+  return (
+    <Marker
+      coordinate={{ latitude: photo.location.latitude, longitude: photo.location.longitude }}
+      tracksViewChanges={!isLoaded}
+      onPress={() => onPress(photo)}
+    >
+      <View style={styles.frame}>
+        <Image source={{ uri: photo.thumbnailUri }} style={styles.thumbnail} onLoad={() => setIsLoaded(true)} />
+      </View>
+    </Marker>
+  )
+}
+
+const styles = StyleSheet.create({
+  frame: {
+    padding: 2,
+    borderRadius: 6,
+    backgroundColor: 'white',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.3,
+    shadowRadius: 2,
+    elevation: 3
+  },
+  thumbnail: {
+    width: 44,
+    height: 44,
+    borderRadius: 4
+  }
+})
@@ -0,0 +1,99 @@
+import { View, StyleSheet, PanResponder } from 'react-native'
+import React, { useEffect, useMemo, useRef } from 'react'
+import { moveCrop, resizeCrop } from '@/components/photo-editor/edits'
+
+const HANDLE_SIZE = 28
+const CORNERS = ['tl', 'tr', 'bl', 'br']
+
+// Crop frame drawn over the preview (`width` x `height` points). Drag inside
+// the frame to move it or drag a corner to resize; `ratio` locks the shape.
+export default function CropOverlay({ crop, onChange, width, height, oriented, ratio }) {
+  // Responders are created once, so they read the latest props from here
+  const live = useRef({ crop, onChange, width, height, oriented, ratio })
+  const dragStart = useRef(crop)
+
+  useEffect(() => {
+    live.current = { crop, onChange, width, height, oriented, ratio }
+  })
+
+  const responders = useMemo(() => {
+    const create = (mode) => PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onPanResponderGrant: () => {
+        dragStart.current = live.current.crop
+      },
+      onPanResponderMove: (event, gesture) => {
+        const { onChange: change, width: w, height: h, oriented: size, ratio: lockedRatio } = live.current
+        const dx = gesture.dx / w
+        const dy = gesture.dy / h
+        change(mode === 'move'
+          ? moveCrop(dragStart.current, dx, dy)
+          : resizeCrop(dragStart.current, mode, dx, dy, size, lockedRatio))
+      },
+    })
+    return Object.fromEntries(['move', ...CORNERS].map(mode => [mode, create(mode)]))
+  }, [])
+
+  const frame = {
+    left: crop.x * width,
+    top: crop.y * height,
+    width: crop.width * width,
+    height: crop.height * height,
+  }
+
+  return (
+    <View style={[StyleSheet.absoluteFill, { width, height }]}>
+      {/* Dim everything outside the frame */}
+      <View style={[styles.shade, { left: 0, top: 0, right: 0, height: frame.top }]} />
+      <View style={[styles.shade, { left: 0, top: frame.top + frame.height, right: 0, bottom: 0 }]} />
+      <View style={[styles.shade, { left: 0, top: frame.top, width: frame.left, height: frame.height }]} />
+      <View style={[styles.shade, { left: frame.left + frame.width, top: frame.top, right: 0, height: frame.height }]} />
+
+      <View style={[styles.frame, frame]} {...responders.move.panHandlers}>
+        <View style={[styles.gridLine, { left: '33.3%', top: 0, bottom: 0, width: 1 }]} />
+        <View style={[styles.gridLine, { left: '66.6%', top: 0, bottom: 0, width: 1 }]} />
+        <View style={[styles.gridLine, { top: '33.3%', left: 0, right: 0, height: 1 }]} />
+        <View style={[styles.gridLine, { top: '66.6%', left: 0, right: 0, height: 1 }]} />
+      </View>
+
+      {CORNERS.map(corner => (
+        <View
+          key={corner}
+          style={[
+            styles.handle,
+            {
+              left: frame.left + (corner.includes('l') ? 0 : frame.width) - HANDLE_SIZE / 2,
+              top: frame.top + (corner.includes('t') ? 0 : frame.height) - HANDLE_SIZE / 2,
+            },
+          ]}
+          {...responders[corner].panHandlers}
+        />
+      ))}
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  shade: {
+    position: 'absolute',
+    backgroundColor: 'rgba(0,0,0,0.55)'
+  },
+  frame: {
+    position: 'absolute',
+    borderWidth: 2,
+    borderColor: 'white'
+  },
+  gridLine: {
+    position: 'absolute',
+    backgroundColor: 'rgba(255,255,255,0.4)'
+  },
+  handle: {
+    position: 'absolute',
+    width: HANDLE_SIZE,
+    height: HANDLE_SIZE,
+    borderRadius: HANDLE_SIZE / 2,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#007AFF'
+  }
+})
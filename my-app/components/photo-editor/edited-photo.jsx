@@ -0,0 +1,119 @@
+import React from 'react'
+import { Platform } from 'react-native'
+import { ColorMatrix, Group, Image, ImageFormat, RoundedRect, Text, drawAsImage, matchFont, rect } from '@shopify/react-native-skia'
+import { File, Paths } from 'expo-file-system'
+import { buildColorMatrix, fullCrop, orientedSize, outputSize } from '@/components/photo-editor/edits'
+
+const FONT_FAMILY = Platform.select({ ios: 'Helvetica', default: 'sans-serif' })
+
+const overlayFont = (size) => matchFont({ fontFamily: FONT_FAMILY, fontSize: size, fontWeight: 'bold' })
+
+// Position, size and font of an overlay within an output of the given size
+export const overlayLayout = (overlay, output) => {
+  const fontSize = Math.max(overlay.size * Math.min(output.width, output.height), 8)
+  const font = overlayFont(fontSize)
+  const padding = overlay.type === 'stamp' ? fontSize * 0.4 : 0
+  const textWidth = font.measureText(overlay.text).width
+  const width = textWidth + padding * 2
+  const height = fontSize * 1.2 + padding * 2
+  return {
+    font,
+    fontSize,
+    padding,
+    textWidth,
+    x: overlay.x * output.width - width / 2,
+    y: overlay.y * output.height - height / 2,
+    width,
+    height,
+  }
+}
+
+function Overlay({ overlay, output }) {
+  const layout = overlayLayout(overlay, output)
+  const textX = layout.x + layout.padding
+  const baseline = layout.y + layout.padding + layout.fontSize * 0.95
+
+  if (overlay.type === 'stamp') {
+    return (
+      <Group>
+        <RoundedRect
+          x={layout.x}
+          y={layout.y}
+          width={layout.width}
+          height={layout.height}
+          r={layout.fontSize * 0.25}
+          color={overlay.color}
+          opacity={0.85}
+        />
+        <Text x={textX} y={baseline} text={overlay.text} font={layout.font} color="white" />
+      </Group>
+    )
+  }
+
+  // Outline first so light text stays readable on light backgrounds
+  return (
+    <Group>
+      <Text
+        x={textX}
+        y={baseline}
+        text={overlay.text}
+        font={layout.font}
+        color={overlay.color === '#000000' ? 'white' : 'black'}
+        style="stroke"
+        strokeWidth={layout.fontSize * 0.12}
+      />
+      <Text x={textX} y={baseline} text={overlay.text} font={layout.font} color={overlay.color} />
+    </Group>
+  )
+}
+
+/**
+ * Skia drawing of `image` with `edits` applied, at `scale` times the output
+ * size. Used for both the on-screen preview and the exported file. While
+ * cropping, `ignoreCrop` shows the whole rotated image without overlays.
+ */
+export default function EditedPhoto({ image, edits, scale = 1, ignoreCrop = false }) {
+  const source = { width: image.width(), height: image.height() }
+  const oriented = orientedSize(source, edits)
+  const crop = ignoreCrop ? fullCrop : edits.crop || fullCrop
+  const output = { width: oriented.width * crop.width, height: oriented.height * crop.height }
+
+  return (
+    <Group transform={[{ scale }]}>
+      <Group clip={rect(0, 0, output.width, output.height)}>
+        {/* Rotate and flip around the centre, then shift the crop to the origin */}
+        <Group
+          transform={[
+            { translateX: oriented.width * (0.5 - crop.x) },
+            { translateY: oriented.height * (0.5 - crop.y) },
+            { scaleX: edits.flipH ? -1 : 1 },
+            { scaleY: edits.flipV ? -1 : 1 },
+            { rotate: (edits.rotation * Math.PI) / 180 },
+            { translateX: -source.width / 2 },
+            { translateY: -source.height / 2 },
+          ]}
+        >
+          <Image image={image} x={0} y={0} width={source.width} height={source.height}>
+            <ColorMatrix matrix={buildColorMatrix(edits)} />
+          </Image>
+        </Group>
+      </Group>
+      {!ignoreCrop && edits.overlays.map((overlay) => (
+        <Overlay key={overlay.id} overlay={overlay} output={output} />
+      ))}
+    </Group>
+  )
+}
+
+// Renders the edits at full resolution into a new JPEG in the cache directory.
+// Returns an object shaped like a CameraView photo.
+export const exportEditedPhoto = async (image, edits) => {
+  const size = outputSize({ width: image.width(), height: image.height() }, edits)
+  const snapshot = await drawAsImage(<EditedPhoto image={image} edits={edits} />, size)
+
+  const file = new File(Paths.cache, `edited-${Date.now()}.jpg`)
+  file.create()
+  file.write(snapshot.encodeToBytes(ImageFormat.JPEG, 90))
+
+  return { uri: file.uri, width: size.width, height: size.height, fileName: file.name, mimeType: 'image/jpeg' }
+}
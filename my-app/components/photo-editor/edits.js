@@ -0,0 +1,235 @@
+// Pure helpers for the photo editor. An edit is a plain object describing how
+// to render the original file, so history entries are cheap snapshots and the
+// original is never modified:
+//
+// - rotation/flipH/flipV: orientation; flips apply after the rotation
+// - crop: { x, y, width, height } as fractions of the oriented image, or null
+// - brightness/contrast: -0.5 to 0.5, 0 is unchanged
+// - filter: a key of FILTERS
+// - overlays: text and stamps, positioned as fractions of the cropped image
+
+export const INITIAL_EDITS = {
+  rotation: 0,
+  flipH: false,
+  flipV: false,
+  crop: null,
+  brightness: 0,
+  contrast: 0,
+  filter: 'none',
+  overlays: [],
+}
+
+export const CROP_RATIOS = [
+  { label: 'Free', value: null },
+  { label: '1:1', value: 1 },
+  { label: '4:3', value: 4 / 3 },
+  { label: '3:4', value: 3 / 4 },
+  { label: '16:9', value: 16 / 9 },
+  { label: '9:16', value: 9 / 16 },
+]
+
+export const ADJUSTMENT_RANGE = 0.5
+export const ADJUSTMENT_STEP = 0.05
+
+// Stamps for annotating site photos; 'date' shows the time it was added
+export const STAMPS = [
+  { key: 'approved', label: 'APPROVED', color: '#34C759' },
+  { key: 'rejected', label: 'REJECTED', color: '#FF3B30' },
+  { key: 'check', label: 'CHECK', color: '#FF9500' },
+  { key: 'damage', label: 'DAMAGE', color: '#FF3B30' },
+  { key: 'date', label: null, color: '#007AFF' },
+]
+
+export const TEXT_COLORS = ['#FFFFFF', '#000000', '#FF3B30', '#FFCC00', '#34C759', '#007AFF']
+
+const MIN_CROP_SIZE = 0.1
+
+// 4x5 color matrices (row-major, offsets in the 0-1 range)
+const IDENTITY = [
+  1, 0, 0, 0, 0,
+  0, 1, 0, 0, 0,
+  0, 0, 1, 0, 0,
+  0, 0, 0, 1, 0,
+]
+
+const saturation = (s) => {
+  const [r, g, b] = [0.2126 * (1 - s), 0.7152 * (1 - s), 0.0722 * (1 - s)]
+  return [
+    r + s, g, b, 0, 0,
+    r, g + s, b, 0, 0,
+    r, g, b + s, 0, 0,
+    0, 0, 0, 1, 0,
+  ]
+}
+
+export const FILTERS = {
+  none: { label: 'Original', matrix: IDENTITY },
+  mono: { label: 'Mono', matrix: saturation(0) },
+  sepia: {
+    label: 'Sepia',
+    matrix: [
+      0.393, 0.769, 0.189, 0, 0,
+      0.349, 0.686, 0.168, 0, 0,
+      0.272, 0.534, 0.131, 0, 0,
+      0, 0, 0, 1, 0,
+    ],
+  },
+  vivid: { label: 'Vivid', matrix: saturation(1.5) },
+  warm: {
+    label: 'Warm',
+    matrix: [
+      1.1, 0, 0, 0, 0.02,
+      0, 1, 0, 0, 0,
+      0, 0, 0.9, 0, 0,
+      0, 0, 0, 1, 0,
+    ],
+  },
+  cool: {
+    label: 'Cool',
+    matrix: [
+      0.9, 0, 0, 0, 0,
+      0, 1, 0, 0, 0,
+      0, 0, 1.1, 0, 0.02,
+      0, 0, 0, 1, 0,
+    ],
+  },
+  fade: {
+    label: 'Fade',
+    matrix: [
+      0.85, 0, 0, 0, 0.1,
+      0, 0.85, 0, 0, 0.1,
+      0, 0, 0.85, 0, 0.1,
+      0, 0, 0, 1, 0,
+    ],
+  },
+}
+
+// Result of applying color matrix `b` and then `a`
+const multiply = (a, b) => {
+  const result = []
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 5; col++) {
+      let value = col === 4 ? a[row * 5 + 4] : 0
+      for (let k = 0; k < 4; k++) {
+        value += a[row * 5 + k] * b[k * 5 + col]
+      }
+      result.push(value)
+    }
+  }
+  return result
+}
+
+// Filter first, then contrast around mid-grey, then brightness
+export const buildColorMatrix = ({ filter, brightness, contrast }) => {
+  const scale = 1 + contrast
+  const offset = (1 - scale) / 2 + brightness
+  const adjust = [
+    scale, 0, 0, 0, offset,
+    0, scale, 0, 0, offset,
+    0, 0, scale, 0, offset,
+    0, 0, 0, 1, 0,
+  ]
+  return multiply(adjust, FILTERS[filter].matrix)
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+// Size of the image after rotation, before cropping
+export const orientedSize = (image, { rotation }) =>
+  rotation % 180 === 0 ? image : { width: image.height, height: image.width }
+
+export const fullCrop = { x: 0, y: 0, width: 1, height: 1 }
+
+// Size of the final image
+export const outputSize = (image, edits) => {
+  const oriented = orientedSize(image, edits)
+  const crop = edits.crop || fullCrop
+  return {
+    width: Math.max(Math.round(oriented.width * crop.width), 1),
+    height: Math.max(Math.round(oriented.height * crop.height), 1),
+  }
+}
+
+// Rotating or flipping the image carries the crop and overlays along with it
+export const rotateClockwise = (edits) => ({
+  ...edits,
+  rotation: (edits.rotation + 90) % 360,
+  flipH: edits.flipV,
+  flipV: edits.flipH,
+  crop: edits.crop && {
+    x: 1 - edits.crop.y - edits.crop.height,
+    y: edits.crop.x,
+    width: edits.crop.height,
+    height: edits.crop.width,
+  },
+  overlays: edits.overlays.map((overlay) => ({ ...overlay, x: 1 - overlay.y, y: overlay.x })),
+})
+
+export const flip = (edits, axis) => {
+  const horizontal = axis === 'horizontal'
+  return {
+    ...edits,
+    flipH: horizontal ? !edits.flipH : edits.flipH,
+    flipV: horizontal ? edits.flipV : !edits.flipV,
+    crop: edits.crop && {
+      ...edits.crop,
+      x: horizontal ? 1 - edits.crop.x - edits.crop.width : edits.crop.x,
+      y: horizontal ? edits.crop.y : 1 - edits.crop.y - edits.crop.height,
+    },
+    overlays: edits.overlays.map((overlay) => ({
+      ...overlay,
+      x: horizontal ? 1 - overlay.x : overlay.x,
+      y: horizontal ? overlay.y : 1 - overlay.y,
+    })),
+  }
+}
+
+// Largest centred crop with the given width/height ratio, or the whole image
+export const presetCrop = (oriented, ratio) => {
+  if (!ratio) return fullCrop
+  const imageRatio = oriented.width / oriented.height
+  const width = ratio < imageRatio ? ratio / imageRatio : 1
+  const height = ratio < imageRatio ? 1 : imageRatio / ratio
+  return { x: (1 - width) / 2, y: (1 - height) / 2, width, height }
+}
+
+export const moveCrop = (crop, dx, dy) => ({
+  ...crop,
+  x: clamp(crop.x + dx, 0, 1 - crop.width),
+  y: clamp(crop.y + dy, 0, 1 - crop.height),
+})
+
+// Drags one corner ('tl', 'tr', 'bl' or 'br') while the opposite one stays put.
+// With a ratio the height follows the width.
+export const resizeCrop = (crop, corner, dx, dy, oriented, ratio) => {
+  const left = corner.includes('l')
+  const top = corner.includes('t')
+  const anchorX = left ? crop.x + crop.width : crop.x
+  const anchorY = top ? crop.y + crop.height : crop.y
+
+  const maxWidth = left ? anchorX : 1 - anchorX
+  const maxHeight = top ? anchorY : 1 - anchorY
+  let width = clamp(crop.width + (left ? -dx : dx), MIN_CROP_SIZE, maxWidth)
+  let height = clamp(crop.height + (top ? -dy : dy), MIN_CROP_SIZE, maxHeight)
+
+  if (ratio) {
+    // Convert between fractions of width and height via pixel sizes
+    height = (width * oriented.width) / ratio / oriented.height
+    if (height > maxHeight) {
+      height = maxHeight
+      width = (height * oriented.height * ratio) / oriented.width
+    }
+  }
+
+  return {
+    x: left ? anchorX - width : anchorX,
+    y: top ? anchorY - height : anchorY,
+    width,
+    height,
+  }
+}
+
+export const adjust = (value, delta) =>
+  Math.round(clamp(value + delta, -ADJUSTMENT_RANGE, ADJUSTMENT_RANGE) * 100) / 100
+
+export const clampPosition = (value) => clamp(value, 0, 1)
@@ -0,0 +1,498 @@
+import { View, Text, StyleSheet, TouchableOpacity, TextInput, ScrollView, ActivityIndicator, Alert, PanResponder } from 'react-native'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { Canvas, useImage } from '@shopify/react-native-skia'
+import { IconSymbol } from '@/components/ui/icon-symbol'
+import CropOverlay from '@/components/photo-editor/crop-overlay'
+import EditedPhoto, { exportEditedPhoto, overlayLayout } from '@/components/photo-editor/edited-photo'
+import {
+  ADJUSTMENT_STEP,
+  CROP_RATIOS,
+  FILTERS,
+  INITIAL_EDITS,
+  STAMPS,
+  TEXT_COLORS,
+  adjust,
+  clampPosition,
+  flip,
+  fullCrop,
+  orientedSize,
+  outputSize,
+  presetCrop,
+  rotateClockwise,
+} from '@/components/photo-editor/edits'
+import { useEditHistory } from '@/hooks/use-edit-history'
+
+const TOOLS = [
+  { key: 'crop', label: 'Crop', icon: 'crop' },
+  { key: 'rotate', label: 'Rotate', icon: 'rotate.right' },
+  { key: 'adjust', label: 'Adjust', icon: 'slider.horizontal.3' },
+  { key: 'filters', label: 'Filters', icon: 'camera.filters' },
+  { key: 'text', label: 'Text', icon: 'textformat' },
+  { key: 'stamps', label: 'Stamps', icon: 'seal' },
+]
+
+// Overlay sizes as a fraction of the image's shorter side
+const TEXT_SIZE = 0.06
+const STAMP_SIZE = 0.05
+
+const newOverlayId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`
+
+// Editing step between capturing a photo and saving or uploading it. Every
+// change is a snapshot in an undo/redo history; the original file is left
+// alone and Done writes the result to a new JPEG, passed to onDone.
+export default function PhotoEditor({ image, onDone, onCancel }) {
+  const skImage = useImage(image.uri)
+  const history = useEditHistory(INITIAL_EDITS)
+  const edits = history.state
+  const [tool, setTool] = useState('crop')
+  const [area, setArea] = useState(null)
+  const [cropRatio, setCropRatio] = useState(null)
+  const [draftCrop, setDraftCrop] = useState(null)
+  // Overlay positions while one is being dragged, committed on release
+  const [draftOverlays, setDraftOverlays] = useState(null)
+  const [selectedOverlayId, setSelectedOverlayId] = useState(null)
+  const [text, setText] = useState('')
+  const [textColor, setTextColor] = useState(TEXT_COLORS[0])
+  const [isExporting, setIsExporting] = useState(false)
+
+  const source = skImage ? { width: skImage.width(), height: skImage.height() } : null
+  const isCropping = tool === 'crop'
+  const shownEdits = draftOverlays ? { ...edits, overlays: draftOverlays } : edits
+  const shownSize = source && (isCropping ? orientedSize(source, edits) : outputSize(source, edits))
+  const scale = area && shownSize ? Math.min(area.width / shownSize.width, area.height / shownSize.height) : 0
+
+  // The crop frame starts from the committed crop each time the tool opens
+  useEffect(() => {
+    if (isCropping) setDraftCrop(edits.crop || fullCrop)
+  }, [isCropping, edits.crop])
+
+  // Dragging overlays reads the latest values from a ref, like CropOverlay
+  const live = useRef({})
+  useEffect(() => {
+    live.current = { edits, scale, shownSize, isCropping, commit: history.commit }
+  })
+
+  const overlayResponder = useMemo(() => {
+    let dragged = null
+    return PanResponder.create({
+      onStartShouldSetPanResponder: (event) => {
+        const { edits: current, scale: s, shownSize: output, isCropping: cropping } = live.current
+        if (cropping || !s) return false
+        const x = event.nativeEvent.locationX / s
+        const y = event.nativeEvent.locationY / s
+        // Topmost overlay under the finger
+        dragged = [...current.overlays].reverse().find((overlay) => {
+          const box = overlayLayout(overlay, output)
+          return x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height
+        })
+        return !!dragged
+      },
+      onPanResponderGrant: () => {
+        setSelectedOverlayId(dragged.id)
+      },
+      onPanResponderMove: (event, gesture) => {
+        const { edits: current, scale: s, shownSize: output } = live.current
+        setDraftOverlays(current.overlays.map((overlay) => overlay.id === dragged.id
+          ? {
+            ...overlay,
+            x: clampPosition(dragged.x + gesture.dx / s / output.width),
+            y: clampPosition(dragged.y + gesture.dy / s / output.height),
+          }
+          : overlay))
+      },
+      onPanResponderRelease: (event, gesture) => {
+        const { edits: current, scale: s, shownSize: output, commit } = live.current
+        setDraftOverlays(null)
+        if (gesture.dx === 0 && gesture.dy === 0) return
+        commit({
+          ...current,
+          overlays: current.overlays.map((overlay) => overlay.id === dragged.id
+            ? {
+              ...overlay,
+              x: clampPosition(dragged.x + gesture.dx / s / output.width),
+              y: clampPosition(dragged.y + gesture.dy / s / output.height),
+            }
+            : overlay),
+        })
+      },
+      onPanResponderTerminate: () => setDraftOverlays(null),
+    })
+  }, [])
+
+  const applyCrop = () => {
+    history.commit({ ...edits, crop: draftCrop })
+    setTool('rotate')
+  }
+
+  const chooseRatio = (ratio) => {
+    setCropRatio(ratio)
+    setDraftCrop(presetCrop(orientedSize(source, edits), ratio))
+  }
+
+  const addOverlay = (overlay) => {
+    const id = newOverlayId()
+    history.commit({ ...edits, overlays: [...edits.overlays, { id, x: 0.5, y: 0.5, ...overlay }] })
+    setSelectedOverlayId(id)
+  }
+
+  const addText = () => {
+    if (!text.trim()) return
+    addOverlay({ type: 'text', text: text.trim(), color: textColor, size: TEXT_SIZE })
+    setText('')
+  }
+
+  const addStamp = (stamp) => {
+    addOverlay({
+      type: 'stamp',
+      text: stamp.label || new Date().toLocaleString(),
+      color: stamp.color,
+      size: STAMP_SIZE,
+      // Stamps go near the bottom so they don't cover the subject
+      y: 0.9,
+    })
+  }
+
+  const removeSelectedOverlay = () => {
+    history.commit({ ...edits, overlays: edits.overlays.filter((overlay) => overlay.id !== selectedOverlayId) })
+    setSelectedOverlayId(null)
+  }
+
+  const handleDone = async () => {
+    // Nothing changed: keep the original file
+    if (!history.canUndo) {
+      onDone(image)
+      return
+    }
+
+    setIsExporting(true)
+    try {
+      onDone(await exportEditedPhoto(skImage, edits))
+    } catch (error) {
+      console.error('Photo export error:', error)
+      Alert.alert('Error', 'Failed to save the edited photo')
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  const renderStepper = (label, key) => (
+    <View style={styles.stepperRow}>
+      <Text style={styles.stepperLabel}>{label}</Text>
+      <TouchableOpacity style={styles.iconButton} onPress={() => history.commit({ ...edits, [key]: adjust(edits[key], -ADJUSTMENT_STEP) })}>
+        <IconSymbol size={22} name="minus" color="white" />
+      </TouchableOpacity>
+      <Text style={styles.stepperValue}>{Math.round(edits[key] * 200)}</Text>
+      <TouchableOpacity style={styles.iconButton} onPress={() => history.commit({ ...edits, [key]: adjust(edits[key], ADJUSTMENT_STEP) })}>
+        <IconSymbol size={22} name="plus" color="white" />
+      </TouchableOpacity>
+    </View>
+  )
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity key={key} style={[styles.chip, selected && styles.chipSelected]} onPress={onPress}>
+      <Text style={styles.chipText}>{label}</Text>
+    </TouchableOpacity>
+  )
+
+  const renderPanel = () => {
+    switch (tool) {
+      case 'crop':
+        return (
+          <View>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+              {CROP_RATIOS.map(({ label, value }) => renderChip(label, label, cropRatio === value, () => chooseRatio(value)))}
+            </ScrollView>
+            <View style={styles.panelActions}>
+              <TouchableOpacity style={styles.secondaryButton} onPress={() => chooseRatio(null)}>
+                <Text style={styles.buttonText}>Reset</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.primaryButton} onPress={applyCrop}>
+                <Text style={styles.buttonText}>Apply Crop</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )
+      case 'rotate':
+        return (
+          <View style={styles.panelActions}>
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => history.commit(rotateClockwise(edits))}>
+              <Text style={styles.buttonText}>Rotate 90°</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => history.commit(flip(edits, 'horizontal'))}>
+              <Text style={styles.buttonText}>Flip ↔</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => history.commit(flip(edits, 'vertical'))}>
+              <Text style={styles.buttonText}>Flip ↕</Text>
+            </TouchableOpacity>
+          </View>
+        )
+      case 'adjust':
+        return (
+          <View>
+            {renderStepper('Brightness', 'brightness')}
+            {renderStepper('Contrast', 'contrast')}
+          </View>
+        )
+      case 'filters':
+        return (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {Object.entries(FILTERS).map(([key, filter]) =>
+              renderChip(key, filter.label, edits.filter === key, () => history.commit({ ...edits, filter: key })))}
+          </ScrollView>
+        )
+      case 'text':
+        return (
+          <View>
+            <View style={styles.textRow}>
+              <TextInput
+                style={styles.input}
+                placeholder="Add a note"
+                placeholderTextColor="#888"
+                value={text}
+                onChangeText={setText}
+                onSubmitEditing={addText}
+              />
+              <TouchableOpacity style={styles.primaryButton} onPress={addText}>
+                <Text style={styles.buttonText}>Add</Text>
+              </TouchableOpacity>
+            </View>
+            <View style={styles.chipRow}>
+              {TEXT_COLORS.map(color => (
+                <TouchableOpacity
+                  key={color}
+                  style={[styles.swatch, { backgroundColor: color }, textColor === color && styles.swatchSelected]}
+                  onPress={() => setTextColor(color)}
+                />
+              ))}
+            </View>
+          </View>
+        )
+      case 'stamps':
+        return (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {STAMPS.map(stamp => renderChip(stamp.key, stamp.label || 'Date & Time', false, () => addStamp(stamp)))}
+          </ScrollView>
+        )
+      default:
+        return null
+    }
+  }
+
+  const selectedOverlay = edits.overlays.find((overlay) => overlay.id === selectedOverlayId)
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.topBar}>
+        <TouchableOpacity onPress={onCancel} disabled={isExporting}>
+          <Text style={styles.linkText}>Cancel</Text>
+        </TouchableOpacity>
+        <View style={styles.historyButtons}>
+          <TouchableOpacity style={styles.iconButton} onPress={history.undo} disabled={!history.canUndo}>
+            <IconSymbol size={24} name="arrow.uturn.backward" color={history.canUndo ? 'white' : '#555'} />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.iconButton} onPress={history.redo} disabled={!history.canRedo}>
+            <IconSymbol size={24} name="arrow.uturn.forward" color={history.canRedo ? 'white' : '#555'} />
+          </TouchableOpacity>
+        </View>
+        <TouchableOpacity onPress={handleDone} disabled={!skImage || isExporting}>
+          {isExporting ? <ActivityIndicator color="#007AFF" /> : <Text style={[styles.linkText, styles.doneText]}>Done</Text>}
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.previewArea} onLayout={(event) => setArea(event.nativeEvent.layout)}>
+        {skImage && scale > 0 ? (
+          <View
+            style={{ width: shownSize.width * scale, height: shownSize.height * scale }}
+            {...overlayResponder.panHandlers}
+          >
+            <Canvas style={StyleSheet.absoluteFill}>
+              <EditedPhoto image={skImage} edits={shownEdits} scale={scale} ignoreCrop={isCropping} />
+            </Canvas>
+            {isCropping && draftCrop && (
+              <CropOverlay
+                crop={draftCrop}
+                onChange={setDraftCrop}
+                width={shownSize.width * scale}
+                height={shownSize.height * scale}
+                oriented={shownSize}
+                ratio={cropRatio}
+              />
+            )}
+          </View>
+        ) : (
+          <ActivityIndicator size="large" color="#007AFF" />
+        )}
+      </View>
+
+      <View style={styles.panel}>
+        {renderPanel()}
+        {selectedOverlay && !isCropping && (
+          <TouchableOpacity style={styles.removeOverlay} onPress={removeSelectedOverlay}>
+            <IconSymbol size={18} name="trash" color="#FF3B30" />
+            <Text style={styles.removeText}>Remove “{selectedOverlay.text}”</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.toolBar}>
+        {TOOLS.map(({ key, label, icon }) => (
+          <TouchableOpacity key={key} style={styles.tool} onPress={() => setTool(key)}>
+            <IconSymbol size={24} name={icon} color={tool === key ? '#007AFF' : 'white'} />
+            <Text style={[styles.toolText, tool === key && styles.toolTextSelected]}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000'
+  },
+  topBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingTop: 55,
+    paddingHorizontal: 20,
+    paddingBottom: 10
+  },
+  historyButtons: {
+    flexDirection: 'row'
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 17
+  },
+  doneText: {
+    fontWeight: 'bold'
+  },
+  previewArea: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    margin: 10
+  },
+  panel: {
+    minHeight: 110,
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    backgroundColor: '#111'
+  },
+  panelActions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 10,
+    marginTop: 10
+  },
+  chipRow: {
+    flexDirection: 'row',
+    gap: 8,
+    paddingVertical: 5
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#333'
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF'
+  },
+  chipText: {
+    color: 'white',
+    fontSize: 14
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 18,
+    paddingVertical: 10,
+    borderRadius: 8
+  },
+  secondaryButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 18,
+    paddingVertical: 10,
+    borderRadius: 8
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold'
+  },
+  iconButton: {
+    padding: 8
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between'
+  },
+  stepperLabel: {
+    flex: 1,
+    color: 'white',
+    fontSize: 15
+  },
+  stepperValue: {
+    width: 50,
+    textAlign: 'center',
+    color: 'white',
+    fontSize: 15
+  },
+  textRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#333',
+    color: 'white',
+    padding: 10,
+    borderRadius: 8,
+    fontSize: 15
+  },
+  swatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#555'
+  },
+  swatchSelected: {
+    borderWidth: 3,
+    borderColor: '#007AFF'
+  },
+  removeOverlay: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 8
+  },
+  removeText: {
+    color: '#FF3B30',
+    fontSize: 14
+  },
+  toolBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingTop: 10,
+    paddingBottom: 35,
+    backgroundColor: '#111',
+    borderTopWidth: 1,
+    borderTopColor: '#222'
+  },
+  tool: {
+    alignItems: 'center'
+  },
+  toolText: {
+    color: 'white',
+    fontSize: 11,
+    marginTop: 3
+  },
+  toolTextSelected: {
+    color: '#007AFF'
+  }
+})
@@ -0,0 +1,119 @@
+import { View, Text, StyleSheet, Image, TouchableOpacity } from 'react-native'
+import React from 'react'
+import { IconSymbol } from '@/components/ui/icon-symbol'
+import { useUploadQueue } from '@/hooks/use-upload-queue'
+import { isVideo } from '@/services/photos'
+import { removeUpload, retryUpload } from '@/services/upload-queue'
+
+const describeStatus = (item) => {
+  if (item.status === 'uploading') return `Uploading ${Math.round((item.sent / item.size) * 100)}%`
+  if (item.status === 'failed') return item.error || 'Upload failed'
+  if (item.nextAttemptAt > Date.now()) return `Waiting to retry${item.error ? ` (${item.error})` : ''}`
+  return 'Waiting to upload'
+}
+
+// Photos and videos still on their way to the cloud gallery, with per-item progress.
+// Renders nothing once the queue is empty.
+export default function UploadQueueList() {
+  const queue = useUploadQueue()
+
+  if (queue.length === 0) return null
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Pending Uploads ({queue.length})</Text>
+      {queue.map(item => (
+        <View key={item.id} style={styles.item}>
+          {isVideo(item) ? (
+            <View style={[styles.thumbnail, styles.videoThumbnail]}>
+              <IconSymbol size={24} name="video" color="#888" />
+            </View>
+          ) : (
+            <Image source={{ uri: item.fileUri }} style={styles.thumbnail} />
+          )}
+          <View style={styles.details}>
+            <Text style={styles.name} numberOfLines={1}>{item.name}</Text>
+            <View style={styles.progressTrack}>
+              <View style={[styles.progressFill, { width: `${(item.sent / item.size) * 100}%` }]} />
+            </View>
+            <Text style={[styles.status, item.status === 'failed' && styles.statusFailed]} numberOfLines={2}>
+              {describeStatus(item)}
+            </Text>
+          </View>
+          {item.status !== 'uploading' && (
+            <View style={styles.actions}>
+              <TouchableOpacity style={styles.iconButton} onPress={() => retryUpload(item.id)}>
+                <IconSymbol size={22} name="arrow.clockwise" color="#007AFF" />
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.iconButton} onPress={() => removeUpload(item.id)}>
+                <IconSymbol size={22} name="trash" color="#FF3B30" />
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      ))}
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333'
+  },
+  title: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6
+  },
+  thumbnail: {
+    width: 48,
+    height: 48,
+    borderRadius: 4,
+    backgroundColor: '#222'
+  },
+  videoThumbnail: {
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
+  details: {
+    flex: 1,
+    marginLeft: 10
+  },
+  name: {
+    color: 'white',
+    fontSize: 14
+  },
+  progressTrack: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#333',
+    marginVertical: 5,
+    overflow: 'hidden'
+  },
+  progressFill: {
+    height: 4,
+    backgroundColor: '#007AFF'
+  },
+  status: {
+    color: '#888',
+    fontSize: 12
+  },
+  statusFailed: {
+    color: '#FF3B30'
+  },
+  actions: {
+    flexDirection: 'row',
+    marginLeft: 6
+  },
+  iconButton: {
+    padding: 6
+  }
+})
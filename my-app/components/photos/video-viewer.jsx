@@ -0,0 +1,20 @@
+import { StyleSheet } from 'react-native'
+import React from 'react'
+import { useVideoPlayer, VideoView } from 'expo-video'
+
+// Plays a video full screen. In the Cloud Gallery `source` comes from
+// photoSource(), so the request carries the access token; the album browser
+// passes a local file URI.
+export default function VideoViewer({ source, style }) {
+  const player = useVideoPlayer(source, (videoPlayer) => {
+    videoPlayer.play()
+  })
+
+  return <VideoView player={player} style={[styles.video, style]} contentFit="contain" nativeControls />
+}
+
+const styles = StyleSheet.create({
+  video: {
+    flex: 1
+  }
+})
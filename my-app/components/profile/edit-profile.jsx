@@ -0,0 +1,302 @@
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, Alert, ActivityIndicator, Switch } from 'react-native'
+import React, { useState } from 'react'
+import { request, getErrorMessage } from '@/services/api'
+import { hasFieldErrors } from '@/services/api-errors'
+
+// Edit view for the logged-in user: name, email, password, photo privacy and
+// account deletion.
+// Every section reports its result through the callbacks so the Profile tab can
+// keep its state and the SecureStore cache in sync.
+export default function EditProfile({ user, onUserUpdated, onTokensUpdated, onAccountDeleted, onClose }) {
+  const [name, setName] = useState(user.name)
+  const [newEmail, setNewEmail] = useState('')
+  const [emailPassword, setEmailPassword] = useState('')
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [deletePassword, setDeletePassword] = useState('')
+  // Field errors keyed by section, e.g. errors.password.newPassword
+  const [errors, setErrors] = useState({})
+  const [busySection, setBusySection] = useState(null)
+
+  // Sends one section's request and routes field errors back to that section
+  const submit = async (section, path, method, body) => {
+    setErrors({ ...errors, [section]: {} })
+    setBusySection(section)
+    try {
+      // No automatic retries: replaying a password change would fail the
+      // current-password check the second time
+      return await request(path, { method, body, retries: 0 })
+    } catch (error) {
+      if (hasFieldErrors(error)) {
+        setErrors({ ...errors, [section]: error.fieldErrors })
+      } else {
+        console.error(`Profile ${section} error:`, error)
+        Alert.alert('Error', getErrorMessage(error))
+      }
+    } finally {
+      setBusySection(null)
+    }
+    return null
+  }
+
+  const handleSaveName = async () => {
+    const data = await submit('name', '/me', 'PATCH', { name })
+    if (data) {
+      await onUserUpdated(data.user)
+      Alert.alert('Success', data.message)
+    }
+  }
+
+  const handleKeepPhotoMetadata = async (keepPhotoMetadata) => {
+    const data = await submit('photos', '/me', 'PATCH', { keepPhotoMetadata })
+    if (data) {
+      await onUserUpdated(data.user)
+    }
+  }
+
+  const handleChangeEmail = async () => {
+    const data = await submit('email', '/me/email', 'POST', { email: newEmail, currentPassword: emailPassword })
+    if (data) {
+      setNewEmail('')
+      setEmailPassword('')
+      await onUserUpdated(data.user)
+      Alert.alert('Check Your Email', data.message)
+    }
+  }
+
+  const handleChangePassword = async () => {
+    if (newPassword !== confirmPassword) {
+      setErrors({ ...errors, password: { confirmPassword: 'Passwords do not match' } })
+      return
+    }
+
+    const data = await submit('password', '/me/password', 'PUT', { currentPassword, newPassword })
+    if (data) {
+      setCurrentPassword('')
+      setNewPassword('')
+      setConfirmPassword('')
+      await onTokensUpdated(data)
+      Alert.alert('Success', data.message)
+    }
+  }
+
+  const handleDeleteAccount = () => {
+    Alert.alert(
+      'Delete Account',
+      'This permanently deletes your account. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const data = await submit('delete', '/me', 'DELETE', { currentPassword: deletePassword })
+            if (data) {
+              await onAccountDeleted()
+              Alert.alert('Account Deleted', data.message)
+            }
+          },
+        },
+      ]
+    )
+  }
+
+  const renderError = (section, field) => {
+    const message = errors[section]?.[field]
+    return message ? <Text style={styles.fieldError}>{message}</Text> : null
+  }
+
+  const renderButton = (section, label, onPress, destructive = false) => (
+    <TouchableOpacity
+      style={[styles.button, destructive && styles.destructiveButton, busySection && styles.buttonDisabled]}
+      onPress={onPress}
+      disabled={!!busySection}
+    >
+      {busySection === section ? (
+        <ActivityIndicator color="white" />
+      ) : (
+        <Text style={styles.buttonText}>{label}</Text>
+      )}
+    </TouchableOpacity>
+  )
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <Text style={styles.heading}>Edit Profile</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.linkText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.sectionTitle}>Name</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="Your name"
+        placeholderTextColor="#888"
+        value={name}
+        onChangeText={setName}
+      />
+      {renderError('name', 'name')}
+      {renderButton('name', 'Save Name', handleSaveName)}
+
+      <Text style={styles.sectionTitle}>Email</Text>
+      <Text style={styles.sectionNote}>Current: {user.email}</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="New email"
+        placeholderTextColor="#888"
+        value={newEmail}
+        onChangeText={setNewEmail}
+        keyboardType="email-address"
+        autoCapitalize="none"
+      />
+      {renderError('email', 'email')}
+      <TextInput
+        style={styles.input}
+        placeholder="Current password"
+        placeholderTextColor="#888"
+        value={emailPassword}
+        onChangeText={setEmailPassword}
+        secureTextEntry
+      />
+      {renderError('email', 'currentPassword')}
+      {renderButton('email', 'Change Email', handleChangeEmail)}
+
+      <Text style={styles.sectionTitle}>Photo Privacy</Text>
+      <View style={styles.switchRow}>
+        <Text style={styles.switchLabel}>Keep location and camera details in uploaded photos</Text>
+        <Switch
+          value={!!user.keepPhotoMetadata}
+          onValueChange={handleKeepPhotoMetadata}
+          disabled={!!busySection}
+        />
+      </View>
+      <Text style={styles.sectionNote}>
+        When off, EXIF data such as GPS position is removed from photos as they are uploaded.
+      </Text>
+
+      <Text style={styles.sectionTitle}>Password</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="Current password"
+        placeholderTextColor="#888"
+        value={currentPassword}
+        onChangeText={setCurrentPassword}
+        secureTextEntry
+      />
+      {renderError('password', 'currentPassword')}
+      <TextInput
+        style={styles.input}
+        placeholder="New password"
+        placeholderTextColor="#888"
+        value={newPassword}
+        onChangeText={setNewPassword}
+        secureTextEntry
+      />
+      {renderError('password', 'newPassword')}
+      <TextInput
+        style={styles.input}
+        placeholder="Confirm new password"
+        placeholderTextColor="#888"
+        value={confirmPassword}
+        onChangeText={setConfirmPassword}
+        secureTextEntry
+      />
+      {renderError('password', 'confirmPassword')}
+      {renderButton('password', 'Change Password', handleChangePassword)}
+
+      <Text style={[styles.sectionTitle, styles.dangerTitle]}>Delete Account</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="Current password"
+        placeholderTextColor="#888"
+        value={deletePassword}
+        onChangeText={setDeletePassword}
+        secureTextEntry
+      />
+      {renderError('delete', 'currentPassword')}
+      {renderButton('delete', 'Delete Account', handleDeleteAccount, true)}
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 20
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10
+  },
+  heading: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: 'white'
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: 'white',
+    marginTop: 25,
+    marginBottom: 5
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8
+  },
+  switchLabel: {
+    flex: 1,
+    color: 'white',
+    fontSize: 14,
+    marginRight: 10
+  },
+  sectionNote: {
+    color: '#888',
+    fontSize: 14,
+    marginBottom: 5
+  },
+  dangerTitle: {
+    color: '#FF3B30'
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: 'white',
+    padding: 12,
+    marginVertical: 6,
+    borderRadius: 8,
+    color: 'white',
+    fontSize: 16
+  },
+  fieldError: {
+    color: '#FF3B30',
+    fontSize: 13
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 10
+  },
+  destructiveButton: {
+    backgroundColor: '#FF3B30'
+  },
+  buttonDisabled: {
+    opacity: 0.6
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold'
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 16
+  }
+});
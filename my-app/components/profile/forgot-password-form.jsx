@@ -0,0 +1,72 @@
+import { View, Text, TextInput, TouchableOpacity, Alert } from 'react-native'
+import React, { useState } from 'react'
+import { api, getErrorMessage } from '@/services/api'
+import { ValidationError } from '@/services/api-errors'
+import { formStyles as styles } from '@/components/profile/form-styles'
+
+// First step of password recovery: asks the backend to email a reset code.
+export default function ForgotPasswordForm({ onCodeSent, onBack }) {
+  const [email, setEmail] = useState('')
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  const handleSubmit = async () => {
+    if (!email) {
+      setError('Email is required')
+      return
+    }
+
+    setError(null)
+    setLoading(true)
+    try {
+      const data = await api.post('/forgot-password', { email }, { auth: false })
+      Alert.alert('Check Your Email', data.message)
+      onCodeSent()
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        setError(error.fieldErrors.email || error.message)
+      } else {
+        console.error('Forgot password error:', error)
+        Alert.alert('Error', getErrorMessage(error))
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <View style={styles.formContainer}>
+      <Text style={styles.heading}>Forgot Password</Text>
+      <Text style={styles.description}>
+        Enter the email you registered with and we will send you a reset code.
+      </Text>
+
+      <TextInput
+        style={styles.input}
+        placeholder="Enter your email"
+        placeholderTextColor="white"
+        value={email}
+        onChangeText={setEmail}
+        keyboardType="email-address"
+        autoCapitalize="none"
+      />
+      {error && <Text style={styles.fieldError}>{error}</Text>}
+
+      <TouchableOpacity
+        style={[styles.button, loading && styles.buttonDisabled]}
+        onPress={handleSubmit}
+        disabled={loading}
+      >
+        <Text style={styles.buttonText}>{loading ? 'Sending...' : 'Send Reset Code'}</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.linkButton} onPress={() => onCodeSent()}>
+        <Text style={styles.linkText}>Already have a code?</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.linkButton} onPress={onBack}>
+        <Text style={styles.linkText}>Back to Login</Text>
+      </TouchableOpacity>
+    </View>
+  )
+}
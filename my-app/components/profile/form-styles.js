@@ -0,0 +1,63 @@
+import { StyleSheet } from 'react-native'
+
+// Shared look for the auth forms on the Profile tab
+export const formStyles = StyleSheet.create({
+  formContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20
+  },
+  heading: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 10
+  },
+  description: {
+    color: '#ccc',
+    fontSize: 14,
+    textAlign: 'center',
+    width: '80%',
+    marginBottom: 20
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: 'white',
+    padding: 15,
+    margin: 10,
+    borderRadius: 8,
+    color: 'white',
+    width: '80%',
+    fontSize: 16
+  },
+  fieldError: {
+    color: '#FF3B30',
+    fontSize: 13,
+    width: '80%',
+    marginTop: -5
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    borderRadius: 8,
+    width: '80%',
+    alignItems: 'center',
+    marginTop: 20
+  },
+  buttonDisabled: {
+    backgroundColor: '#666'
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold'
+  },
+  linkButton: {
+    marginTop: 20
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 14
+  }
+});
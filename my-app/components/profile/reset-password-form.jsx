@@ -0,0 +1,94 @@
+import { View, Text, TextInput, TouchableOpacity, Alert } from 'react-native'
+import React, { useState } from 'react'
+import { api, getErrorMessage } from '@/services/api'
+import { hasFieldErrors } from '@/services/api-errors'
+import { formStyles as styles } from '@/components/profile/form-styles'
+
+// Second step of password recovery: the emailed code plus a new password
+export default function ResetPasswordForm({ onReset, onBack }) {
+  const [token, setToken] = useState('')
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [loading, setLoading] = useState(false)
+
+  const handleSubmit = async () => {
+    if (!token || !password) {
+      Alert.alert('Error', 'Please fill in all fields')
+      return
+    }
+    if (password !== confirmPassword) {
+      setFieldErrors({ confirmPassword: 'Passwords do not match' })
+      return
+    }
+
+    setFieldErrors({})
+    setLoading(true)
+    try {
+      const data = await api.post('/reset-password', { token: token.trim(), password }, { auth: false })
+      Alert.alert('Success', data.message)
+      onReset()
+    } catch (error) {
+      if (hasFieldErrors(error)) {
+        setFieldErrors(error.fieldErrors)
+      } else {
+        console.error('Reset password error:', error)
+        Alert.alert('Error', getErrorMessage(error))
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <View style={styles.formContainer}>
+      <Text style={styles.heading}>Reset Password</Text>
+      <Text style={styles.description}>
+        Enter the code from your email and choose a new password.
+      </Text>
+
+      <TextInput
+        style={styles.input}
+        placeholder="Reset code"
+        placeholderTextColor="white"
+        value={token}
+        onChangeText={setToken}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+      {fieldErrors.token && <Text style={styles.fieldError}>{fieldErrors.token}</Text>}
+
+      <TextInput
+        style={styles.input}
+        placeholder="New password"
+        placeholderTextColor="white"
+        value={password}
+        onChangeText={setPassword}
+        secureTextEntry
+      />
+      {fieldErrors.password && <Text style={styles.fieldError}>{fieldErrors.password}</Text>}
+
+      <TextInput
+        style={styles.input}
+        placeholder="Confirm new password"
+        placeholderTextColor="white"
+        value={confirmPassword}
+        onChangeText={setConfirmPassword}
+        secureTextEntry
+      />
+      {fieldErrors.confirmPassword && <Text style={styles.fieldError}>{fieldErrors.confirmPassword}</Text>}
+
+      <TouchableOpacity
+        style={[styles.button, loading && styles.buttonDisabled]}
+        onPress={handleSubmit}
+        disabled={loading}
+      >
+        <Text style={styles.buttonText}>{loading ? 'Resetting...' : 'Reset Password'}</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.linkButton} onPress={onBack}>
+        <Text style={styles.linkText}>Back to Login</Text>
+      </TouchableOpacity>
+    </View>
+  )
+}
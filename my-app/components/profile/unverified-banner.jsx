@@ -0,0 +1,127 @@
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, Alert } from 'react-native'
+import React, { useState } from 'react'
+import { IconSymbol } from '@/components/ui/icon-symbol'
+import { api, getErrorMessage } from '@/services/api'
+
+// Shown on the Profile tab until the user confirms their email address, or a
+// new address after an email change (pendingEmail). Calls onVerified after a
+// code from the email is accepted.
+export default function UnverifiedBanner({ pendingEmail, onVerified }) {
+  const [code, setCode] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const handleResend = async () => {
+    setBusy(true)
+    try {
+      const data = await api.post('/resend-verification')
+      Alert.alert('Email Sent', data.message)
+    } catch (error) {
+      console.error('Resend verification error:', error)
+      Alert.alert('Error', getErrorMessage(error))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleVerify = async () => {
+    if (!code.trim()) return
+
+    setBusy(true)
+    try {
+      const data = await api.post('/verify-email', { token: code.trim() }, { auth: false })
+      setCode('')
+      Alert.alert('Success', data.message)
+      await onVerified()
+    } catch (error) {
+      console.error('Verify email error:', error)
+      Alert.alert('Error', getErrorMessage(error))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <View style={styles.banner}>
+      <View style={styles.header}>
+        <IconSymbol size={20} name="exclamationmark.triangle" color="#FF9500" />
+        <Text style={styles.title}>
+          {pendingEmail ? 'Confirm your new email' : 'Your email is unverified'}
+        </Text>
+      </View>
+      <Text style={styles.message}>
+        {pendingEmail
+          ? `Open the link we sent to ${pendingEmail}, or paste the code from the email below.`
+          : 'Open the link we emailed you, or paste the code from the email below.'}
+      </Text>
+
+      <TextInput
+        style={styles.input}
+        placeholder="Verification code"
+        placeholderTextColor="#888"
+        value={code}
+        onChangeText={setCode}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.action} onPress={handleVerify} disabled={busy}>
+          <Text style={styles.actionText}>Verify</Text>
+        </TouchableOpacity>
+        {!pendingEmail && (
+          <TouchableOpacity style={styles.action} onPress={handleResend} disabled={busy}>
+            <Text style={styles.actionText}>Resend email</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    backgroundColor: '#3a2a00',
+    borderColor: '#FF9500',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 15,
+    margin: 20
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8
+  },
+  title: {
+    color: '#FF9500',
+    fontSize: 16,
+    fontWeight: 'bold'
+  },
+  message: {
+    color: '#ccc',
+    fontSize: 14,
+    marginTop: 8
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#666',
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 10,
+    color: 'white'
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 20,
+    marginTop: 10
+  },
+  action: {
+    paddingVertical: 5
+  },
+  actionText: {
+    color: '#007AFF',
+    fontSize: 14,
+    fontWeight: 'bold'
+  }
+});
@@ -23,13 +23,60 @@ const MAPPING = {
   'photo': 'photo-library',
   'xmark': 'close',
   'square.and.arrow.down': 'download',
+  'icloud': 'cloud',
+  'icloud.and.arrow.up': 'cloud-upload',
+  'trash': 'delete',
+  'arrow.clockwise': 'refresh',
+  'pencil': 'edit',
+  'crop': 'crop',
+  'rotate.right': 'rotate-right',
+  'slider.horizontal.3': 'tune',
+  'camera.filters': 'filter',
+  'textformat': 'text-fields',
+  'seal': 'approval',
+  'arrow.uturn.backward': 'undo',
+  'arrow.uturn.forward': 'redo',
+  'minus': 'remove',
+  'plus': 'add',
+  'bolt.slash': 'flash-off',
+  'bolt': 'flash-on',
+  'bolt.badge.a': 'flash-auto',
+  'flashlight.on.fill': 'highlight',
+  'grid': 'grid-on',
+  'timer': 'timer',
+  'square.stack.3d.up': 'burst-mode',
+  'checkmark.circle.fill': 'check-circle',
+  'circle': 'radio-button-unchecked',
   'location': 'location-on',
   'location.fill': 'location-on',
+  'location.slash': 'location-off',
   'exclamationmark.triangle': 'warning',
   'play': 'play-arrow',
   'pause': 'pause',
   'chevron.left.forwardslash.chevron.right': 'code',
   'chevron.right': 'chevron-right',
+  'video': 'videocam',
+  'hourglass': 'hourglass-empty',
+  'mic.slash': 'mic-off',
+  'stop.fill': 'stop',
+  'play.circle.fill': 'play-circle-filled',
+  'qrcode.viewfinder': 'qr-code-scanner',
+  'qrcode': 'qr-code',
+  'barcode': 'view-week',
+  'clock.arrow.circlepath': 'history',
+  'safari': 'open-in-browser',
+  'doc.on.doc': 'content-copy',
+  'key': 'vpn-key',
+  'wifi': 'wifi',
+  'phone': 'phone',
+  'envelope': 'email',
+  'checkmark': 'check',
+  'photo.on.rectangle': 'photo-album',
+  'square.and.arrow.up': 'share',
+  'arrow.up.arrow.down': 'sort',
+  'point.topleft.down.to.point.bottomright.curvepath': 'route',
+  'icloud.and.arrow.down': 'cloud-download',
+  'map': 'map',
 } as IconMapping;
 
 /**
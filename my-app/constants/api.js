@@ -0,0 +1,20 @@
+import Constants from 'expo-constants'
+
+// Set from app.config.js at build/start time
+const { apiUrl, appEnv = 'development' } = Constants.expoConfig?.extra ?? {}
+
+export const APP_ENV = appEnv
+
+// In development the backend usually runs on the same machine as Metro, so
+// reuse the dev server's host when no API_URL was configured
+const resolveApiBaseUrl = () => {
+  if (apiUrl) return apiUrl.replace(/\/+$/, '')
+
+  const devHost = Constants.expoConfig?.hostUri?.split(':')[0]
+  if (APP_ENV === 'development' && devHost) return `http://${devHost}:5000/api`
+
+  throw new Error(`API_URL is not configured for the "${APP_ENV}" environment. Set it in my-app/.env.${APP_ENV}.local (see .env.example).`)
+}
+
+// Base URL of the Express backend (see backend/server.js)
+export const API_BASE_URL = resolveApiBaseUrl()
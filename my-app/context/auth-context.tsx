@@ -0,0 +1,136 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState, type ReactNode } from 'react';
+
+import { api, onSessionExpired } from '@/services/api';
+import { AuthError } from '@/services/api-errors';
+import * as auth from '@/services/auth';
+import { clearSession, loadSession, saveSession } from '@/services/session';
+
+export type User = {
+  id: string;
+  name: string;
+  email: string;
+  role: 'user' | 'admin';
+  verified: boolean;
+  pendingEmail: string | null;
+  disabled: boolean;
+  keepPhotoMetadata: boolean;
+  createdAt: string;
+};
+
+export type AuthStatus = 'loading' | 'signedIn' | 'signedOut';
+
+type Tokens = { accessToken: string; refreshToken: string };
+
+type AuthContextValue = {
+  user: User | null;
+  status: AuthStatus;
+  signIn: (email: string, password: string) => Promise<{ message: string; user: User }>;
+  signOut: () => Promise<void>;
+  /** Re-fetches /api/me; keeps the cached user when offline. */
+  refreshProfile: () => Promise<void>;
+  /** Replaces the user after a profile edit and updates the SecureStore cache. */
+  updateUser: (user: User) => Promise<void>;
+  /** Stores a new token pair, e.g. after a password change. */
+  updateTokens: (tokens: Tokens) => Promise<void>;
+  /** Forgets the session locally without calling the server (e.g. after account deletion). */
+  clear: () => Promise<void>;
+};
+
+const AuthContext = createContext<AuthContextValue | null>(null);
+
+/**
+ * Holds the logged-in user for the whole app. The session is restored from
+ * SecureStore on startup; `status` stays 'loading' until that finishes.
+ */
+export function AuthProvider({ children }: { children: ReactNode }) {
+  const [user, setUser] = useState<User | null>(null);
+  const [status, setStatus] = useState<AuthStatus>('loading');
+
+  const clear = useCallback(async () => {
+    await clearSession();
+    setUser(null);
+    setStatus('signedOut');
+  }, []);
+
+  const refreshProfile = useCallback(async () => {
+    try {
+      const { user: latest } = await api.get('/me');
+      setUser(latest);
+      await saveSession({ user: latest });
+    } catch (error) {
+      if (error instanceof AuthError) {
+        await clear();
+      } else {
+        console.log('Could not refresh profile, using cached user:', error);
+      }
+    }
+  }, [clear]);
+
+  useEffect(() => {
+    const restore = async () => {
+      try {
+        const session = await loadSession();
+        // A cached user without a refresh token can't make authenticated calls
+        if (session.user && session.refreshToken) {
+          setUser(session.user);
+          setStatus('signedIn');
+          refreshProfile();
+        } else {
+          setStatus('signedOut');
+        }
+      } catch (error) {
+        console.error('Error loading user data:', error);
+        setStatus('signedOut');
+      }
+    };
+
+    restore();
+  }, [refreshProfile]);
+
+  // The API client reports a rejected refresh token; treat it as a logout
+  useEffect(() => onSessionExpired(() => {
+    setUser(null);
+    setStatus('signedOut');
+  }), []);
+
+  const signIn = useCallback(async (email: string, password: string) => {
+    const data = await auth.login(email, password);
+    setUser(data.user);
+    setStatus('signedIn');
+    return data;
+  }, []);
+
+  const signOut = useCallback(async () => {
+    try {
+      await auth.logout();
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    setUser(null);
+    setStatus('signedOut');
+  }, []);
+
+  const updateUser = useCallback(async (updated: User) => {
+    setUser(updated);
+    await saveSession({ user: updated });
+  }, []);
+
+  const updateTokens = useCallback(async (tokens: Tokens) => {
+    await saveSession(tokens);
+  }, []);
+
+  const value = useMemo(
+    () => ({ user, status, signIn, signOut, refreshProfile, updateUser, updateTokens, clear }),
+    [user, status, signIn, signOut, refreshProfile, updateUser, updateTokens, clear]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside <AuthProvider>');
+  }
+  return context;
+}
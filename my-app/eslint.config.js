@@ -1,10 +1,18 @@
 // https://docs.expo.dev/guides/using-eslint/
 const { defineConfig } = require('eslint/config');
 const expoConfig = require('eslint-config-expo/flat');
+const globals = require('globals');
 
 module.exports = defineConfig([
   expoConfig,
   {
     ignores: ['dist/*'],
   },
+  // The Jest suite and its setup file use Jest's globals
+  {
+    files: ['__tests__/**', 'jest.setup.js'],
+    languageOptions: {
+      globals: globals.jest,
+    },
+  },
 ]);
@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { useAuth } from '@/context/auth-context';
+import { DEFAULT_CAMERA_SETTINGS, loadCameraSettings, saveCameraSettings } from '@/services/camera-settings';
+
+export type CameraSettings = typeof DEFAULT_CAMERA_SETTINGS;
+
+/**
+ * The signed-in user's camera preferences. Reloads when the user changes and
+ * saves every update in the background.
+ */
+export function useCameraSettings() {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [settings, setSettings] = useState<CameraSettings>(DEFAULT_CAMERA_SETTINGS);
+
+  useEffect(() => {
+    let active = true;
+    loadCameraSettings(userId).then((loaded) => {
+      if (active) setSettings(loaded);
+    });
+    return () => {
+      active = false;
+    };
+  }, [userId]);
+
+  const updateSettings = useCallback(
+    (changes: Partial<CameraSettings>) => {
+      setSettings((current) => {
+        const next = { ...current, ...changes };
+        saveCameraSettings(userId, next).catch((error) => console.log('Failed to save camera settings:', error));
+        return next;
+      });
+    },
+    [userId]
+  );
+
+  return { settings, updateSettings };
+}
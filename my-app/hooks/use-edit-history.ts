@@ -0,0 +1,36 @@
+import { useCallback, useState } from 'react';
+
+const MAX_ENTRIES = 50;
+
+/**
+ * Undo/redo history of immutable snapshots. `commit` records a new state and
+ * drops anything that had been undone; the oldest entries are dropped once
+ * there are more than 50.
+ */
+export function useEditHistory<T>(initial: T) {
+  const [history, setHistory] = useState({ entries: [initial], index: 0 });
+
+  const commit = useCallback((next: T) => {
+    setHistory(({ entries, index }) => {
+      const kept = [...entries.slice(0, index + 1), next].slice(-MAX_ENTRIES);
+      return { entries: kept, index: kept.length - 1 };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((current) => ({ ...current, index: Math.max(current.index - 1, 0) }));
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((current) => ({ ...current, index: Math.min(current.index + 1, current.entries.length - 1) }));
+  }, []);
+
+  return {
+    state: history.entries[history.index],
+    commit,
+    undo,
+    redo,
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length - 1,
+  };
+}
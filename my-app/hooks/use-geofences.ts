@@ -0,0 +1,34 @@
+import { useEffect, useSyncExternalStore } from 'react';
+
+import { getGeofences, loadGeofences, subscribeToGeofences } from '@/services/geofences';
+
+export type GeofenceAlert = 'both' | 'enter' | 'exit' | 'none';
+
+export type Geofence = {
+  id: string;
+  name: string;
+  latitude: number;
+  longitude: number;
+  /** Meters */
+  radius: number;
+  /** Which crossings show a notification; every crossing is logged */
+  alert: GeofenceAlert;
+  createdAt: string;
+};
+
+export type Geofences = {
+  geofences: Geofence[];
+  /** False while the OS isn't watching the geofences, e.g. without background location */
+  isMonitoring: boolean;
+};
+
+/** Geofences created on the Location tab, oldest first. */
+export function useGeofences(): Geofences {
+  const geofences: Geofences = useSyncExternalStore(subscribeToGeofences, getGeofences);
+
+  useEffect(() => {
+    loadGeofences();
+  }, []);
+
+  return geofences;
+}
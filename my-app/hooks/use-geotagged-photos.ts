@@ -0,0 +1,28 @@
+import { useEffect, useMemo, useSyncExternalStore } from 'react';
+
+import { useAuth } from '@/context/auth-context';
+import type { PhotoLocation } from '@/hooks/use-geotagging';
+import { getGeotaggedPhotos, loadGeotags, subscribeToGeotags } from '@/services/geotags';
+
+export type GeotaggedPhoto = {
+  id: string;
+  ownerId: string | null;
+  sourceUri: string;
+  uri: string;
+  thumbnailUri: string;
+  location: PhotoLocation;
+  takenAt: string;
+};
+
+/** Geotagged photos taken by the signed-in user (or while signed out), for the map. */
+export function useGeotaggedPhotos(): GeotaggedPhoto[] {
+  const { user } = useAuth();
+  const ownerId = user?.id ?? null;
+  const items: GeotaggedPhoto[] = useSyncExternalStore(subscribeToGeotags, getGeotaggedPhotos);
+
+  useEffect(() => {
+    loadGeotags();
+  }, []);
+
+  return useMemo(() => items.filter((item) => item.ownerId === ownerId), [items, ownerId]);
+}
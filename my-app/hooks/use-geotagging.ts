@@ -0,0 +1,88 @@
+import * as Location from 'expo-location';
+import { useCallback, useEffect, useRef } from 'react';
+
+export type PhotoLocation = {
+  latitude: number;
+  longitude: number;
+  /** Horizontal accuracy radius in meters */
+  accuracy: number | null;
+  altitude: number | null;
+  /** Compass direction the phone was pointing, in degrees from true north */
+  heading: number | null;
+  recordedAt: string;
+};
+
+// A fix older than this is not trusted for a new photo
+const MAX_FIX_AGE_MS = 30 * 1000;
+
+/**
+ * Keeps a fresh GPS fix and compass heading while `enabled` (the location
+ * permission must already be granted), so photos can be tagged the moment
+ * they're taken. `getFix()` resolves to the latest fix, or waits for a new one
+ * if the last is stale, or null if there's no position at all.
+ */
+export function useGeotagging(enabled: boolean) {
+  const fixRef = useRef<Location.LocationObject | null>(null);
+  const headingRef = useRef<number | null>(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let active = true;
+    const subscriptions: Location.LocationSubscription[] = [];
+    const keep = (subscription: Location.LocationSubscription) => {
+      if (active) {
+        subscriptions.push(subscription);
+      } else {
+        subscription.remove();
+      }
+    };
+
+    Location.watchPositionAsync(
+      { accuracy: Location.Accuracy.High, timeInterval: 2000, distanceInterval: 2 },
+      (fix) => {
+        fixRef.current = fix;
+      }
+    )
+      .then(keep)
+      .catch((error) => console.log('Geotagging position watch failed:', error));
+
+    Location.watchHeadingAsync((heading) => {
+      // trueHeading is -1 until the compass is calibrated with a position
+      headingRef.current = heading.trueHeading >= 0 ? heading.trueHeading : heading.magHeading;
+    })
+      .then(keep)
+      .catch((error) => console.log('Geotagging heading watch failed:', error));
+
+    return () => {
+      active = false;
+      subscriptions.forEach((subscription) => subscription.remove());
+      fixRef.current = null;
+      headingRef.current = null;
+    };
+  }, [enabled]);
+
+  const getFix = useCallback(async (): Promise<PhotoLocation | null> => {
+    let fix = fixRef.current;
+    if (!fix || Date.now() - fix.timestamp > MAX_FIX_AGE_MS) {
+      try {
+        fix = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+      } catch (error) {
+        console.log('Geotagging fix failed:', error);
+        fix = await Location.getLastKnownPositionAsync({ maxAge: MAX_FIX_AGE_MS }).catch(() => null);
+      }
+    }
+    if (!fix) return null;
+
+    return {
+      latitude: fix.coords.latitude,
+      longitude: fix.coords.longitude,
+      accuracy: fix.coords.accuracy,
+      altitude: fix.coords.altitude,
+      heading: headingRef.current ?? (fix.coords.heading != null && fix.coords.heading >= 0 ? fix.coords.heading : null),
+      recordedAt: new Date(fix.timestamp).toISOString(),
+    };
+  }, []);
+
+  return { getFix };
+}
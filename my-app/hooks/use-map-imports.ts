@@ -0,0 +1,40 @@
+import { useEffect, useSyncExternalStore } from 'react';
+
+import { getMapImports, loadMapImports, subscribeToMapImports } from '@/services/map-imports';
+
+/** A position read from an imported file; anything the file didn't carry is null */
+export type GeoPoint = {
+  latitude: number;
+  longitude: number;
+  altitude: number | null;
+  recordedAt: string | null;
+};
+
+export type GeoPlace = {
+  name: string | null;
+  description: string | null;
+  latitude: number;
+  longitude: number;
+  altitude: number | null;
+  time: string | null;
+};
+
+export type MapImport = {
+  id: string;
+  /** The file name without its extension */
+  name: string;
+  tracks: { name: string | null; points: GeoPoint[] }[];
+  places: GeoPlace[];
+  importedAt: string;
+};
+
+/** GPX, GeoJSON and KML files imported on the Location tab, oldest first. */
+export function useMapImports(): MapImport[] {
+  const layers: MapImport[] = useSyncExternalStore(subscribeToMapImports, getMapImports);
+
+  useEffect(() => {
+    loadMapImports();
+  }, []);
+
+  return layers;
+}
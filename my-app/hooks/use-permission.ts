@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AppState } from 'react-native';
+
+import { getPermission, requestPermission, subscribeToPermissions } from '@/services/permissions';
+
+export type PermissionKind =
+  | 'camera'
+  | 'microphone'
+  | 'mediaLibrary'
+  | 'location'
+  | 'backgroundLocation'
+  | 'notifications';
+
+export type Permission = {
+  status: 'granted' | 'denied' | 'undetermined';
+  granted: boolean;
+  /** False once the user has to change it in the device settings */
+  canAskAgain: boolean;
+};
+
+/**
+ * A permission from services/permissions.js and a function that asks for it,
+ * like Expo's `use*Permissions` hooks. The permission is null until it has
+ * been checked, and is checked again when the app returns to the foreground in
+ * case it was changed in the device settings.
+ */
+export function usePermission(kind: PermissionKind): [Permission | null, () => Promise<Permission>] {
+  const [permission, setPermission] = useState<Permission | null>(null);
+
+  useEffect(() => {
+    let active = true;
+    const refresh = () => {
+      getPermission(kind)
+        .then((current: Permission) => {
+          if (active) setPermission(current);
+        })
+        .catch((error: unknown) => console.log(`Checking the ${kind} permission failed:`, error));
+    };
+
+    refresh();
+    const unsubscribe = subscribeToPermissions((changedKind: PermissionKind, changed: Permission | null) => {
+      if (changedKind !== kind) return;
+      if (changed) {
+        setPermission(changed);
+      } else {
+        refresh();
+      }
+    });
+    const appState = AppState.addEventListener('change', (state) => {
+      if (state === 'active') refresh();
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+      appState.remove();
+    };
+  }, [kind]);
+
+  const request = useCallback(() => requestPermission(kind), [kind]);
+
+  return [permission, request];
+}
@@ -0,0 +1,37 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/** Formats a wait in seconds as "45s" or "2:05". */
+export function formatCountdown(seconds: number) {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Counts down the time a rate-limited action must wait before it can be retried.
+ * `secondsLeft` is 0 once the action is allowed again.
+ */
+export function useRetryCountdown() {
+  const [retryAt, setRetryAt] = useState<number | null>(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    if (retryAt === null) return;
+
+    const tick = () => {
+      const remaining = Math.max(Math.ceil((retryAt - Date.now()) / 1000), 0);
+      setSecondsLeft(remaining);
+      if (remaining === 0) setRetryAt(null);
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [retryAt]);
+
+  const startCountdown = useCallback((seconds: number) => {
+    setRetryAt(Date.now() + seconds * 1000);
+  }, []);
+
+  return { secondsLeft, startCountdown };
+}
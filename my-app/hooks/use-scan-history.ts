@@ -0,0 +1,24 @@
+import { useSyncExternalStore } from 'react';
+
+import { getScanHistory, subscribeToScanHistory } from '@/services/scan-history';
+
+export type ScanEntry = {
+  id: string;
+  /** Barcode type reported by the camera, e.g. 'qr' or 'ean13' */
+  type: string;
+  data: string;
+  scannedAt: string;
+  synced: boolean;
+};
+
+export type ScanHistory = {
+  entries: ScanEntry[];
+  syncEnabled: boolean;
+  isSyncing: boolean;
+  syncError: string | null;
+};
+
+/** The current account's barcode scan history and its sync status. */
+export function useScanHistory(): ScanHistory {
+  return useSyncExternalStore(subscribeToScanHistory, getScanHistory);
+}
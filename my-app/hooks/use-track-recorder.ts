@@ -0,0 +1,16 @@
+import type { LocationObject } from 'expo-location';
+import { useSyncExternalStore } from 'react';
+
+import type { TrackPoint } from '@/hooks/use-tracks';
+import { getTrackRecorder, subscribeToTrackRecorder } from '@/services/track-recorder';
+
+export type TrackRecorder = {
+  isRecording: boolean;
+  track: { id: string; startedAt: string; points: TrackPoint[] } | null;
+  lastFix: LocationObject | null;
+};
+
+/** The track being recorded on the Location tab, updated with every fix. */
+export function useTrackRecorder(): TrackRecorder {
+  return useSyncExternalStore(subscribeToTrackRecorder, getTrackRecorder);
+}
@@ -0,0 +1,56 @@
+import { useSyncExternalStore } from 'react';
+
+import { getTracks, subscribeToTracks } from '@/services/track-library';
+
+export type TrackPoint = {
+  latitude: number;
+  longitude: number;
+  altitude: number | null;
+  /** Horizontal accuracy radius in meters */
+  accuracy: number | null;
+  /** Meters per second */
+  speed: number | null;
+  heading: number | null;
+  recordedAt: string;
+};
+
+/** Distances in meters, times in milliseconds, speeds in meters per second */
+export type TrackStats = {
+  distance: number;
+  elapsedTime: number;
+  /** Time spent moving, leaving out stops */
+  movingTime: number;
+  /** Over the moving time; null until the track has moved */
+  averageSpeed: number | null;
+  maxSpeed: number | null;
+  /** Null when no fix reported an altitude */
+  elevationGain: number | null;
+  elevationLoss: number | null;
+};
+
+export type TrackEntry = {
+  id: string;
+  name: string | null;
+  startedAt: string;
+  endedAt: string;
+  pointCount: number;
+  /** Null for a track from another device uploaded without them */
+  stats: TrackStats | null;
+  /** Uploaded to the signed-in user's account */
+  synced: boolean;
+  /** False for a track from another device whose points haven't been downloaded */
+  onDevice: boolean;
+  /** Why the server refused the track; it stays on this device only */
+  uploadError?: string | null;
+};
+
+export type Tracks = {
+  tracks: TrackEntry[];
+  isSyncing: boolean;
+  syncError: string | null;
+};
+
+/** The current account's recorded GPS tracks and their sync status. */
+export function useTracks(): Tracks {
+  return useSyncExternalStore(subscribeToTracks, getTracks);
+}
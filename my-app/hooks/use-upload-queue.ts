@@ -0,0 +1,31 @@
+import { useMemo, useSyncExternalStore } from 'react';
+
+import { useAuth } from '@/context/auth-context';
+import type { PhotoLocation } from '@/hooks/use-geotagging';
+import { getUploadQueue, subscribeToUploadQueue } from '@/services/upload-queue';
+
+export type QueuedUpload = {
+  id: string;
+  ownerId: string;
+  fileUri: string;
+  name: string;
+  mimeType: string;
+  size: number;
+  /** Clip length in seconds, for videos */
+  duration?: number | null;
+  location?: PhotoLocation | null;
+  sent: number;
+  status: 'queued' | 'uploading' | 'failed';
+  attempts: number;
+  nextAttemptAt: number;
+  error: string | null;
+  createdAt: string;
+};
+
+/** The signed-in user's photos and videos that are still waiting to be uploaded. */
+export function useUploadQueue(): QueuedUpload[] {
+  const { user } = useAuth();
+  const items: QueuedUpload[] = useSyncExternalStore(subscribeToUploadQueue, getUploadQueue);
+
+  return useMemo(() => items.filter((item) => item.ownerId === user?.id), [items, user?.id]);
+}
@@ -0,0 +1,21 @@
+// Loaded before every test file (see "jest" in package.json)
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// There is no dev server to take the backend's host from
+jest.mock('@/constants/api', () => ({
+  APP_ENV: 'test',
+  API_BASE_URL: 'http://localhost:5000/api',
+}));
+
+// jest-expo runs as Expo Go, where importing expo-notifications warns that push
+// notifications aren't available
+jest.mock('expo-notifications', () => ({
+  AndroidImportance: { HIGH: 4 },
+  getPermissionsAsync: jest.fn(async () => ({ status: 'undetermined', granted: false, canAskAgain: true })),
+  requestPermissionsAsync: jest.fn(async () => ({ status: 'denied', granted: false, canAskAgain: true })),
+  setNotificationHandler: jest.fn(),
+  setNotificationChannelAsync: jest.fn(),
+  scheduleNotificationAsync: jest.fn(),
+}));
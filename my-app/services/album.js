@@ -0,0 +1,61 @@
+import * as MediaLibrary from 'expo-media-library'
+import * as Sharing from 'expo-sharing'
+
+// The device album the Camera tab saves into, and the helpers the in-app
+// album browser (app/album.jsx) uses to page through and manage it.
+
+export const ALBUM_NAME = 'MyAppCamera'
+
+// Adds the files to the album, creating it on first use
+export const saveToAlbum = async (uris) => {
+  const assets = []
+  for (const uri of uris) {
+    assets.push(await MediaLibrary.createAssetAsync(uri))
+  }
+  const album = await MediaLibrary.getAlbumAsync(ALBUM_NAME)
+  if (album) {
+    await MediaLibrary.addAssetsToAlbumAsync(assets, album, false)
+  } else {
+    const created = await MediaLibrary.createAlbumAsync(ALBUM_NAME, assets[0], false)
+    if (assets.length > 1) await MediaLibrary.addAssetsToAlbumAsync(assets.slice(1), created, false)
+  }
+}
+
+// One page of the album's photos and videos, sorted by creation time.
+// Pass the previous page's endCursor as `after` to continue. Returns an
+// empty page if nothing has been saved yet.
+export const loadAlbumPage = async ({ after, pageSize, newestFirst = true }) => {
+  const album = await MediaLibrary.getAlbumAsync(ALBUM_NAME)
+  if (!album) return { assets: [], endCursor: null, hasNextPage: false, totalCount: 0 }
+
+  return MediaLibrary.getAssetsAsync({
+    album,
+    after: after ?? undefined,
+    first: pageSize,
+    mediaType: [MediaLibrary.MediaType.photo, MediaLibrary.MediaType.video],
+    sortBy: [[MediaLibrary.SortBy.creationTime, !newestFirst]],
+  })
+}
+
+// Removes the assets from the device entirely (iOS asks for confirmation
+// itself). Resolves to false if the user declined.
+export const deleteAlbumAssets = (assets) => MediaLibrary.deleteAssetsAsync(assets.map((asset) => asset.id))
+
+// A file:// URI for the asset; iOS library URIs (ph://) can't be read directly
+export const assetFileUri = async (asset) => {
+  if (asset.uri.startsWith('file://')) return asset.uri
+  const info = await MediaLibrary.getAssetInfoAsync(asset)
+  return info.localUri ?? asset.uri
+}
+
+// The share sheet takes one file at a time, so several assets are offered
+// one after another
+export const shareAssets = async (assets) => {
+  if (!(await Sharing.isAvailableAsync())) throw new Error('Sharing is not available on this device')
+
+  for (const asset of assets) {
+    await Sharing.shareAsync(await assetFileUri(asset), {
+      mimeType: asset.mediaType === MediaLibrary.MediaType.video ? 'video/*' : 'image/*',
+    })
+  }
+}
@@ -0,0 +1,69 @@
+// Error types thrown by the API client (services/api.js). Screens can tell
+// them apart with instanceof instead of inspecting raw responses.
+
+// Base class for every error coming out of the client. Mirrors the backend's
+// { code, message, fieldErrors } error shape.
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'UNKNOWN', fieldErrors = {}, data = null } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.fieldErrors = fieldErrors
+    this.data = data
+  }
+}
+
+// The server could not be reached at all
+export class NetworkError extends ApiError {
+  constructor(message = 'Network error. Please make sure the backend server is running.') {
+    super(message, { code: 'NETWORK_ERROR' })
+    this.name = 'NetworkError'
+  }
+}
+
+// The server did not answer within the request timeout
+export class TimeoutError extends NetworkError {
+  constructor(timeoutMs) {
+    super(`The server did not respond within ${Math.round(timeoutMs / 1000)} seconds. Please try again.`)
+    this.name = 'TimeoutError'
+    this.code = 'TIMEOUT'
+  }
+}
+
+// 400/409 responses; fieldErrors maps input names to messages
+export class ValidationError extends ApiError {
+  constructor(message, options) {
+    super(message, options)
+    this.name = 'ValidationError'
+  }
+}
+
+// 401/403 responses that survived a token refresh
+export class AuthError extends ApiError {
+  constructor(message, options) {
+    super(message, options)
+    this.name = 'AuthError'
+  }
+}
+
+// 429 responses; retryAfter is the wait in seconds from the Retry-After header
+export class RateLimitError extends ApiError {
+  constructor(message, { retryAfter, ...options }) {
+    super(message, options)
+    this.name = 'RateLimitError'
+    this.retryAfter = retryAfter
+  }
+}
+
+// 5xx responses
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message, options)
+    this.name = 'ServerError'
+  }
+}
+
+// True when the error carries per-field messages worth showing next to inputs
+export const hasFieldErrors = (error) =>
+  error instanceof ApiError && Object.keys(error.fieldErrors).length > 0
@@ -0,0 +1,211 @@
+import { API_BASE_URL } from '@/constants/api'
+import { clearSession, getAccessToken, getRefreshToken, saveTokens } from '@/services/session'
+import {
+  ApiError,
+  AuthError,
+  NetworkError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  ValidationError,
+} from '@/services/api-errors'
+import { parseRetryAfter } from '@/services/retry-after'
+
+const DEFAULT_TIMEOUT_MS = 15000
+const DEFAULT_RETRIES = 2
+const RETRY_BASE_DELAY_MS = 500
+
+// Only these are safe to send twice; POST/PATCH are never retried automatically
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']
+
+const sessionExpiredListeners = new Set()
+
+// Called when the refresh token is rejected and the user has to log in again.
+// Returns an unsubscribe function.
+export const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener)
+  return () => {
+    sessionExpiredListeners.delete(listener)
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const buildUrl = (path) => (/^https?:\/\//.test(path) ? path : `${API_BASE_URL}${path}`)
+
+// fetch() with an AbortController-based timeout
+const fetchWithTimeout = async (url, options, timeoutMs) => {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeoutMs)
+  try {
+    return await fetch(url, { ...options, signal: controller.signal })
+  } catch (error) {
+    if (error.name === 'AbortError') throw new TimeoutError(timeoutMs)
+    throw new NetworkError()
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+const parseBody = async (response) => {
+  const text = await response.text()
+  if (!text) return null
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+// Maps a non-2xx response to the matching error type
+const toApiError = (response, data) => {
+  const body = data && typeof data === 'object' ? data : {}
+  const message = body.message || `Request failed with status ${response.status}`
+  const options = {
+    status: response.status,
+    code: body.code || 'UNKNOWN',
+    fieldErrors: body.fieldErrors || {},
+    data,
+  }
+
+  if (response.status === 429) {
+    return new RateLimitError(message, {
+      ...options,
+      retryAfter: parseRetryAfter(response.headers.get('Retry-After')) ?? 60,
+    })
+  }
+  if (response.status === 401 || response.status === 403) return new AuthError(message, options)
+  if (response.status >= 500) return new ServerError(message, options)
+  if (response.status === 400 || response.status === 409 || response.status === 422) {
+    return new ValidationError(message, options)
+  }
+  return new ApiError(message, options)
+}
+
+// Concurrent 401s share one refresh call so the rotating refresh token is
+// only spent once
+let refreshPromise = null
+
+// Exchanges the stored refresh token for a new pair. Resolves to the new
+// access token, or null when the session is over (listeners are notified).
+// Other failures, like a rate limit or a server error, are thrown and the
+// stored tokens are kept.
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await getRefreshToken()
+      if (!refreshToken) return null
+
+      const response = await fetchWithTimeout(buildUrl('/refresh'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      }, DEFAULT_TIMEOUT_MS)
+
+      // Only a rejected refresh token ends the session
+      if (response.status === 401) {
+        await clearSession()
+        sessionExpiredListeners.forEach((listener) => listener())
+        return null
+      }
+      if (!response.ok) {
+        throw toApiError(response, await parseBody(response))
+      }
+
+      const tokens = await response.json()
+      await saveTokens(tokens)
+      return tokens.accessToken
+    })().finally(() => {
+      refreshPromise = null
+    })
+  }
+  return refreshPromise
+}
+
+/**
+ * Sends a request to the backend and resolves to the parsed JSON body.
+ *
+ * Options (besides the usual fetch options):
+ * - body: plain objects are sent as JSON; FormData, strings and binary data
+ *   (ArrayBuffer, Uint8Array) are passed through
+ * - auth: attach the access token and refresh it on 401 (default true)
+ * - timeout: milliseconds before giving up (default 15s)
+ * - retries: attempts after network/5xx failures; idempotent methods only (default 2)
+ *
+ * Rejects with one of the error types from services/api-errors.
+ */
+export const request = async (path, options = {}) => {
+  const {
+    method = 'GET',
+    body,
+    headers = {},
+    auth = true,
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = IDEMPOTENT_METHODS.includes(method.toUpperCase()) ? DEFAULT_RETRIES : 0,
+    ...fetchOptions
+  } = options
+
+  const isFormData = typeof FormData !== 'undefined' && body instanceof FormData
+  const isRaw = isFormData || typeof body === 'string' || body instanceof ArrayBuffer || ArrayBuffer.isView(body)
+  const send = async (token) => fetchWithTimeout(buildUrl(path), {
+    ...fetchOptions,
+    method,
+    headers: {
+      Accept: 'application/json',
+      ...(body !== undefined && !isRaw ? { 'Content-Type': 'application/json' } : {}),
+      ...headers,
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body === undefined || isRaw ? body : JSON.stringify(body),
+  }, timeout)
+
+  let attempt = 0
+  let refreshed = false
+  let token = auth ? await getAccessToken() : null
+
+  while (true) {
+    let response
+    try {
+      response = await send(token)
+    } catch (error) {
+      if (attempt < retries) {
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt++)
+        continue
+      }
+      throw error
+    }
+
+    // Expired access token: refresh once and replay the same request
+    if (response.status === 401 && auth && !refreshed) {
+      refreshed = true
+      const newToken = await refreshSession()
+      if (newToken) {
+        token = newToken
+        continue
+      }
+    }
+
+    const data = await parseBody(response)
+    if (response.ok) return data
+
+    if (response.status >= 500 && attempt < retries) {
+      await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt++)
+      continue
+    }
+    throw toApiError(response, data)
+  }
+}
+
+export const api = {
+  get: (path, options) => request(path, { ...options, method: 'GET' }),
+  post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+  put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+  patch: (path, body, options) => request(path, { ...options, method: 'PATCH', body }),
+  delete: (path, body, options) => request(path, { ...options, method: 'DELETE', body }),
+}
+
+// User-facing text for any error thrown by the client
+export const getErrorMessage = (error) => {
+  if (error instanceof ApiError) return error.message
+  return 'Something went wrong'
+}
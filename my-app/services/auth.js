@@ -0,0 +1,25 @@
+import { api } from '@/services/api'
+import { clearSession, getRefreshToken, saveSession } from '@/services/session'
+
+// Logs in and stores the returned user and token pair
+export const login = async (email, password) => {
+  const data = await api.post('/login', { email, password }, { auth: false })
+  await saveSession(data)
+  return data
+}
+
+export const register = (name, email, password) =>
+  api.post('/register', { name, email, password }, { auth: false })
+
+// Revoke the refresh token on the server, then forget the local session.
+// The local session is cleared even if the server can't be reached.
+export const logout = async () => {
+  const refreshToken = await getRefreshToken()
+  try {
+    if (refreshToken) {
+      await api.post('/logout', { refreshToken }, { auth: false, retries: 1 })
+    }
+  } finally {
+    await clearSession()
+  }
+}
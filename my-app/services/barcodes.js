@@ -0,0 +1,147 @@
+// Barcode formats the scanner looks for, and what to call them on screen
+
+export const BARCODE_LABELS = {
+  qr: 'QR Code',
+  datamatrix: 'Data Matrix',
+  aztec: 'Aztec',
+  pdf417: 'PDF417',
+  ean13: 'EAN-13',
+  ean8: 'EAN-8',
+  upc_a: 'UPC-A',
+  upc_e: 'UPC-E',
+  code128: 'Code 128',
+  code39: 'Code 39',
+  code93: 'Code 93',
+  codabar: 'Codabar',
+  itf14: 'ITF-14',
+}
+
+export const BARCODE_TYPES = Object.keys(BARCODE_LABELS)
+
+// Retail codes that identify a product rather than carrying free text
+const PRODUCT_TYPES = ['ean13', 'ean8', 'upc_a', 'upc_e']
+
+export const barcodeLabel = (type) => BARCODE_LABELS[type] || type.toUpperCase()
+
+// Splits "A;B\;C;D" on unescaped separators and unescapes the pieces
+const splitEscaped = (text, separator) => {
+  const parts = ['']
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (char === '\\' && i + 1 < text.length) {
+      parts[parts.length - 1] += text[++i]
+    } else if (char === separator) {
+      parts.push('')
+    } else {
+      parts[parts.length - 1] += char
+    }
+  }
+  return parts
+}
+
+// WIFI:T:WPA;S:Office;P:secret;H:false;;
+const parseWifi = (data) => {
+  const fields = {}
+  for (const part of splitEscaped(data.slice('WIFI:'.length), ';')) {
+    const colon = part.indexOf(':')
+    if (colon > 0) fields[part.slice(0, colon).toUpperCase()] = part.slice(colon + 1)
+  }
+  if (!fields.S) return null
+
+  return {
+    kind: 'wifi',
+    ssid: fields.S,
+    password: fields.P || '',
+    security: !fields.T || fields.T.toLowerCase() === 'nopass' ? 'None' : fields.T,
+    hidden: fields.H === 'true',
+  }
+}
+
+// Reads the common fields of a vCard (BEGIN:VCARD ... END:VCARD). Folded
+// lines are joined and property parameters such as ;TYPE=CELL are ignored.
+const parseVCard = (data) => {
+  const lines = data.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+  const contact = { kind: 'contact', name: '', organization: '', phones: [], emails: [], urls: [] }
+
+  for (const line of lines) {
+    const colon = line.indexOf(':')
+    if (colon < 0) continue
+    const property = line.slice(0, colon).split(';')[0].toUpperCase()
+    const value = line.slice(colon + 1).trim()
+    if (!value) continue
+
+    if (property === 'FN') {
+      contact.name = value.replace(/\\(.)/g, '$1')
+    } else if (property === 'N' && !contact.name) {
+      const [family, given] = splitEscaped(value, ';')
+      contact.name = [given, family].filter(Boolean).join(' ')
+    } else if (property === 'ORG') {
+      contact.organization = splitEscaped(value, ';').filter(Boolean).join(', ')
+    } else if (property === 'TEL') {
+      contact.phones.push(value)
+    } else if (property === 'EMAIL') {
+      contact.emails.push(value)
+    } else if (property === 'URL') {
+      contact.urls.push(value)
+    }
+  }
+  return contact
+}
+
+// MECARD:N:Doe,John;TEL:123;EMAIL:a@b.c;; (a shorter contact format some
+// generators use)
+const parseMeCard = (data) => {
+  const contact = { kind: 'contact', name: '', organization: '', phones: [], emails: [], urls: [] }
+  for (const part of splitEscaped(data.slice('MECARD:'.length), ';')) {
+    const colon = part.indexOf(':')
+    if (colon < 0) continue
+    const property = part.slice(0, colon).toUpperCase()
+    const value = part.slice(colon + 1)
+    if (property === 'N') contact.name = value.split(',').reverse().join(' ').trim()
+    if (property === 'ORG') contact.organization = value
+    if (property === 'TEL') contact.phones.push(value)
+    if (property === 'EMAIL') contact.emails.push(value)
+    if (property === 'URL') contact.urls.push(value)
+  }
+  return contact
+}
+
+const isUrl = (data) => /^(https?:\/\/|www\.)\S+$/i.test(data.trim())
+
+// Works out what a scanned payload is so the right actions can be offered:
+// { kind: 'url', url } | { kind: 'wifi', ssid, password, security, hidden } |
+// { kind: 'contact', name, organization, phones, emails, urls } |
+// { kind: 'product', code } | { kind: 'text', text }
+export const parseBarcode = (type, data) => {
+  const trimmed = data.trim()
+
+  if (PRODUCT_TYPES.includes(type)) return { kind: 'product', code: trimmed }
+  if (isUrl(trimmed)) {
+    return { kind: 'url', url: /^www\./i.test(trimmed) ? `https://${trimmed}` : trimmed }
+  }
+  if (/^WIFI:/i.test(trimmed)) {
+    const wifi = parseWifi(trimmed)
+    if (wifi) return wifi
+  }
+  if (/^BEGIN:VCARD/i.test(trimmed)) return parseVCard(trimmed)
+  if (/^MECARD:/i.test(trimmed)) return parseMeCard(trimmed)
+
+  return { kind: 'text', text: data }
+}
+
+// One-line summary for lists
+export const describeBarcode = (type, data) => {
+  const parsed = parseBarcode(type, data)
+  switch (parsed.kind) {
+    case 'url':
+      return parsed.url
+    case 'wifi':
+      return `Wi-Fi: ${parsed.ssid}`
+    case 'contact':
+      return `Contact: ${parsed.name || parsed.phones[0] || parsed.emails[0] || 'Unnamed'}`
+    case 'product':
+      return `Product ${parsed.code}`
+    default:
+      return parsed.text.replace(/\s+/g, ' ').trim()
+  }
+}
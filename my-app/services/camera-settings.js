@@ -0,0 +1,42 @@
+import AsyncStorage from '@react-native-async-storage/async-storage'
+
+// Camera tab preferences, stored per account so a shared phone keeps each
+// person's setup. Signed-out use is stored under 'guest'.
+
+export const CAMERA_MODES = ['photo', 'video', 'scan']
+export const FLASH_MODES = ['off', 'on', 'auto', 'torch']
+// The flash only fires for photos; videos and scanning can only light the
+// scene with the torch
+export const TORCH_MODES = ['off', 'torch']
+export const TIMER_OPTIONS = [0, 3, 10]
+export const BURST_OPTIONS = [0, 3, 5, 10]
+// Longest video the camera records before stopping by itself, in seconds
+export const VIDEO_LENGTH_OPTIONS = [15, 30, 60, 180]
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  mode: 'photo',
+  facing: 'back',
+  flash: 'off',
+  grid: false,
+  timer: 0,
+  // Frames per shot in burst mode; 0 takes a single photo
+  burst: 0,
+  maxVideoSeconds: 60,
+  // Tag photos with the current GPS position (opt-in)
+  geotag: false,
+}
+
+const storageKey = (userId) => `cameraSettings:${userId || 'guest'}`
+
+export const loadCameraSettings = async (userId) => {
+  try {
+    const stored = await AsyncStorage.getItem(storageKey(userId))
+    return { ...DEFAULT_CAMERA_SETTINGS, ...(stored ? JSON.parse(stored) : {}) }
+  } catch (error) {
+    console.log('Failed to load camera settings:', error)
+    return DEFAULT_CAMERA_SETTINGS
+  }
+}
+
+export const saveCameraSettings = (userId, settings) =>
+  AsyncStorage.setItem(storageKey(userId), JSON.stringify(settings))
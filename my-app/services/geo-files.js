@@ -0,0 +1,71 @@
+import * as DocumentPicker from 'expo-document-picker'
+import { File, Paths } from 'expo-file-system'
+import * as Sharing from 'expo-sharing'
+import { Alert, Platform } from 'react-native'
+import { formatGeoData, GEO_FORMATS, parseGeoData } from '@/services/geo-formats'
+import { loadTrack, trackTitle } from '@/services/track-library'
+
+// Sharing tracks and places as GPX, GeoJSON or KML files, and reading such
+// files back in (see services/geo-formats.js for the conversions)
+
+// Asks which format to export in. Resolves to a key of GEO_FORMATS, or null
+// when the user backs out.
+export const chooseGeoFormat = (title) =>
+  new Promise((resolve) => {
+    const buttons = Object.entries(GEO_FORMATS).map(([format, { label }]) => ({
+      text: label,
+      onPress: () => resolve(format),
+    }))
+    // Android alerts show at most three buttons; a tap outside cancels there
+    if (Platform.OS === 'ios') buttons.push({ text: 'Cancel', style: 'cancel', onPress: () => resolve(null) })
+
+    Alert.alert(title, 'Choose a file format', buttons, { cancelable: true, onDismiss: () => resolve(null) })
+  })
+
+// Names made of anything but letters, digits and dashes trip up some apps
+const safeFileName = (name) => name.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'export'
+
+// Writes { name, tracks, places } to a file in the format and opens the
+// share sheet with it
+export const shareGeoData = async (format, data) => {
+  if (!(await Sharing.isAvailableAsync())) throw new Error('Sharing is not available on this device')
+
+  const { label, extension, mimeType, uti } = GEO_FORMATS[format]
+  const file = new File(Paths.cache, `${safeFileName(data.name ?? '')}.${extension}`)
+  file.write(formatGeoData(format, data))
+  await Sharing.shareAsync(file.uri, { mimeType, UTI: uti, dialogTitle: `Export ${label}` })
+}
+
+// Shares a saved track, downloading its points first if they're only on the
+// server
+export const shareTrack = async (id, format) => {
+  const track = await loadTrack(id)
+  const name = trackTitle(track)
+  await shareGeoData(format, { name, tracks: [{ name, points: track.points }] })
+}
+
+// Shares where the geotagged photos on the map were taken, one place per photo
+export const shareGeotaggedPhotos = (photos, format) =>
+  shareGeoData(format, {
+    name: 'Photo places',
+    places: photos.map((photo) => ({
+      name: `Photo ${new Date(photo.takenAt).toLocaleString()}`,
+      description: null,
+      latitude: photo.location.latitude,
+      longitude: photo.location.longitude,
+      altitude: photo.location.altitude,
+      time: photo.takenAt,
+    })),
+  })
+
+// Lets the user pick a GPX, GeoJSON or KML file and reads it. Resolves to
+// { name, tracks, places }, or null when the picker was cancelled.
+export const pickGeoFile = async () => {
+  // Phones rarely know these formats' MIME types, so any file can be picked
+  const result = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true })
+  if (result.canceled) return null
+
+  const [asset] = result.assets
+  const data = parseGeoData(await new File(asset.uri).text())
+  return { name: asset.name.replace(/\.[^.]+$/, ''), ...data }
+}
@@ -0,0 +1,294 @@
+import { childElements, childText, escapeXml, findElements, parseXml } from '@/services/xml'
+
+// Converts tracks and places to and from the GPX, GeoJSON and KML files GIS
+// tools use. The backend's download endpoints write the same files (see
+// backend/utils/geoFormats.js).
+//
+// Data: { name, tracks: [{ name, points }], places: [Place] }
+// Point: { latitude, longitude, altitude, recordedAt } - extra fields such as
+// a recorded track's accuracy are left out of the files
+// Place: { name, description, latitude, longitude, altitude, time }
+// Anything a file doesn't carry is read back as null.
+
+export const GEO_FORMATS = {
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', uti: 'com.topografix.gpx' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', uti: 'public.json' },
+  kml: {
+    label: 'KML',
+    extension: 'kml',
+    mimeType: 'application/vnd.google-earth.kml+xml',
+    uti: 'com.google.earth.kml',
+  },
+}
+
+const CREATOR = 'MyApp'
+
+// Optional child elements, left out when there's no value
+const optional = (tag, value) => (value == null || value === '' ? '' : `<${tag}>${escapeXml(value)}</${tag}>`)
+
+const toGpx = ({ name, tracks, places }) => {
+  const position = (tag, point, time, extra = '') =>
+    `<${tag} lat="${point.latitude}" lon="${point.longitude}">` +
+    `${optional('ele', point.altitude)}${optional('time', time)}${extra}</${tag}>`
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata>${optional('name', name)}</metadata>`,
+    ...places.map(
+      (place) => `  ${position('wpt', place, place.time, optional('name', place.name) + optional('desc', place.description))}`
+    ),
+    ...tracks.map((track) =>
+      [
+        `  <trk>${optional('name', track.name)}`,
+        '    <trkseg>',
+        ...track.points.map((point) => `      ${position('trkpt', point, point.recordedAt)}`),
+        '    </trkseg>',
+        '  </trk>',
+      ].join('\n')
+    ),
+    '</gpx>',
+    '',
+  ].join('\n')
+}
+
+const coordinates = (point) =>
+  point.altitude == null ? [point.longitude, point.latitude] : [point.longitude, point.latitude, point.altitude]
+
+const toGeoJson = ({ name, tracks, places }) =>
+  JSON.stringify(
+    {
+      type: 'FeatureCollection',
+      name: name ?? undefined,
+      features: [
+        ...places.map((place) => ({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: coordinates(place) },
+          properties: { name: place.name ?? null, description: place.description ?? null, time: place.time ?? null },
+        })),
+        // coordTimes is how GIS tools carry a line's timestamps in GeoJSON
+        ...tracks.map((track) => ({
+          type: 'Feature',
+          geometry: { type: 'LineString', coordinates: track.points.map(coordinates) },
+          properties: { name: track.name ?? null, coordTimes: track.points.map((point) => point.recordedAt ?? null) },
+        })),
+      ],
+    }
+  ) + '\n'
+
+const toKml = ({ name, tracks, places }) => {
+  const kmlCoordinates = (point) => coordinates(point).join(',')
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    `  <Document>${optional('name', name)}`,
+    ...places.map(
+      (place) =>
+        `    <Placemark>${optional('name', place.name)}${optional('description', place.description)}` +
+        `${place.time ? `<TimeStamp><when>${escapeXml(place.time)}</when></TimeStamp>` : ''}` +
+        `<Point><coordinates>${kmlCoordinates(place)}</coordinates></Point></Placemark>`
+    ),
+    ...tracks.map((track) =>
+      [
+        `    <Placemark>${optional('name', track.name)}`,
+        '      <LineString><coordinates>',
+        ...track.points.map((point) => `        ${kmlCoordinates(point)}`),
+        '      </coordinates></LineString>',
+        '    </Placemark>',
+      ].join('\n')
+    ),
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n')
+}
+
+const WRITERS = { gpx: toGpx, geojson: toGeoJson, kml: toKml }
+
+// The file contents for data in one of GEO_FORMATS
+export const formatGeoData = (format, data) => {
+  const write = WRITERS[format]
+  if (!write) throw new Error(`Unsupported format: ${format}`)
+  return write({ name: null, tracks: [], places: [], ...data })
+}
+
+const toNumber = (value) => {
+  if (value == null || value === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+// A point from raw values, or null when the coordinates aren't usable
+const toPoint = (latitude, longitude, altitude = null, recordedAt = null) => {
+  const point = {
+    latitude: toNumber(latitude),
+    longitude: toNumber(longitude),
+    altitude: toNumber(altitude),
+    recordedAt: recordedAt || null,
+  }
+  if (point.latitude === null || Math.abs(point.latitude) > 90) return null
+  if (point.longitude === null || Math.abs(point.longitude) > 180) return null
+  return point
+}
+
+const toPlace = (point, name, description) =>
+  point && {
+    name: name || null,
+    description: description || null,
+    latitude: point.latitude,
+    longitude: point.longitude,
+    altitude: point.altitude,
+    time: point.recordedAt,
+  }
+
+const toTrack = (points, name) => {
+  const usable = points.filter(Boolean)
+  return usable.length > 0 ? { name: name || null, points: usable } : null
+}
+
+const parseGpx = (document) => {
+  const gpxPoint = (element) =>
+    toPoint(element.attributes.lat, element.attributes.lon, childText(element, 'ele'), childText(element, 'time'))
+
+  const places = findElements(document, 'wpt').map((waypoint) =>
+    toPlace(gpxPoint(waypoint), childText(waypoint, 'name'), childText(waypoint, 'desc'))
+  )
+  // A track's segments are drawn as one line
+  const tracks = [
+    ...findElements(document, 'trk').map((track) =>
+      toTrack(
+        childElements(track, 'trkseg').flatMap((segment) => childElements(segment, 'trkpt').map(gpxPoint)),
+        childText(track, 'name')
+      )
+    ),
+    ...findElements(document, 'rte').map((route) =>
+      toTrack(childElements(route, 'rtept').map(gpxPoint), childText(route, 'name'))
+    ),
+  ]
+  return { places, tracks }
+}
+
+// KML coordinates are "lon,lat[,alt]" tuples separated by whitespace
+const kmlCoordinateList = (text) =>
+  (text ?? '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((tuple) => {
+      const [longitude, latitude, altitude] = tuple.split(',')
+      return toPoint(latitude, longitude, altitude)
+    })
+
+const parseKml = (document) => {
+  const places = []
+  const tracks = []
+
+  for (const placemark of findElements(document, 'Placemark')) {
+    const name = childText(placemark, 'name')
+    const description = childText(placemark, 'description')
+    const when = findElements(placemark, 'TimeStamp').map((stamp) => childText(stamp, 'when'))[0] ?? null
+
+    for (const point of findElements(placemark, 'Point')) {
+      const [position] = kmlCoordinateList(childText(point, 'coordinates'))
+      if (position) places.push(toPlace({ ...position, recordedAt: when }, name, description))
+    }
+    for (const line of [...findElements(placemark, 'LineString'), ...findElements(placemark, 'LinearRing')]) {
+      tracks.push(toTrack(kmlCoordinateList(childText(line, 'coordinates')), name))
+    }
+    // Google Earth's timed tracks: <when> and <gx:coord> ("lon lat alt") pairs
+    for (const track of findElements(placemark, 'Track')) {
+      const times = childElements(track, 'when').map((element) => element.text.trim())
+      const points = childElements(track, 'coord').map((element, i) => {
+        const [longitude, latitude, altitude] = element.text.trim().split(/\s+/)
+        return toPoint(latitude, longitude, altitude, times[i])
+      })
+      tracks.push(toTrack(points, name))
+    }
+  }
+  return { places, tracks }
+}
+
+const parseGeoJson = (json) => {
+  const places = []
+  const tracks = []
+  const geoJsonPoint = (position, time) => toPoint(position?.[1], position?.[0], position?.[2], time)
+
+  const addGeometry = (geometry, properties) => {
+    if (!geometry) return
+    const name = properties.name ?? properties.title
+    const description = properties.description ?? properties.desc
+    const times = properties.coordTimes ?? []
+
+    switch (geometry.type) {
+      case 'Point':
+        places.push(toPlace(geoJsonPoint(geometry.coordinates, properties.time), name, description))
+        break
+      case 'MultiPoint':
+        geometry.coordinates.forEach((position) => places.push(toPlace(geoJsonPoint(position), name, description)))
+        break
+      case 'LineString':
+        tracks.push(toTrack(geometry.coordinates.map((position, i) => geoJsonPoint(position, times[i])), name))
+        break
+      case 'MultiLineString':
+        geometry.coordinates.forEach((line, j) =>
+          tracks.push(toTrack(line.map((position, i) => geoJsonPoint(position, times[j]?.[i])), name))
+        )
+        break
+      // Areas are drawn as their outline
+      case 'Polygon':
+        tracks.push(toTrack(geometry.coordinates[0].map((position) => geoJsonPoint(position)), name))
+        break
+      case 'MultiPolygon':
+        geometry.coordinates.forEach((polygon) =>
+          tracks.push(toTrack(polygon[0].map((position) => geoJsonPoint(position)), name))
+        )
+        break
+      case 'GeometryCollection':
+        geometry.geometries.forEach((item) => addGeometry(item, properties))
+        break
+    }
+  }
+
+  const addObject = (object) => {
+    if (object?.type === 'FeatureCollection') object.features?.forEach(addObject)
+    else if (object?.type === 'Feature') addGeometry(object.geometry, object.properties ?? {})
+    else addGeometry(object, {})
+  }
+  addObject(json)
+  return { places, tracks }
+}
+
+// Reads a GPX, GeoJSON or KML file, telling them apart by their contents.
+// Returns { tracks, places }; throws when the file isn't one of them or
+// has nothing to draw.
+export const parseGeoData = (text) => {
+  const content = text.replace(/^\uFEFF/, '').trim()
+
+  let result
+  if (content.startsWith('{')) {
+    let json
+    try {
+      json = JSON.parse(content)
+    } catch {
+      throw new Error('The file is not valid GeoJSON')
+    }
+    result = parseGeoJson(json)
+  } else {
+    let document
+    try {
+      document = parseXml(content)
+    } catch {
+      throw new Error('The file is not GPX, GeoJSON or KML')
+    }
+    const rootName = document.children[0].name
+    if (rootName === 'gpx') result = parseGpx(document)
+    else if (rootName === 'kml') result = parseKml(document)
+    else throw new Error('The file is not GPX, GeoJSON or KML')
+  }
+
+  const tracks = result.tracks.filter(Boolean)
+  const places = result.places.filter(Boolean)
+  if (tracks.length === 0 && places.length === 0) throw new Error('No tracks or places were found in the file')
+  return { tracks, places }
+}
@@ -0,0 +1,43 @@
+// Helpers for lists of { latitude, longitude } points
+
+// Extra room around a fitted region so the ends of a path aren't on the edge
+const REGION_PADDING = 1.3
+// Smallest span shown, so a single point or a short walk isn't zoomed in too far
+const MIN_DELTA = 0.005
+// Mean radius of the Earth in meters
+const EARTH_RADIUS = 6371008.8
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+// Great-circle distance between two points in meters (haversine formula)
+export const distanceBetween = (from, to) => {
+  const dLatitude = toRadians(to.latitude - from.latitude)
+  const dLongitude = toRadians(to.longitude - from.longitude)
+  const a =
+    Math.sin(dLatitude / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLongitude / 2) ** 2
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+// A MapView region that fits every point, or null for an empty list
+export const regionForPoints = (points) => {
+  if (!points?.length) return null
+
+  let minLatitude = Infinity
+  let maxLatitude = -Infinity
+  let minLongitude = Infinity
+  let maxLongitude = -Infinity
+  for (const { latitude, longitude } of points) {
+    minLatitude = Math.min(minLatitude, latitude)
+    maxLatitude = Math.max(maxLatitude, latitude)
+    minLongitude = Math.min(minLongitude, longitude)
+    maxLongitude = Math.max(maxLongitude, longitude)
+  }
+
+  return {
+    latitude: (minLatitude + maxLatitude) / 2,
+    longitude: (minLongitude + maxLongitude) / 2,
+    latitudeDelta: Math.max((maxLatitude - minLatitude) * REGION_PADDING, MIN_DELTA),
+    longitudeDelta: Math.max((maxLongitude - minLongitude) * REGION_PADDING, MIN_DELTA),
+  }
+}
@@ -0,0 +1,21 @@
+import { api } from '@/services/api'
+
+// Server log of geofence enter/exit events (see services/geofences.js)
+
+export const listGeofenceEvents = ({ page = 1, limit = 100 } = {}) =>
+  api.get(`/geofence-events?page=${page}&limit=${limit}`)
+
+// Events the server already has are ignored, so sending one twice is harmless
+export const recordGeofenceEvents = (events) =>
+  api.post('/geofence-events', {
+    events: events.map(({ id, geofenceId, geofenceName, type, latitude, longitude, radius, occurredAt }) => ({
+      id,
+      geofenceId,
+      geofenceName,
+      type,
+      latitude,
+      longitude,
+      radius,
+      occurredAt,
+    })),
+  })
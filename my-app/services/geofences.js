@@ -0,0 +1,337 @@
+import AsyncStorage from '@react-native-async-storage/async-storage'
+import * as Location from 'expo-location'
+import * as Notifications from 'expo-notifications'
+import * as TaskManager from 'expo-task-manager'
+import { Platform } from 'react-native'
+import { ValidationError } from '@/services/api-errors'
+import { recordGeofenceEvents } from '@/services/geofence-events'
+import { getPermission } from '@/services/permissions'
+
+// Circular geofences created by long-pressing the Location tab's map. The OS
+// watches them through a geofencing task, so entering or leaving one is
+// noticed with the app in the background or closed. Each crossing shows a
+// local notification if the geofence's alert preference asks for it, and is
+// logged to the account that was signed in at the time so supervisors can
+// audit site visits. Events that can't be sent straight away (offline, phone
+// locked) are kept and sent later. Geofences belong to the device, not to an
+// account.
+//
+// Geofence: { id, name, latitude, longitude, radius, alert, createdAt }
+// with `radius` in meters and `alert` one of ALERT_OPTIONS' values.
+// Event: { id, ownerId, geofenceId, geofenceName, type: 'enter' | 'exit',
+// latitude, longitude, radius, occurredAt }
+
+const GEOFENCING_TASK = 'geofences'
+const STORAGE_KEY = 'geofences'
+// { [geofenceId]: 'inside' | 'outside' } as last reported by the OS
+const STATES_KEY = 'geofences:states'
+// Id of the signed-in user, read by the task when the app isn't running
+const OWNER_KEY = 'geofences:owner'
+const PENDING_KEY = 'geofences:pendingEvents'
+
+const CHANNEL_ID = 'geofences'
+
+// iOS watches at most 20 regions per app
+export const MAX_GEOFENCES = 20
+
+// Below about 100 m the OS may not notice a crossing until well after it. The
+// server only takes events for radii from MIN_RADIUS to MAX_RADIUS
+// (backend/schemas/geofenceEvents.js).
+export const RADIUS_OPTIONS = [100, 250, 500, 1000, 2000]
+export const DEFAULT_RADIUS = 250
+const MIN_RADIUS = 100
+const MAX_RADIUS = 2000
+
+// Longest name the server takes with an event
+export const MAX_NAME_LENGTH = 100
+
+export const ALERT_OPTIONS = [
+  { value: 'both', label: 'Enter & Exit' },
+  { value: 'enter', label: 'Enter' },
+  { value: 'exit', label: 'Exit' },
+  { value: 'none', label: 'Off' },
+]
+
+// Largest batch the server takes in one request
+const MAX_EVENTS_PER_REQUEST = 100
+
+// `isMonitoring` is false while there are no geofences or the OS isn't
+// watching them (no background location permission)
+let state = { geofences: [], isMonitoring: false }
+let loadPromise = null
+// Events are handled one at a time, as each reads and writes the stored states
+let eventChain = Promise.resolve()
+let sending = false
+
+const listeners = new Set()
+
+// Called with the new state whenever it changes. Returns an unsubscribe function.
+export const subscribeToGeofences = (listener) => {
+  listeners.add(listener)
+  return () => {
+    listeners.delete(listener)
+  }
+}
+
+export const getGeofences = () => state
+
+const setState = (changes) => {
+  state = { ...state, ...changes }
+  listeners.forEach((listener) => listener(state))
+}
+
+const readJson = async (key, fallback) => {
+  const stored = await AsyncStorage.getItem(key)
+  return stored ? JSON.parse(stored) : fallback
+}
+
+// Notifications are shown while the app is open too
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+})
+
+const notifyCrossing = async (geofence, type) => {
+  if (geofence.alert !== 'both' && geofence.alert !== type) return
+  if (!(await getPermission('notifications')).granted) return
+
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+      name: 'Geofence alerts',
+      importance: Notifications.AndroidImportance.HIGH,
+    })
+  }
+  await Notifications.scheduleNotificationAsync({
+    content: {
+      title: type === 'enter' ? `Arrived at ${geofence.name}` : `Left ${geofence.name}`,
+      body: type === 'enter' ? `You entered the ${geofence.name} geofence.` : `You left the ${geofence.name} geofence.`,
+      data: { geofenceId: geofence.id },
+    },
+    trigger: Platform.OS === 'android' ? { channelId: CHANNEL_ID } : null,
+  })
+}
+
+// Whether the server's rules allow the geofence, so events logged for it are
+// taken. Geofences saved before those rules were checked may break them.
+const isValidGeofence = ({ name, radius }) =>
+  Boolean(name?.trim()) && name.trim().length <= MAX_NAME_LENGTH && radius >= MIN_RADIUS && radius <= MAX_RADIUS
+
+// Sends events as one request. If the server rejects them they're sent one at
+// a time, so only the event it will never take is dropped; any other error is
+// thrown and the events are tried again later.
+const sendEvents = async (events) => {
+  try {
+    await recordGeofenceEvents(events)
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error
+    if (events.length === 1) {
+      console.log('Geofence event was rejected:', error)
+      return
+    }
+    for (const event of events) {
+      await sendEvents([event])
+    }
+  }
+}
+
+// Sends the signed-in user's waiting events. Events of another account wait
+// until that account is signed in again.
+const sendPendingEvents = async () => {
+  if (sending) return
+  sending = true
+  try {
+    const ownerId = await AsyncStorage.getItem(OWNER_KEY)
+    if (!ownerId) return
+
+    let batch
+    while ((batch = (await readJson(PENDING_KEY, [])).filter((event) => event.ownerId === ownerId)).length > 0) {
+      batch = batch.slice(0, MAX_EVENTS_PER_REQUEST)
+      // The server would reject these, so they're dropped without sending
+      const valid = batch.filter((event) => isValidGeofence({ name: event.geofenceName, radius: event.radius }))
+      if (valid.length < batch.length) {
+        console.log(`Dropped ${batch.length - valid.length} geofence events the server would reject`)
+      }
+      if (valid.length > 0) await sendEvents(valid)
+      const sent = new Set(batch.map((event) => event.id))
+      const pending = await readJson(PENDING_KEY, [])
+      await AsyncStorage.setItem(PENDING_KEY, JSON.stringify(pending.filter((event) => !sent.has(event.id))))
+    }
+  } finally {
+    sending = false
+  }
+}
+
+const logCrossing = async (geofence, type) => {
+  const ownerId = await AsyncStorage.getItem(OWNER_KEY)
+  // Nothing to log to while signed out
+  if (!ownerId) return
+
+  const event = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+    ownerId,
+    geofenceId: geofence.id,
+    geofenceName: geofence.name,
+    type,
+    latitude: geofence.latitude,
+    longitude: geofence.longitude,
+    radius: geofence.radius,
+    occurredAt: new Date().toISOString(),
+  }
+  const pending = await readJson(PENDING_KEY, [])
+  await AsyncStorage.setItem(PENDING_KEY, JSON.stringify([...pending, event]))
+  await sendPendingEvents().catch((error) => console.log('Failed to send geofence events:', error))
+}
+
+const handleRegionEvent = async ({ eventType, region }) => {
+  const geofences = await readJson(STORAGE_KEY, [])
+  const geofence = geofences.find((candidate) => candidate.id === region.identifier)
+  if (!geofence) return
+
+  const type = eventType === Location.GeofencingEventType.Enter ? 'enter' : 'exit'
+  const states = await readJson(STATES_KEY, {})
+  const previous = states[geofence.id]
+  const current = type === 'enter' ? 'inside' : 'outside'
+  if (previous === current) return
+  await AsyncStorage.setItem(STATES_KEY, JSON.stringify({ ...states, [geofence.id]: current }))
+
+  // The OS reports where the device is whenever the geofences are handed to
+  // it, so only a change from a known state is a crossing
+  if (!previous) return
+
+  await notifyCrossing(geofence, type).catch((error) => console.log('Failed to show geofence alert:', error))
+  await logCrossing(geofence, type)
+}
+
+// Runs for every crossing, whether the app is open, in the background or was
+// started by the OS just to handle it. Must be defined when the app starts,
+// so this module is imported by the root layout.
+TaskManager.defineTask(GEOFENCING_TASK, ({ data, error }) => {
+  if (error) {
+    console.log('Geofencing error:', error)
+    return
+  }
+  eventChain = eventChain
+    .then(() => handleRegionEvent(data))
+    .catch((handleError) => console.log('Failed to handle geofence event:', handleError))
+  return eventChain
+})
+
+// Hands the current geofences to the OS, or stops watching when there are
+// none or background location isn't allowed. Call again after the permission
+// changes.
+export const updateGeofencing = async () => {
+  await loadGeofences()
+  const { geofences } = state
+  const { granted } = await getPermission('backgroundLocation')
+  const started = await Location.hasStartedGeofencingAsync(GEOFENCING_TASK)
+
+  if (geofences.length === 0 || !granted) {
+    if (started) await Location.stopGeofencingAsync(GEOFENCING_TASK)
+    setState({ isMonitoring: false })
+    return
+  }
+
+  try {
+    // Replaces whatever regions were watched before
+    await Location.startGeofencingAsync(
+      GEOFENCING_TASK,
+      geofences.map(({ id, latitude, longitude, radius }) => ({
+        identifier: id,
+        latitude,
+        longitude,
+        radius,
+        notifyOnEnter: true,
+        notifyOnExit: true,
+      }))
+    )
+    setState({ isMonitoring: true })
+  } catch (error) {
+    console.log('Failed to start geofencing:', error)
+    setState({ isMonitoring: false })
+  }
+}
+
+// `changedId` is a geofence whose circle changed, so its inside/outside state
+// is learned again rather than read as a crossing
+const setGeofences = async (geofences, changedId = null) => {
+  setState({ geofences })
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(geofences))
+  const states = await readJson(STATES_KEY, {})
+  const kept = Object.fromEntries(
+    Object.entries(states).filter(
+      ([id]) => id !== changedId && geofences.some((geofence) => geofence.id === id)
+    )
+  )
+  await AsyncStorage.setItem(STATES_KEY, JSON.stringify(kept))
+  await updateGeofencing().catch((error) => console.log('Failed to update geofencing:', error))
+}
+
+export const loadGeofences = () => {
+  if (!loadPromise) {
+    loadPromise = readJson(STORAGE_KEY, [])
+      .then((geofences) => setState({ geofences }))
+      .catch((error) => console.log('Failed to load geofences:', error))
+  }
+  return loadPromise
+}
+
+// Who geofence events are logged to: the signed-in user's id, or null when
+// signed out. Called on start-up, login and logout.
+export const setGeofenceOwner = async (userId) => {
+  if (userId) {
+    await AsyncStorage.setItem(OWNER_KEY, userId)
+    sendPendingEvents().catch((error) => console.log('Failed to send geofence events:', error))
+  } else {
+    await AsyncStorage.removeItem(OWNER_KEY)
+  }
+}
+
+const validate = ({ name, radius }) => {
+  if (!name?.trim()) throw new Error('Give the geofence a name.')
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new Error(`Keep the name to ${MAX_NAME_LENGTH} characters or fewer.`)
+  }
+  if (!isValidGeofence({ name, radius })) throw new Error('Choose a radius.')
+}
+
+// Adds a geofence ({ name, latitude, longitude, radius, alert }) and starts
+// watching it. Returns the new entry.
+export const addGeofence = async ({ name, latitude, longitude, radius, alert }) => {
+  await loadGeofences()
+  if (state.geofences.length >= MAX_GEOFENCES) {
+    throw new Error(`You can have at most ${MAX_GEOFENCES} geofences. Delete one to add another.`)
+  }
+  validate({ name, radius })
+
+  const geofence = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim(),
+    latitude,
+    longitude,
+    radius,
+    alert,
+    createdAt: new Date().toISOString(),
+  }
+  await setGeofences([...state.geofences, geofence])
+  return geofence
+}
+
+// Changes a geofence's name, radius or alert preference
+export const updateGeofence = async (id, { name, radius, alert }) => {
+  await loadGeofences()
+  validate({ name, radius })
+  const previous = state.geofences.find((geofence) => geofence.id === id)
+  await setGeofences(
+    state.geofences.map((geofence) => (geofence.id === id ? { ...geofence, name: name.trim(), radius, alert } : geofence)),
+    previous?.radius !== radius ? id : null
+  )
+}
+
+export const removeGeofence = async (id) => {
+  await loadGeofences()
+  await setGeofences(state.geofences.filter((geofence) => geofence.id !== id))
+}
@@ -0,0 +1,102 @@
+import AsyncStorage from '@react-native-async-storage/async-storage'
+import { Directory, File, Paths } from 'expo-file-system'
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator'
+
+// Geotagged photos shown on the Location tab's map. When a photo taken with
+// geotagging on is saved or uploaded, a copy and a small marker thumbnail are
+// kept in the app's documents directory, so the map still works after the
+// album copy is deleted or the upload has finished.
+//
+// Entry: { id, ownerId, sourceUri, uri, thumbnailUri, location, takenAt }
+// Photos taken while signed out have a null ownerId.
+
+const STORAGE_KEY = 'geotaggedPhotos'
+const THUMBNAIL_SIZE = 120
+
+const photosDir = new Directory(Paths.document, 'geotagged')
+
+let items = []
+let loadPromise = null
+
+const listeners = new Set()
+
+// Called with the new list whenever it changes. Returns an unsubscribe function.
+export const subscribeToGeotags = (listener) => {
+  listeners.add(listener)
+  return () => {
+    listeners.delete(listener)
+  }
+}
+
+export const getGeotaggedPhotos = () => items
+
+const setItems = async (nextItems) => {
+  items = nextItems
+  listeners.forEach((listener) => listener(items))
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(items))
+}
+
+export const loadGeotags = () => {
+  if (!loadPromise) {
+    loadPromise = AsyncStorage.getItem(STORAGE_KEY).then((stored) => {
+      items = stored ? JSON.parse(stored) : []
+      listeners.forEach((listener) => listener(items))
+    })
+  }
+  return loadPromise
+}
+
+const makeThumbnail = async (uri, destination) => {
+  const context = ImageManipulator.manipulate(uri)
+  context.resize({ width: THUMBNAIL_SIZE })
+  const image = await context.renderAsync()
+  const result = await image.saveAsync({ format: SaveFormat.JPEG, compress: 0.7 })
+  new File(result.uri).move(destination)
+}
+
+// Keeps a geotagged photo for the map. `image.location` is the fix from
+// useGeotagging; images without one are ignored, as is an image that was
+// already added (e.g. saved and then uploaded).
+export const addGeotaggedPhoto = async (image, ownerId = null) => {
+  if (!image?.location) return
+  await loadGeotags()
+  if (items.some((item) => item.sourceUri === image.uri)) return
+
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+  if (!photosDir.exists) photosDir.create({ intermediates: true })
+
+  const copy = new File(photosDir, `${id}.jpg`)
+  new File(image.uri).copy(copy)
+  const thumbnail = new File(photosDir, `${id}_thumb.jpg`)
+  try {
+    await makeThumbnail(copy.uri, thumbnail)
+  } catch (error) {
+    // The marker falls back to the full-size copy
+    console.log('Geotag thumbnail failed:', error)
+  }
+
+  await setItems([
+    ...items,
+    {
+      id,
+      ownerId,
+      sourceUri: image.uri,
+      uri: copy.uri,
+      thumbnailUri: thumbnail.exists ? thumbnail.uri : copy.uri,
+      location: image.location,
+      takenAt: image.capturedAt ?? image.location.recordedAt,
+    },
+  ])
+}
+
+// Takes a photo off the map and deletes the app's copy of it
+export const removeGeotaggedPhoto = async (id) => {
+  const item = items.find((entry) => entry.id === id)
+  if (!item) return
+
+  for (const uri of new Set([item.uri, item.thumbnailUri])) {
+    const file = new File(uri)
+    if (file.exists) file.delete()
+  }
+  await setItems(items.filter((entry) => entry.id !== id))
+}
@@ -0,0 +1,62 @@
+import { File, Paths } from 'expo-file-system'
+
+// GPX, GeoJSON and KML files imported on the Location tab, drawn on the map
+// until they're removed. Kept in a file in the documents directory rather
+// than AsyncStorage, since an imported track can be large.
+//
+// Layer: { id, name, tracks, places, importedAt }
+// with tracks and places as read by services/geo-formats.js
+
+const importsFile = new File(Paths.document, 'map-imports.json')
+
+let layers = []
+let loadPromise = null
+
+const listeners = new Set()
+
+// Called with the new list whenever it changes. Returns an unsubscribe function.
+export const subscribeToMapImports = (listener) => {
+  listeners.add(listener)
+  return () => {
+    listeners.delete(listener)
+  }
+}
+
+export const getMapImports = () => layers
+
+const setLayers = (nextLayers) => {
+  layers = nextLayers
+  listeners.forEach((listener) => listener(layers))
+  importsFile.write(JSON.stringify(layers))
+}
+
+export const loadMapImports = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      if (!importsFile.exists) return
+      layers = JSON.parse(await importsFile.text())
+      listeners.forEach((listener) => listener(layers))
+    })().catch((error) => console.log('Failed to load map imports:', error))
+  }
+  return loadPromise
+}
+
+// Adds a file read with pickGeoFile ({ name, tracks, places }) to the map.
+// Returns the new layer.
+export const addMapImport = async ({ name, tracks, places }) => {
+  await loadMapImports()
+  const layer = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    tracks,
+    places,
+    importedAt: new Date().toISOString(),
+  }
+  setLayers([...layers, layer])
+  return layer
+}
+
+export const removeMapImport = async (id) => {
+  await loadMapImports()
+  setLayers(layers.filter((layer) => layer.id !== id))
+}
@@ -0,0 +1,92 @@
+import { Alert } from 'react-native'
+
+// Simulated permissions for development builds and tests (see permissions.js).
+// Nothing here touches the device: every permission starts out undetermined,
+// and requesting one shows a stand-in for the system prompt, so each branch a
+// screen has for granted, denied and blocked permissions can be reached on
+// demand. Only the app's own checks are simulated; a native API the OS hasn't
+// allowed (the camera preview, GPS) still fails.
+//
+// A permission is 'granted', 'denied', 'undetermined', or 'blocked' (denied
+// and can't be asked for again).
+
+const PROMPT_TITLES = {
+  camera: 'Allow camera access?',
+  microphone: 'Allow microphone access?',
+  mediaLibrary: 'Allow photo library access?',
+  location: 'Allow location access?',
+  backgroundLocation: 'Allow location access all the time?',
+  notifications: 'Allow notifications?',
+}
+
+const UNDETERMINED = { status: 'undetermined', granted: false, canAskAgain: true }
+
+let permissions = {}
+let scriptedAnswers = {}
+
+const listeners = new Set()
+
+export const subscribeToMockPermissions = (listener) => {
+  listeners.add(listener)
+  return () => {
+    listeners.delete(listener)
+  }
+}
+
+const toPermission = (state) => {
+  if (state === 'blocked') return { status: 'denied', granted: false, canAskAgain: false }
+  return { status: state, granted: state === 'granted', canAskAgain: true }
+}
+
+export const setMockPermission = (kind, state) => {
+  permissions = { ...permissions, [kind]: toPermission(state) }
+  listeners.forEach((listener) => listener(kind, permissions[kind]))
+}
+
+// Answers the next request for `kind` with 'granted', 'denied' or 'blocked'
+// instead of showing the simulated prompt
+export const answerNextRequest = (kind, answer) => {
+  scriptedAnswers = { ...scriptedAnswers, [kind]: answer }
+}
+
+export const resetMockPermissions = () => {
+  permissions = {}
+  scriptedAnswers = {}
+}
+
+// Starting states from MOCK_PERMISSIONS, e.g. "camera:blocked,location:granted".
+// Kinds that aren't listed start undetermined.
+export const configureMockPermissions = (spec) => {
+  resetMockPermissions()
+  for (const entry of String(spec).split(',')) {
+    const [kind, state] = entry.trim().split(':')
+    if (kind && state) setMockPermission(kind, state)
+  }
+}
+
+const showPrompt = (kind) =>
+  new Promise((resolve) => {
+    Alert.alert(
+      PROMPT_TITLES[kind] ?? `Allow ${kind}?`,
+      'Simulated permission prompt',
+      [
+        { text: "Don't Allow", onPress: () => resolve('denied') },
+        { text: "Don't Ask Again", style: 'destructive', onPress: () => resolve('blocked') },
+        { text: 'Allow', onPress: () => resolve('granted') },
+      ],
+      { cancelable: true, onDismiss: () => resolve('denied') }
+    )
+  })
+
+export const get = async (kind) => permissions[kind] ?? UNDETERMINED
+
+export const request = async (kind) => {
+  const current = await get(kind)
+  if (current.granted || !current.canAskAgain) return current
+
+  const answer = scriptedAnswers[kind] ?? (await showPrompt(kind))
+  const { [kind]: used, ...rest } = scriptedAnswers
+  scriptedAnswers = rest
+  setMockPermission(kind, answer)
+  return permissions[kind]
+}
@@ -0,0 +1,104 @@
+import { Camera } from 'expo-camera'
+import * as Location from 'expo-location'
+import * as MediaLibrary from 'expo-media-library'
+import * as Notifications from 'expo-notifications'
+import Constants from 'expo-constants'
+import * as mock from '@/services/permissions-mock'
+
+// One place for the permissions the app asks for, so screens don't call each
+// Expo module's own API. Every permission is reported in the same shape:
+//
+//   { status: 'granted' | 'denied' | 'undetermined', granted, canAskAgain }
+//
+// A denied permission with canAskAgain false can only be changed in the
+// device settings. Development builds can swap in the simulated permissions
+// from permissions-mock.js by setting MOCK_PERMISSIONS (see .env.example).
+
+export const PERMISSION_KINDS = ['camera', 'microphone', 'mediaLibrary', 'location', 'backgroundLocation', 'notifications']
+
+const native = {
+  camera: {
+    get: () => Camera.getCameraPermissionsAsync(),
+    request: () => Camera.requestCameraPermissionsAsync(),
+  },
+  microphone: {
+    get: () => Camera.getMicrophonePermissionsAsync(),
+    request: () => Camera.requestMicrophonePermissionsAsync(),
+  },
+  mediaLibrary: {
+    get: () => MediaLibrary.getPermissionsAsync(),
+    request: () => MediaLibrary.requestPermissionsAsync(),
+  },
+  location: {
+    get: () => Location.getForegroundPermissionsAsync(),
+    request: () => Location.requestForegroundPermissionsAsync(),
+  },
+  // Location while the app isn't on screen ("Always" / "Allow all the time").
+  // Only asked for once `location` is granted.
+  backgroundLocation: {
+    get: () => Location.getBackgroundPermissionsAsync(),
+    request: () => Location.requestBackgroundPermissionsAsync(),
+  },
+  // Showing local notifications, e.g. for geofence alerts
+  notifications: {
+    get: () => Notifications.getPermissionsAsync(),
+    request: () => Notifications.requestPermissionsAsync(),
+  },
+}
+
+const { mockPermissions } = Constants.expoConfig?.extra ?? {}
+
+let isMocked = false
+if (__DEV__ && mockPermissions) {
+  isMocked = true
+  mock.configureMockPermissions(mockPermissions)
+}
+
+const listeners = new Set()
+
+// Called with (kind, permission) whenever a permission changes through this
+// module. Returns an unsubscribe function.
+export const subscribeToPermissions = (listener) => {
+  listeners.add(listener)
+  return () => {
+    listeners.delete(listener)
+  }
+}
+
+const notify = (kind, permission) => {
+  listeners.forEach((listener) => listener(kind, permission))
+}
+
+// The simulated permissions tell this module when they change
+mock.subscribeToMockPermissions((kind, permission) => {
+  if (isMocked) notify(kind, permission)
+})
+
+export const isMockingPermissions = () => isMocked
+
+// Switches between the real and simulated permissions; used by tests
+export const setMockPermissions = (enabled) => {
+  isMocked = enabled
+  PERMISSION_KINDS.forEach((kind) => notify(kind, null))
+}
+
+const implementation = (kind) => {
+  if (!PERMISSION_KINDS.includes(kind)) throw new Error(`Unknown permission "${kind}"`)
+  return isMocked ? mock : native[kind]
+}
+
+const normalize = ({ status, granted, canAskAgain }) => ({
+  status,
+  granted: granted ?? status === 'granted',
+  canAskAgain: canAskAgain ?? true,
+})
+
+export const getPermission = async (kind) => normalize(await implementation(kind).get(kind))
+
+// Shows the system prompt if the permission can still be asked for, and
+// resolves to the permission afterwards
+export const requestPermission = async (kind) => {
+  const permission = normalize(await implementation(kind).request(kind))
+  notify(kind, permission)
+  return permission
+}
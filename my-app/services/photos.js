@@ -0,0 +1,52 @@
+import { API_BASE_URL } from '@/constants/api'
+import { api } from '@/services/api'
+
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+}
+
+// Photo URLs from the server are paths from the API's origin, e.g. /api/photos/<id>/file
+const API_ORIGIN = API_BASE_URL.replace(/\/api\/?$/, '')
+
+// Name and MIME type for CameraView photos and videos and ImagePicker assets alike
+export const describeMedia = (media) => {
+  const name = media.fileName || media.uri.split('/').pop() || 'photo.jpg'
+  const extension = name.split('.').pop().toLowerCase()
+  return { name, mimeType: media.mimeType || MIME_TYPES[extension] || 'image/jpeg' }
+}
+
+export const isVideo = (item) => item.kind === 'video' || item.mimeType?.startsWith('video/')
+
+// Resumable uploads (see services/upload-queue.js): start a session, then send
+// the file in chunks at the offset the server reports.
+export const startUpload = ({ originalName, mimeType, size, duration, capturedAt, location }) =>
+  api.post('/photos/uploads', { originalName, mimeType, size, duration, capturedAt, location })
+
+export const getUpload = (id) => api.get(`/photos/uploads/${id}`)
+
+export const sendChunk = (id, offset, bytes) =>
+  api.put(`/photos/uploads/${id}?offset=${offset}`, bytes, {
+    headers: { 'Content-Type': 'application/octet-stream' },
+    timeout: 60000,
+    retries: 0,
+  })
+
+export const cancelUpload = (id) => api.delete(`/photos/uploads/${id}`)
+
+export const listPhotos = ({ page = 1, limit = 30 } = {}) =>
+  api.get(`/photos?page=${page}&limit=${limit}`)
+
+export const deletePhoto = (id) => api.delete(`/photos/${id}`)
+
+// Image or video source for a stored photo, optionally one of its thumbnails ('small',
+// 'medium' or 'large'). The file endpoints need the access token, so <Image>
+// gets it as a header.
+export const photoSource = (photo, token, thumbnail) => ({
+  uri: `${API_ORIGIN}${photo.thumbnails?.[thumbnail]?.url ?? photo.url}`,
+  headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+})
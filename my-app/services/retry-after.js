@@ -0,0 +1,13 @@
+// Parses a Retry-After header, which is either a number of seconds or an HTTP
+// date. Returns the wait in whole seconds, or null if the header is missing or
+// invalid.
+export const parseRetryAfter = (header) => {
+  if (!header) return null
+
+  const seconds = Number(header)
+  if (Number.isFinite(seconds)) return Math.max(Math.ceil(seconds), 0)
+
+  const date = Date.parse(header)
+  if (Number.isNaN(date)) return null
+  return Math.max(Math.ceil((date - Date.now()) / 1000), 0)
+}
@@ -0,0 +1,140 @@
+import AsyncStorage from '@react-native-async-storage/async-storage'
+import { clearScans, deleteScan, listScans, syncScans } from '@/services/scans'
+
+// Barcodes and QR codes read on the Camera tab, newest first. History is kept
+// in AsyncStorage per account ('guest' when signed out), like the camera
+// settings. Signed-in users can turn on sync, which sends new scans to the
+// server and merges in scans made on their other devices.
+//
+// Entry: { id, type, data, scannedAt, synced }
+
+const MAX_ENTRIES = 500
+const SYNC_BATCH_SIZE = 100
+
+const historyKey = (userId) => `scanHistory:${userId || 'guest'}`
+const syncKey = (userId) => `scanSync:${userId}`
+
+let ownerId = null
+let state = { entries: [], syncEnabled: false, isSyncing: false, syncError: null }
+let loadPromise = null
+
+const listeners = new Set()
+
+// Called with the new state whenever the history changes. Returns an
+// unsubscribe function.
+export const subscribeToScanHistory = (listener) => {
+  listeners.add(listener)
+  return () => {
+    listeners.delete(listener)
+  }
+}
+
+export const getScanHistory = () => state
+
+const setState = (changes) => {
+  state = { ...state, ...changes }
+  listeners.forEach((listener) => listener(state))
+}
+
+const setEntries = async (entries) => {
+  const owner = ownerId
+  setState({ entries })
+  await AsyncStorage.setItem(historyKey(owner), JSON.stringify(entries))
+}
+
+// Switches the history to another account (or to the guest history with no
+// id). Called on login and logout.
+export const loadScanHistory = (userId) => {
+  const owner = userId || null
+  ownerId = owner
+  loadPromise = (async () => {
+    const [stored, sync] = await Promise.all([
+      AsyncStorage.getItem(historyKey(owner)),
+      owner ? AsyncStorage.getItem(syncKey(owner)) : null,
+    ])
+    if (ownerId !== owner) return
+
+    setState({
+      entries: stored ? JSON.parse(stored) : [],
+      syncEnabled: sync === 'true',
+      isSyncing: false,
+      syncError: null,
+    })
+    if (sync === 'true') syncScanHistory()
+  })().catch((error) => console.log('Failed to load scan history:', error))
+  return loadPromise
+}
+
+const newId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+
+// Records a scan and returns its entry
+export const addScan = async ({ type, data }) => {
+  await loadPromise
+  const entry = { id: newId(), type, data, scannedAt: new Date().toISOString(), synced: false }
+
+  await setEntries([entry, ...state.entries].slice(0, MAX_ENTRIES))
+  if (state.syncEnabled) syncScanHistory()
+  return entry
+}
+
+export const removeScan = async (id) => {
+  const entry = state.entries.find((item) => item.id === id)
+  if (!entry) return
+
+  await setEntries(state.entries.filter((item) => item.id !== id))
+  // Once on the server it would come back with the next sync
+  if (entry.synced && ownerId) {
+    deleteScan(id).catch((error) => console.log('Failed to delete synced scan:', error))
+  }
+}
+
+// Empties the history on this device, and on the server too when syncing
+export const clearScanHistory = async () => {
+  await setEntries([])
+  if (state.syncEnabled) await clearScans()
+}
+
+// Sends scans the server doesn't have yet, then merges in the server's copy.
+// Does nothing when signed out or with sync turned off; a call made while a
+// sync is running is skipped.
+export const syncScanHistory = async () => {
+  if (!ownerId || !state.syncEnabled || state.isSyncing) return
+  const owner = ownerId
+
+  setState({ isSyncing: true, syncError: null })
+  try {
+    const pending = state.entries.filter((entry) => !entry.synced)
+    for (let i = 0; i < pending.length; i += SYNC_BATCH_SIZE) {
+      const { synced } = await syncScans(pending.slice(i, i + SYNC_BATCH_SIZE))
+      if (ownerId !== owner) return
+      const sent = new Set(synced)
+      await setEntries(state.entries.map((entry) => (sent.has(entry.id) ? { ...entry, synced: true } : entry)))
+    }
+
+    const { scans } = await listScans({ limit: 200 })
+    if (ownerId !== owner) return
+    const known = new Set(state.entries.map((entry) => entry.id))
+    const fromServer = scans
+      .filter((scan) => !known.has(scan.id))
+      .map((scan) => ({ ...scan, synced: true }))
+    if (fromServer.length > 0) {
+      const merged = [...state.entries, ...fromServer]
+        .sort((a, b) => new Date(b.scannedAt) - new Date(a.scannedAt))
+        .slice(0, MAX_ENTRIES)
+      await setEntries(merged)
+    }
+  } catch (error) {
+    console.log('Scan sync failed:', error)
+    if (ownerId === owner) setState({ syncError: error.message })
+  } finally {
+    if (ownerId === owner) setState({ isSyncing: false })
+  }
+}
+
+// Turns syncing on or off for the signed-in user; turning it on syncs right away
+export const setScanSync = async (enabled) => {
+  if (!ownerId) return
+  setState({ syncEnabled: enabled, syncError: null })
+  await AsyncStorage.setItem(syncKey(ownerId), String(enabled))
+  if (enabled) await syncScanHistory()
+}
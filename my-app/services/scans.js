@@ -0,0 +1,16 @@
+import { api } from '@/services/api'
+
+// Server copy of the scan history (see services/scan-history.js)
+
+export const listScans = ({ page = 1, limit = 200 } = {}) =>
+  api.get(`/scans?page=${page}&limit=${limit}`)
+
+// Scans the server already has are ignored, so sending one twice is harmless
+export const syncScans = (scans) =>
+  api.post('/scans', {
+    scans: scans.map(({ id, type, data, scannedAt }) => ({ id, type, data, scannedAt })),
+  })
+
+export const deleteScan = (id) => api.delete(`/scans/${encodeURIComponent(id)}`)
+
+export const clearScans = () => api.delete('/scans')
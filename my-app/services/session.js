@@ -0,0 +1,49 @@
+import * as SecureStore from 'expo-secure-store'
+
+const USER_KEY = 'userData'
+const ACCESS_TOKEN_KEY = 'accessToken'
+const REFRESH_TOKEN_KEY = 'refreshToken'
+
+/**
+ * Persist the user and/or token pair returned by /api/login
+ * @param {{ user?: object, accessToken?: string, refreshToken?: string }} session
+ */
+export const saveSession = async ({ user, accessToken, refreshToken }) => {
+  if (user) {
+    await SecureStore.setItemAsync(USER_KEY, JSON.stringify(user))
+  }
+  if (accessToken && refreshToken) {
+    await saveTokens({ accessToken, refreshToken })
+  }
+}
+
+export const saveTokens = async ({ accessToken, refreshToken }) => {
+  await SecureStore.setItemAsync(ACCESS_TOKEN_KEY, accessToken)
+  await SecureStore.setItemAsync(REFRESH_TOKEN_KEY, refreshToken)
+}
+
+export const loadSession = async () => {
+  const [userData, accessToken, refreshToken] = await Promise.all([
+    SecureStore.getItemAsync(USER_KEY),
+    SecureStore.getItemAsync(ACCESS_TOKEN_KEY),
+    SecureStore.getItemAsync(REFRESH_TOKEN_KEY),
+  ])
+
+  return {
+    user: userData ? JSON.parse(userData) : null,
+    accessToken,
+    refreshToken,
+  }
+}
+
+export const clearSession = async () => {
+  await Promise.all([
+    SecureStore.deleteItemAsync(USER_KEY),
+    SecureStore.deleteItemAsync(ACCESS_TOKEN_KEY),
+    SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY),
+  ])
+}
+
+export const getAccessToken = () => SecureStore.getItemAsync(ACCESS_TOKEN_KEY)
+
+export const getRefreshToken = () => SecureStore.getItemAsync(REFRESH_TOKEN_KEY)
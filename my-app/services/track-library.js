@@ -0,0 +1,202 @@
+import AsyncStorage from '@react-native-async-storage/async-storage'
+import { Directory, File, Paths } from 'expo-file-system'
+import { ValidationError } from '@/services/api-errors'
+import { trackStats } from '@/services/track-stats'
+import { deleteTrack, getTrack, listTracks, uploadTrack } from '@/services/tracks'
+
+// GPS tracks recorded on the Location tab, newest first. The list is kept in
+// AsyncStorage per account ('guest' when signed out), like the scan history;
+// each track's points are kept in their own file, since a long track runs to
+// thousands of fixes. Signed-in users' tracks are uploaded to their account,
+// and tracks uploaded from their other devices are listed too and fetched the
+// first time they're opened.
+//
+// Entry: { id, name, startedAt, endedAt, pointCount, stats, synced, onDevice,
+// uploadError }
+// `stats` is from services/track-stats.js, and null for a track from another
+// device that was uploaded without them until its points are downloaded.
+// `uploadError` is why the server refused the track; it isn't sent again.
+// Point: { latitude, longitude, altitude, accuracy, speed, heading, recordedAt }
+
+const tracksDir = new Directory(Paths.document, 'tracks')
+
+// Most points the server takes in one track (backend/schemas/tracks.js)
+export const MAX_TRACK_POINTS = 20000
+
+const listKey = (userId) => `tracks:${userId || 'guest'}`
+
+let ownerId = null
+let state = { tracks: [], isSyncing: false, syncError: null }
+let loadPromise = null
+
+const listeners = new Set()
+
+// Called with the new state whenever the list changes. Returns an
+// unsubscribe function.
+export const subscribeToTracks = (listener) => {
+  listeners.add(listener)
+  return () => {
+    listeners.delete(listener)
+  }
+}
+
+export const getTracks = () => state
+
+const setState = (changes) => {
+  state = { ...state, ...changes }
+  listeners.forEach((listener) => listener(state))
+}
+
+const setTracks = async (tracks) => {
+  const owner = ownerId
+  setState({ tracks })
+  await AsyncStorage.setItem(listKey(owner), JSON.stringify(tracks))
+}
+
+const updateTrack = (id, changes) =>
+  setTracks(state.tracks.map((track) => (track.id === id ? { ...track, ...changes } : track)))
+
+const pointsFile = (id) => new File(tracksDir, `${id}.json`)
+
+const writePoints = (id, points) => {
+  if (!tracksDir.exists) tracksDir.create({ intermediates: true })
+  pointsFile(id).write(JSON.stringify(points))
+}
+
+// Switches the list to another account (or to the guest list with no id).
+// Called on login and logout.
+export const loadTracks = (userId) => {
+  const owner = userId || null
+  ownerId = owner
+  loadPromise = (async () => {
+    const stored = await AsyncStorage.getItem(listKey(owner))
+    if (ownerId !== owner) return
+
+    setState({ tracks: stored ? JSON.parse(stored) : [], isSyncing: false, syncError: null })
+    syncTracks()
+  })().catch((error) => console.log('Failed to load tracks:', error))
+  return loadPromise
+}
+
+export const newTrackId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+
+// Keeps a finished track ({ id, name, startedAt, endedAt, points }) and
+// uploads it when signed in. Returns its entry.
+export const saveTrack = async ({ points, ...track }) => {
+  await loadPromise
+  writePoints(track.id, points)
+  const entry = {
+    id: track.id,
+    name: track.name ?? null,
+    startedAt: track.startedAt,
+    endedAt: track.endedAt,
+    pointCount: points.length,
+    stats: trackStats({ ...track, points }),
+    synced: false,
+    onDevice: true,
+    uploadError: null,
+  }
+
+  await setTracks([entry, ...state.tracks.filter((item) => item.id !== entry.id)])
+  syncTracks()
+  return entry
+}
+
+// The entry with its points, downloading them first for a track that was
+// recorded on another device
+export const loadTrack = async (id) => {
+  await loadPromise
+  const entry = state.tracks.find((track) => track.id === id)
+  if (!entry) throw new Error('Track not found')
+
+  let points
+  const changes = {}
+  if (entry.onDevice) {
+    points = JSON.parse(await pointsFile(id).text())
+  } else {
+    points = (await getTrack(id)).track.points
+    writePoints(id, points)
+    changes.onDevice = true
+  }
+  if (!entry.stats) changes.stats = trackStats({ ...entry, points })
+
+  if (Object.keys(changes).length > 0) await updateTrack(id, changes)
+  return { ...entry, ...changes, points }
+}
+
+// Deletes a track from this device, and from the account when it was uploaded
+export const removeTrack = async (id) => {
+  const entry = state.tracks.find((track) => track.id === id)
+  if (!entry) return
+
+  if (entry.synced && ownerId) {
+    try {
+      await deleteTrack(id)
+    } catch (error) {
+      // Already deleted from another device
+      if (error.status !== 404) throw error
+    }
+  }
+  const file = pointsFile(id)
+  if (file.exists) file.delete()
+  await setTracks(state.tracks.filter((track) => track.id !== id))
+}
+
+// Uploads tracks the server doesn't have yet, then lists the ones uploaded
+// from other devices. A track the server refuses is marked with the reason
+// and the rest still upload; a network or server error stops the sync until
+// next time. Does nothing when signed out; a call made while a sync is
+// running is skipped.
+export const syncTracks = async () => {
+  if (!ownerId || state.isSyncing) return
+  const owner = ownerId
+
+  setState({ isSyncing: true, syncError: null })
+  try {
+    const pending = state.tracks.filter((track) => !track.synced && track.onDevice && !track.uploadError)
+    for (const entry of pending) {
+      const points = JSON.parse(await pointsFile(entry.id).text())
+      try {
+        await uploadTrack({ ...entry, points })
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error
+        console.log('Track upload refused:', error)
+        if (ownerId !== owner) return
+        await updateTrack(entry.id, { uploadError: error.message })
+        continue
+      }
+      if (ownerId !== owner) return
+      await updateTrack(entry.id, { synced: true })
+    }
+
+    const { tracks } = await listTracks({ limit: 100 })
+    if (ownerId !== owner) return
+    const known = new Set(state.tracks.map((track) => track.id))
+    const fromServer = tracks
+      .filter((track) => !known.has(track.id))
+      .map((track) => ({ ...track, stats: track.stats ?? null, synced: true, onDevice: false }))
+    if (fromServer.length > 0) {
+      await setTracks(
+        [...state.tracks, ...fromServer].sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+      )
+    }
+  } catch (error) {
+    console.log('Track sync failed:', error)
+    if (ownerId === owner) setState({ syncError: error.message })
+  } finally {
+    if (ownerId === owner) setState({ isSyncing: false })
+  }
+}
+
+// A track's name, or when it was recorded for an unnamed one
+export const trackTitle = (track) =>
+  track.name || new Date(track.startedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+
+// 3725000 -> "1h 02m", 95000 -> "1m 35s"
+export const formatElapsed = (milliseconds) => {
+  const seconds = Math.max(0, Math.round(milliseconds / 1000))
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`
+  return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`
+}
@@ -0,0 +1,236 @@
+import * as Location from 'expo-location'
+import * as TaskManager from 'expo-task-manager'
+import { Directory, File, Paths } from 'expo-file-system'
+import { AppState } from 'react-native'
+import { MAX_TRACK_POINTS, newTrackId, saveTrack } from '@/services/track-library'
+
+// Records the track shown live on the Location tab. Fixes come from a
+// background location task, so recording carries on with the screen locked or
+// another app open; on Android the task runs as a foreground service with a
+// "Tracking active" notification. Each batch of fixes is appended to a buffer
+// file as it arrives, because the OS may suspend or restart the app while it
+// is in the background. The buffer is merged back into the on-screen track
+// when the app returns to the foreground, and a recording that was still
+// running when the app was closed is picked up again on the next start. When
+// recording stops the track is handed to the track library, split into
+// several tracks if it's longer than the server takes.
+//
+// State: { isRecording, track: { id, startedAt, points } | null, lastFix }
+// `lastFix` is the raw expo-location object of the newest fix.
+
+const TRACKING_TASK = 'track-recorder'
+
+// A track needs at least this many fixes to be worth keeping
+const MIN_POINTS = 2
+
+const recordingDir = new Directory(Paths.document, 'recording')
+// { id, startedAt } of the track being recorded; only exists while recording
+const currentFile = new File(recordingDir, 'current.json')
+// Every point recorded so far, one JSON object per line
+const bufferFile = new File(recordingDir, 'points.jsonl')
+
+const encoder = new TextEncoder()
+
+let state = { isRecording: false, track: null, lastFix: null }
+let appStateSubscription = null
+
+const listeners = new Set()
+
+// Called with the new state on every fix. Returns an unsubscribe function.
+export const subscribeToTrackRecorder = (listener) => {
+  listeners.add(listener)
+  return () => {
+    listeners.delete(listener)
+  }
+}
+
+export const getTrackRecorder = () => state
+
+const setState = (changes) => {
+  state = { ...state, ...changes }
+  listeners.forEach((listener) => listener(state))
+}
+
+const toPoint = (fix) => ({
+  latitude: fix.coords.latitude,
+  longitude: fix.coords.longitude,
+  altitude: fix.coords.altitude,
+  accuracy: fix.coords.accuracy,
+  // Platforms report -1 (or nothing) when they can't measure these
+  speed: fix.coords.speed != null && fix.coords.speed >= 0 ? fix.coords.speed : null,
+  heading: fix.coords.heading != null && fix.coords.heading >= 0 ? fix.coords.heading : null,
+  recordedAt: new Date(fix.timestamp).toISOString(),
+})
+
+const appendPoints = (points) => {
+  if (!bufferFile.exists) bufferFile.create({ intermediates: true })
+  const handle = bufferFile.open()
+  try {
+    handle.offset = handle.size
+    handle.writeBytes(encoder.encode(points.map((point) => `${JSON.stringify(point)}\n`).join('')))
+  } finally {
+    handle.close()
+  }
+}
+
+const readPoints = async () => {
+  if (!bufferFile.exists) return []
+  const lines = (await bufferFile.text()).split('\n').filter(Boolean)
+  // The app being killed mid-write can leave a partial last line
+  return lines.flatMap((line) => {
+    try {
+      return [JSON.parse(line)]
+    } catch {
+      return []
+    }
+  })
+}
+
+const clearRecording = () => {
+  if (recordingDir.exists) recordingDir.delete()
+}
+
+// Runs for every batch of fixes, whether the app is in the foreground, in the
+// background or was started by the OS just to handle it (when nothing is in
+// memory and the batch only goes to disk). Must be defined when the app
+// starts, so the recorder is imported by the root layout.
+TaskManager.defineTask(TRACKING_TASK, async ({ data, error }) => {
+  if (error) {
+    console.log('Background location error:', error)
+    return
+  }
+  // A late batch after recording stopped
+  if (!currentFile.exists) return
+
+  const points = data.locations.map(toPoint)
+  appendPoints(points)
+  if (state.track) {
+    setState({
+      track: { ...state.track, points: [...state.track.points, ...points] },
+      lastFix: data.locations[data.locations.length - 1],
+    })
+  }
+})
+
+// Fixes the OS delivered while the app wasn't running only reached the buffer
+const mergeBufferedPoints = async () => {
+  if (!state.track) return
+  const points = await readPoints()
+  if (state.track && points.length > state.track.points.length) {
+    setState({ track: { ...state.track, points } })
+  }
+}
+
+const watchAppState = () => {
+  appStateSubscription?.remove()
+  appStateSubscription = AppState.addEventListener('change', (appState) => {
+    if (appState === 'active') {
+      mergeBufferedPoints().catch((error) => console.log('Failed to merge buffered fixes:', error))
+    }
+  })
+}
+
+const unwatchAppState = () => {
+  appStateSubscription?.remove()
+  appStateSubscription = null
+}
+
+// The server takes at most MAX_TRACK_POINTS fixes per track, so a longer
+// recording is saved as several tracks. Each part starts with the last fix of
+// the one before, so they join up on the map. Resolves to the saved entries,
+// oldest first.
+const saveInParts = async (track, points, endedAt) => {
+  const parts = []
+  for (let start = 0; start < points.length - 1; start += MAX_TRACK_POINTS - 1) {
+    parts.push(points.slice(start, start + MAX_TRACK_POINTS))
+  }
+
+  const saved = []
+  for (const [index, partPoints] of parts.entries()) {
+    const isFirst = index === 0
+    const isLast = index === parts.length - 1
+    saved.push(
+      await saveTrack({
+        id: isFirst ? track.id : newTrackId(),
+        startedAt: isFirst ? track.startedAt : partPoints[0].recordedAt,
+        endedAt: isLast ? endedAt : partPoints[partPoints.length - 1].recordedAt,
+        points: partPoints,
+      })
+    )
+  }
+  return saved
+}
+
+// Picks up a recording that was running when the app was last closed. One
+// whose location updates have since stopped (e.g. the phone restarted) is
+// saved as it is. Called on start-up once the track list is loading.
+export const restoreRecording = async () => {
+  if (state.isRecording || !currentFile.exists) return
+
+  const current = JSON.parse(await currentFile.text())
+  const points = await readPoints()
+  if (await Location.hasStartedLocationUpdatesAsync(TRACKING_TASK)) {
+    setState({ isRecording: true, track: { ...current, points } })
+    watchAppState()
+    return
+  }
+
+  if (points.length >= MIN_POINTS) {
+    await saveInParts(current, points, points[points.length - 1].recordedAt)
+  }
+  clearRecording()
+}
+
+// Starts a new track. The location permission must already be granted; with
+// only the while-in-use permission, iOS keeps recording in the background but
+// may not restart the task after the app is closed.
+export const startRecording = async () => {
+  if (state.isRecording) return
+
+  const track = { id: newTrackId(), startedAt: new Date().toISOString(), points: [] }
+  clearRecording()
+  recordingDir.create({ intermediates: true })
+  currentFile.write(JSON.stringify({ id: track.id, startedAt: track.startedAt }))
+  setState({ isRecording: true, track })
+
+  try {
+    await Location.startLocationUpdatesAsync(TRACKING_TASK, {
+      accuracy: Location.Accuracy.High,
+      timeInterval: 2000, // Update every 2 seconds
+      distanceInterval: 5, // Update if moved 5 meters
+      activityType: Location.ActivityType.Fitness,
+      pausesUpdatesAutomatically: false,
+      showsBackgroundLocationIndicator: true,
+      foregroundService: {
+        notificationTitle: 'Tracking active',
+        notificationBody: 'Recording your track. Open the app to stop.',
+        notificationColor: '#007AFF',
+      },
+    })
+  } catch (error) {
+    clearRecording()
+    setState({ isRecording: false, track: null })
+    throw error
+  }
+  watchAppState()
+}
+
+// Stops recording and saves the track. Resolves to the saved entries (more
+// than one for a very long recording), or an empty list when too few fixes
+// came in to make a track.
+export const stopRecording = async () => {
+  if (!state.isRecording) return []
+
+  if (await Location.hasStartedLocationUpdatesAsync(TRACKING_TASK)) {
+    await Location.stopLocationUpdatesAsync(TRACKING_TASK)
+  }
+  unwatchAppState()
+  // The buffer has every fix, including any not merged into memory yet
+  const points = await readPoints()
+  const { track } = state
+  setState({ isRecording: false, track: null })
+
+  const saved = points.length < MIN_POINTS ? [] : await saveInParts(track, points, new Date().toISOString())
+  clearRecording()
+  return saved
+}
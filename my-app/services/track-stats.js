@@ -0,0 +1,106 @@
+import { distanceBetween } from '@/services/geo'
+
+// Trip statistics for a track, used live while recording and kept with each
+// saved track. Raw fixes wander by several meters even when standing still,
+// so fixes with a poor accuracy are dropped and a step only counts once it is
+// further than the fixes' own error radius.
+//
+// Stats: { distance, elapsedTime, movingTime, averageSpeed, maxSpeed,
+//          elevationGain, elevationLoss }
+// in meters, milliseconds and meters per second. The speeds are null until
+// the track has moved, the elevations when no fix reported an altitude.
+
+// Fixes less accurate than this (in meters) are ignored
+const MAX_ACCURACY = 30
+// Smallest step counted as movement, in meters
+const MIN_STEP = 5
+// Slower than this (in meters per second) counts as stopped
+const MOVING_SPEED = 0.5
+// Faster than this (about 300 km/h) is a bad fix rather than real movement
+const MAX_SPEED = 85
+// Altitude has to change by this many meters to count as a climb or descent
+const ELEVATION_STEP = 5
+
+const emptyStats = () => ({
+  distance: 0,
+  elapsedTime: 0,
+  movingTime: 0,
+  averageSpeed: null,
+  maxSpeed: null,
+  elevationGain: null,
+  elevationLoss: null,
+})
+
+// Stats for { startedAt, endedAt, points }. A track still being recorded has
+// no endedAt and runs up to its newest fix.
+export const trackStats = ({ startedAt, endedAt, points }) => {
+  const stats = emptyStats()
+  let previous = null
+  let lastFixTime = null
+  let climbFrom = null
+
+  for (const point of points) {
+    if (point.accuracy != null && point.accuracy > MAX_ACCURACY) continue
+
+    if (point.altitude != null) {
+      if (climbFrom === null) {
+        climbFrom = point.altitude
+        stats.elevationGain = 0
+        stats.elevationLoss = 0
+      } else if (Math.abs(point.altitude - climbFrom) >= ELEVATION_STEP) {
+        if (point.altitude > climbFrom) stats.elevationGain += point.altitude - climbFrom
+        else stats.elevationLoss += climbFrom - point.altitude
+        climbFrom = point.altitude
+      }
+    }
+
+    const fixTime = Date.parse(point.recordedAt)
+    const sinceLastFix = fixTime - lastFixTime
+    lastFixTime = fixTime
+    if (!previous) {
+      previous = point
+      continue
+    }
+
+    // Steps inside the fixes' error radius are jitter; keep measuring from
+    // the last counted fix until the track has clearly moved on
+    const step = distanceBetween(previous, point)
+    if (step < Math.max(MIN_STEP, previous.accuracy ?? 0, point.accuracy ?? 0)) continue
+
+    const duration = fixTime - Date.parse(previous.recordedAt)
+    if (duration <= 0) continue
+    const speed = step / (duration / 1000)
+    if (speed > MAX_SPEED) continue
+
+    stats.distance += step
+    // A slow step means the track stopped along the way, and only the time
+    // since the last fix was spent moving off again
+    stats.movingTime += speed >= MOVING_SPEED ? duration : sinceLastFix
+    // The device's own speed is measured more precisely than one between fixes
+    stats.maxSpeed = Math.max(stats.maxSpeed ?? 0, point.speed ?? speed)
+    previous = point
+  }
+
+  const end = endedAt ?? points[points.length - 1]?.recordedAt
+  if (end) stats.elapsedTime = Math.max(0, Date.parse(end) - Date.parse(startedAt))
+  if (stats.movingTime > 0) stats.averageSpeed = stats.distance / (stats.movingTime / 1000)
+  return stats
+}
+
+// 850 -> "850 m", 2345 -> "2.35 km"
+export const formatDistance = (meters) =>
+  meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(2)} km`
+
+// Meters per second in km/h
+export const formatSpeed = (speed) => (speed == null ? 'N/A' : `${(speed * 3.6).toFixed(1)} km/h`)
+
+// Minutes per kilometer at a speed in meters per second, e.g. "5:32 /km"
+export const formatPace = (speed) => {
+  if (!speed) return 'N/A'
+  const seconds = Math.round(1000 / speed)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} /km`
+}
+
+// "+120 m / -85 m"
+export const formatElevation = ({ elevationGain, elevationLoss }) =>
+  elevationGain == null ? 'N/A' : `+${Math.round(elevationGain)} m / -${Math.round(elevationLoss)} m`
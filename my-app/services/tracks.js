@@ -0,0 +1,15 @@
+import { api } from '@/services/api'
+
+// Server copy of recorded GPS tracks (see services/track-library.js)
+
+// Summaries only; a track's points come from getTrack
+export const listTracks = ({ page = 1, limit = 100 } = {}) =>
+  api.get(`/tracks?page=${page}&limit=${limit}`)
+
+export const getTrack = (id) => api.get(`/tracks/${encodeURIComponent(id)}`)
+
+// A track the server already has is left unchanged, so uploading twice is harmless
+export const uploadTrack = ({ id, name, startedAt, endedAt, stats, points }) =>
+  api.post('/tracks', { id, name, startedAt, endedAt, stats, points })
+
+export const deleteTrack = (id) => api.delete(`/tracks/${encodeURIComponent(id)}`)
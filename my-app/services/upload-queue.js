@@ -0,0 +1,276 @@
+import AsyncStorage from '@react-native-async-storage/async-storage'
+import { Directory, File, Paths } from 'expo-file-system'
+import { AppState } from 'react-native'
+import { ApiError, AuthError, NetworkError, RateLimitError, ServerError } from '@/services/api-errors'
+import { describeMedia, getUpload, cancelUpload, sendChunk, startUpload } from '@/services/photos'
+
+// Photos and videos waiting to be uploaded. The queue is saved to AsyncStorage
+// and each file is copied into the app's documents directory, so nothing is lost if
+// the app is closed or the connection drops mid-upload. Uploads use the
+// server's resumable upload sessions and continue from the last stored byte.
+//
+// Item status: 'queued' (waiting, possibly until nextAttemptAt), 'uploading',
+// or 'failed' (rejected by the server; needs a manual retry or removal).
+
+const STORAGE_KEY = 'uploadQueue'
+const RETRY_BASE_DELAY_MS = 2000
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000
+const DEFAULT_CHUNK_BYTES = 512 * 1024
+
+const queueDir = new Directory(Paths.document, 'upload-queue')
+
+let items = []
+let loadPromise = null
+let ownerId = null
+let processing = false
+let retryTimer = null
+let appStateSubscription = null
+
+const queueListeners = new Set()
+const uploadedListeners = new Set()
+
+// Called with the new item list whenever the queue changes. Returns an
+// unsubscribe function.
+export const subscribeToUploadQueue = (listener) => {
+  queueListeners.add(listener)
+  return () => {
+    queueListeners.delete(listener)
+  }
+}
+
+// Called with the server's photo each time a queued upload completes.
+// Returns an unsubscribe function.
+export const onPhotoUploaded = (listener) => {
+  uploadedListeners.add(listener)
+  return () => {
+    uploadedListeners.delete(listener)
+  }
+}
+
+export const getUploadQueue = () => items
+
+const setItems = async (nextItems) => {
+  items = nextItems
+  queueListeners.forEach((listener) => listener(items))
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(items))
+}
+
+const updateItem = (id, changes) =>
+  setItems(items.map((item) => (item.id === id ? { ...item, ...changes } : item)))
+
+const loadQueue = () => {
+  if (!loadPromise) {
+    loadPromise = AsyncStorage.getItem(STORAGE_KEY).then((stored) => {
+      // An upload interrupted by the app closing is simply queued again
+      items = (stored ? JSON.parse(stored) : []).map((item) =>
+        item.status === 'uploading' ? { ...item, status: 'queued' } : item
+      )
+      queueListeners.forEach((listener) => listener(items))
+    })
+  }
+  return loadPromise
+}
+
+const deleteLocalCopy = (item) => {
+  const file = new File(item.fileUri)
+  if (file.exists) file.delete()
+}
+
+const backoffDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** attempts, RETRY_MAX_DELAY_MS)
+
+// Network trouble, server errors and rate limits are worth another try later
+const isTemporary = (error) =>
+  error instanceof NetworkError || error instanceof ServerError || error instanceof RateLimitError
+
+// Sends the rest of one item's file, resuming its upload session if it has one
+const uploadItem = async (item) => {
+  let { uploadId } = item
+  let sent = 0
+  let chunkSize = DEFAULT_CHUNK_BYTES
+
+  if (uploadId) {
+    try {
+      const data = await getUpload(uploadId)
+      sent = data.upload.received
+      chunkSize = data.chunkSize
+    } catch (error) {
+      // Expired or cancelled on the server; start over
+      if (!(error instanceof ApiError && error.status === 404)) throw error
+      uploadId = null
+    }
+  }
+
+  if (!uploadId) {
+    const data = await startUpload({
+      originalName: item.name,
+      mimeType: item.mimeType,
+      size: item.size,
+      duration: item.duration ?? undefined,
+      capturedAt: item.capturedAt,
+      location: item.location ?? undefined,
+    })
+    uploadId = data.upload.id
+    chunkSize = data.chunkSize
+  }
+  await updateItem(item.id, { uploadId, sent })
+
+  const handle = new File(item.fileUri).open()
+  try {
+    while (true) {
+      handle.offset = sent
+      const bytes = handle.readBytes(Math.min(chunkSize, item.size - sent))
+
+      let data
+      try {
+        data = await sendChunk(uploadId, sent, bytes)
+      } catch (error) {
+        // The server has a different offset than we do (e.g. a lost response)
+        if (error.code !== 'OFFSET_MISMATCH') throw error
+        sent = (await getUpload(uploadId)).upload.received
+        continue
+      }
+
+      if (data.photo) return data.photo
+
+      sent = data.upload.received
+      await updateItem(item.id, { sent })
+    }
+  } finally {
+    handle.close()
+  }
+}
+
+const nextReadyItem = () =>
+  items.find((item) => item.ownerId === ownerId && item.status === 'queued' && item.nextAttemptAt <= Date.now())
+
+// Wakes the queue up again when the earliest backed-off item is due
+const scheduleRetry = () => {
+  clearTimeout(retryTimer)
+  const waiting = items.filter((item) => item.ownerId === ownerId && item.status === 'queued')
+  if (waiting.length === 0) return
+
+  const dueAt = Math.min(...waiting.map((item) => item.nextAttemptAt))
+  retryTimer = setTimeout(processUploadQueue, Math.max(dueAt - Date.now(), 0))
+}
+
+// Uploads ready items one at a time. Safe to call at any point; a call made
+// while the queue is already running does nothing.
+export const processUploadQueue = async () => {
+  if (processing || !ownerId) return
+  processing = true
+  try {
+    await loadQueue()
+
+    let item
+    while (ownerId && (item = nextReadyItem())) {
+      await updateItem(item.id, { status: 'uploading', error: null })
+      try {
+        const photo = await uploadItem(item)
+        deleteLocalCopy(item)
+        await setItems(items.filter((queued) => queued.id !== item.id))
+        uploadedListeners.forEach((listener) => listener(photo))
+      } catch (error) {
+        console.log('Queued upload failed:', error)
+        const attempts = item.attempts + 1
+
+        if (error instanceof AuthError) {
+          // Signed out; the item waits until someone logs in again
+          await updateItem(item.id, { status: 'queued', error: error.message })
+          break
+        }
+        if (isTemporary(error)) {
+          await updateItem(item.id, {
+            status: 'queued',
+            attempts,
+            nextAttemptAt: Date.now() + backoffDelay(item.attempts),
+            error: error.message,
+          })
+        } else {
+          await updateItem(item.id, { status: 'failed', attempts, error: error.message })
+        }
+      }
+    }
+  } finally {
+    processing = false
+    scheduleRetry()
+  }
+}
+
+// Copies a captured or picked image, or a recorded video (with its length in
+// seconds as `duration`), into the queue and starts uploading it. A geotagged
+// photo's `location` and `capturedAt` travel with it.
+export const enqueuePhoto = async (
+  image,
+  { capturedAt = image.capturedAt ? new Date(image.capturedAt) : new Date(), duration = null } = {}
+) => {
+  if (!ownerId) throw new Error('Log in to upload photos')
+  await loadQueue()
+
+  const { name, mimeType } = describeMedia(image)
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+
+  if (!queueDir.exists) queueDir.create({ intermediates: true })
+  const copy = new File(queueDir, `${id}-${name}`)
+  new File(image.uri).copy(copy)
+
+  await setItems([
+    ...items,
+    {
+      id,
+      ownerId,
+      fileUri: copy.uri,
+      name,
+      mimeType,
+      size: copy.size,
+      duration,
+      location: image.location ?? null,
+      capturedAt: capturedAt.toISOString(),
+      uploadId: null,
+      sent: 0,
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: 0,
+      error: null,
+      createdAt: new Date().toISOString(),
+    },
+  ])
+  processUploadQueue()
+}
+
+// Tries a failed or backed-off item again right away
+export const retryUpload = async (id) => {
+  await updateItem(id, { status: 'queued', nextAttemptAt: 0, error: null })
+  processUploadQueue()
+}
+
+// Drops an item from the queue and abandons its server-side upload
+export const removeUpload = async (id) => {
+  const item = items.find((queued) => queued.id === id)
+  if (!item || item.status === 'uploading') return
+
+  if (item.uploadId) {
+    cancelUpload(item.uploadId).catch(() => {})
+  }
+  deleteLocalCopy(item)
+  await setItems(items.filter((queued) => queued.id !== id))
+}
+
+// Starts uploading the given user's queued photos, and resumes whenever the
+// app comes back to the foreground. Items queued by other accounts stay put.
+export const startUploadQueue = (userId) => {
+  ownerId = userId
+  if (!appStateSubscription) {
+    appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') processUploadQueue()
+    })
+  }
+  processUploadQueue()
+}
+
+// Pauses the queue, e.g. on logout. Queued photos are kept for next time.
+export const stopUploadQueue = () => {
+  ownerId = null
+  clearTimeout(retryTimer)
+  appStateSubscription?.remove()
+  appStateSubscription = null
+}
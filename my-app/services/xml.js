@@ -0,0 +1,73 @@
+// A small XML reader and writer for the GPX and KML files the Location tab
+// imports and exports. React Native has no DOMParser, and these formats only
+// need elements, attributes and text, so namespaces, DTDs and processing
+// instructions are skipped. Namespace prefixes are dropped from names
+// (<gx:coord> is read as "coord").
+//
+// Element: { name, attributes, children, text }
+
+const TOKENS =
+  /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|[^<]+/g
+const ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }
+
+const decode = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] !== '#') return ENTITIES[code] ?? entity
+    const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10)
+    return String.fromCodePoint(value)
+  })
+
+const localName = (name) => name.slice(name.indexOf(':') + 1)
+
+// Parses a document into a tree under a '#document' element. Throws for text
+// that has no elements at all.
+export const parseXml = (text) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' }
+  const stack = [root]
+
+  for (const match of text.matchAll(TOKENS)) {
+    const [token, cdata, closing, opening, attributeText, selfClosing] = match
+    const current = stack[stack.length - 1]
+
+    if (cdata !== undefined) {
+      current.text += cdata
+    } else if (closing) {
+      // Tolerate unclosed elements by closing back to the matching one
+      const name = localName(closing)
+      const index = stack.findLastIndex((element) => element.name === name)
+      if (index > 0) stack.length = index
+    } else if (opening) {
+      const element = { name: localName(opening), attributes: {}, children: [], text: '' }
+      for (const [, key, doubleQuoted, singleQuoted] of attributeText.matchAll(ATTRIBUTE)) {
+        element.attributes[localName(key)] = decode(doubleQuoted ?? singleQuoted)
+      }
+      current.children.push(element)
+      if (!selfClosing) stack.push(element)
+    } else if (token[0] !== '<') {
+      current.text += decode(token)
+    }
+  }
+
+  if (root.children.length === 0) throw new Error('Not an XML document')
+  return root
+}
+
+// The element's direct children with this name
+export const childElements = (element, name) => element.children.filter((child) => child.name === name)
+
+// The trimmed text of the element's first child with this name, or null
+export const childText = (element, name) => {
+  const child = element.children.find((item) => item.name === name)
+  const text = child?.text.trim()
+  return text ? text : null
+}
+
+// Every element below this one with the name, in document order
+export const findElements = (element, name) =>
+  element.children.flatMap((child) => [...(child.name === name ? [child] : []), ...findElements(child, name)])
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }
+
+export const escapeXml = (value) => String(value).replace(/[&<>"']/g, (char) => ESCAPES[char])